@@ -0,0 +1,3 @@
+import type { CompressionCodec } from './index.d.js'
+
+export const LZStringCodec: CompressionCodec;
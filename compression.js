@@ -0,0 +1 @@
+export { default as LZStringCodec } from './lib/LZStringCodec.js'
@@ -0,0 +1,18 @@
+import type { Storage, KeyPattern, Path, Serializer, UsageOptions, Usage, ValidationOptions } from './index.d.js'
+
+export interface FileStorageOptions extends ValidationOptions {
+	file?: string;
+	directory?: string;
+	serializer?: Serializer;
+	matchesPattern?: (key: string, pattern: string) => boolean;
+	log?: (...args: any[]) => void;
+}
+
+export class FileStorage<Value = any> extends Storage<Value> {
+  constructor(options: FileStorageOptions);
+	clear(pattern?: KeyPattern): void;
+	getTotalSize(): number;
+	getUsage(options?: UsageOptions): Usage;
+	close(): void;
+	static isAvailable(): boolean;
+}
@@ -0,0 +1 @@
+export { default as FileStorage } from './lib/FileStorage.js'
\ No newline at end of file
@@ -1,10 +1,24 @@
 import type { Timer } from 'web-browser-timer'
 import type { TabStatusWatcher } from 'web-browser-tab/status-watcher'
 
+// A JSON Pointer ("/a/b"), a "dotted" path ("a.b") or an array of "segments".
+export type Path = string | Array<string | number>;
+
 type OnChangeListener<Value> = (parameters: {
 	key: string,
 	value?: Value,
-	prevValue?: Value
+	prevValue?: Value,
+	paths: string[]
+}) => void;
+
+export type KeyPattern = string | RegExp | ((key: string) => boolean);
+
+type ChangeListener<Value> = (parameters: {
+	key: string,
+	value?: Value,
+	prevValue?: Value,
+	paths: string[],
+	source: 'local' | 'external'
 }) => void;
 
 export class Storage<Value = any> {
@@ -14,18 +28,187 @@ export class Storage<Value = any> {
 	delete(key: string): void;
 	getRecordSize(key: string): number;
 	keys(): string[];
+	getPath(key: string, path: Path): any;
+	setPath(key: string, path: Path, value: any): void;
+	deletePath(key: string, path: Path): void;
+	update(key: string, update: (value: Value | null) => Value | null | undefined): void;
+	exportSnapshot(options?: ExportSnapshotOptions): Snapshot<Value>;
+	importSnapshot(snapshot: Snapshot<Value>, options?: ImportSnapshotOptions): void;
 	onExternalChange(onChangeListener: OnChangeListener<Value>): () => void;
 }
 
+export interface Batch<Value = any> {
+	get(key: string): Value | null;
+	set(key: string, value?: Value): void;
+	has(key: string): boolean;
+	delete(key: string): void;
+}
+
+type BatchFunction<Value> = (batch: Batch<Value>) => void;
+
+export class AsyncStorage<Value = any> {
+	get(key: string): Promise<Value | null>;
+	set(key: string, value?: Value): Promise<void>;
+	has(key: string): Promise<boolean>;
+	delete(key: string): Promise<void>;
+	getRecordSize(key: string): Promise<number>;
+	keys(): Promise<string[]>;
+	getPath(key: string, path: Path): Promise<any>;
+	setPath(key: string, path: Path, value: any): Promise<void>;
+	deletePath(key: string, path: Path): Promise<void>;
+	update(key: string, update: (value: Value | null) => Value | null | undefined): Promise<void>;
+	exportSnapshot(options?: ExportSnapshotOptions): Promise<Snapshot<Value>>;
+	importSnapshot(snapshot: Snapshot<Value>, options?: ImportSnapshotOptions): Promise<void>;
+	onExternalChange(onChangeListener: OnChangeListener<Value>): () => void;
+}
+
+export interface Snapshot<Value = any> {
+	format: 'web-browser-storage/snapshot';
+	version: number;
+	createdAt: number;
+	patterns?: string[];
+	records: Record<string, {
+		value: Value;
+		size: number;
+		checksum: string;
+	}>;
+	checksum: string;
+}
+
+export interface ExportSnapshotOptions {
+	patterns?: KeyPattern[];
+}
+
+export interface ImportSnapshotOptions {
+	mode?: 'merge' | 'replace';
+	patterns?: KeyPattern[];
+}
+
+export function getSnapshotScript(snapshot: Snapshot, options?: { id?: string }): string;
+
+export function hydrate(storage: Storage, options?: ImportSnapshotOptions & { id?: string, document?: Document }): boolean;
+
+export interface UsageOptions {
+	groupBy?: string[];
+	matchesPattern?: (key: string, pattern: string) => boolean;
+}
+
+export interface Usage {
+	total: number;
+	groups: Record<string, number>;
+	other: number;
+}
+
+export type Budgets = Record<string, number>;
+
+export class BudgetExceededError extends Error {
+	key: string;
+	pattern: string;
+	budget: number;
+	size: number;
+}
+
+type OnBudgetExceeded = ({ error: BudgetExceededError }) => void;
+
+// A small subset of JSON Schema.
+export interface Schema {
+	type?: SchemaType | SchemaType[];
+	enum?: any[];
+	const?: any;
+	minLength?: number;
+	maxLength?: number;
+	pattern?: string;
+	minimum?: number;
+	maximum?: number;
+	properties?: Record<string, Schema>;
+	required?: string[];
+	additionalProperties?: boolean | Schema;
+	items?: Schema;
+	minItems?: number;
+	maxItems?: number;
+}
+
+type SchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'null' | 'object' | 'array';
+
+// Returns `true` or `undefined` if a value is valid.
+// Otherwise, returns `false` or validation errors.
+type ValidateFunction = (value: any) => boolean | string | string[] | undefined;
+
+export type Validators = Record<string, Schema | ValidateFunction>;
+
+export class ValidationError<Value = any> extends Error {
+	key: string;
+	value: Value;
+	errors: string[];
+}
+
+type OnInvalid = (parameters: { key: string, value: any, errors: string[] }) => void;
+
+export interface ValidationOptions {
+	validators?: Validators;
+	defaults?: Record<string, any>;
+	onInvalid?: OnInvalid;
+}
+
+export interface BroadcastChannelTransportOptions {
+	name?: string;
+	createBroadcastChannel?: (name: string) => BroadcastChannel;
+	sourceId?: string;
+}
+
+interface BroadcastChannelTransportMessage<Value> {
+	key: string;
+	value: Value | null;
+	prevValue: Value | null;
+	sourceId: string;
+}
+
+export class BroadcastChannelTransport<Value = any> {
+  constructor(options?: BroadcastChannelTransportOptions);
+	notify(change: { key: string, value: Value | null, prevValue: Value | null }): void;
+	onMessage(listener: (message: BroadcastChannelTransportMessage<Value>) => void): () => void;
+	close(): void;
+}
+
+export interface ThreeWayMergeParameters<Value> {
+	key: string;
+	base: Value | null;
+	local: Value;
+	remote: Value;
+}
+
+export class ConflictError<Value = any> extends Error {
+	key: string;
+	base?: Value | null;
+	local: Value;
+	remote: Value | null;
+}
+
 export interface CachedStorageOptions<Value> {
 	storage: Storage;
 	tabStatusWatcher?: TabStatusWatcher;
 	timer?: Timer;
 	flushDelay: number;
+	flushDelays?: Record<string, number>;
+	debounce?: boolean;
+	maxWait?: number;
+	flushThreshold?: number;
+	flushOnPageLifecycleEvents?: boolean;
 	log?: (...args: any[]) => void;
-	merge?: (newDataKey: string, existingDataKey: string, value: Value) => Value;
+	merge?: ((newDataKey: string, existingDataKey: string, value: Value) => Value) | ((parameters: ThreeWayMergeParameters<Value>) => Value);
+	envelope?: boolean;
+	writerId?: string;
+	onConflict?: (parameters: { error: ConflictError<Value> }) => Value | undefined;
 	matchesPattern?: (key: string, pattern: string) => boolean;
-	cachedKeys?: string[];
+	cachedKeys?: KeyPattern[];
+	readCache?: boolean;
+	readCachedKeys?: KeyPattern[];
+	readCacheMaxSize?: number;
+	copyReadCachedValues?: boolean;
+	lock?: TabLock;
+	validators?: Validators;
+	budgets?: Budgets;
+	onBudgetExceeded?: OnBudgetExceeded;
 }
 
 export class CachedStorage<Value = any> extends Storage<Value> {
@@ -33,26 +216,265 @@ export class CachedStorage<Value = any> extends Storage<Value> {
 	start(): void;
 	stop(): void;
 	flush(): void;
-	cacheKey(pattern: string): void;
+	cacheKey(pattern: KeyPattern): void;
+	clear(pattern?: KeyPattern): void;
+	onChange(pattern: KeyPattern, listener: ChangeListener<Value>): () => void;
+	batch(fn: BatchFunction<Value>): void;
+	transaction(fn: BatchFunction<Value>): void;
+	getTotalSize(): number;
+	getUsage(options?: UsageOptions): Usage;
+}
+
+export interface TabLockOptions {
+	storage?: Storage;
+	timer?: Timer;
+	heartbeatInterval?: number;
+	timeout?: number;
+	locks?: LockManager | false;
+	log?: (...args: any[]) => void;
+}
+
+export class TabLock {
+  constructor(options?: TabLockOptions);
+	acquire(name: string): Promise<void>;
+	release(): void;
+	isLeader(): boolean;
+	onLost(listener: (parameters: { name: string }) => void): () => void;
+}
+
+export interface NamespacedStorageOptions<Value> {
+	storage: Storage<Value>;
+	prefix: string;
+	matchesPattern?: (key: string, pattern: string) => boolean;
+}
+
+export class NamespacedStorage<Value = any> extends Storage<Value> {
+  constructor(options: NamespacedStorageOptions<Value>);
+	clear(pattern?: KeyPattern): void;
+	batch(fn: BatchFunction<Value>): void;
+	transaction(fn: BatchFunction<Value>): void;
+	getTotalSize(): number;
+	getUsage(options?: UsageOptions): Usage;
 }
 
-interface LocalStorageOptions {
+interface EncryptedStorageOptionsBase {
+	storage: Storage;
+	previousKeys?: CryptoKey[];
+	crypto?: Crypto;
+	matchesPattern?: (key: string, pattern: string) => boolean;
+	log?: (...args: any[]) => void;
+}
+
+interface EncryptedStorageOptionsWithKey extends EncryptedStorageOptionsBase {
+	key: CryptoKey;
+}
+
+interface EncryptedStorageOptionsWithPassword extends EncryptedStorageOptionsBase {
+	password: string;
+	salt: string;
+	iterations?: number;
+}
+
+export type EncryptedStorageOptions = EncryptedStorageOptionsWithKey | EncryptedStorageOptionsWithPassword;
+
+export class EncryptedStorage<Value = any> extends AsyncStorage<Value> {
+  constructor(options: EncryptedStorageOptions);
+	rotateKey(newKey: CryptoKey, options?: { keys?: string[] }): Promise<string[]>;
+	static deriveKey(options: { password: string, salt: string, iterations?: number, crypto?: Crypto }): Promise<CryptoKey>;
+}
+
+export interface ExpiringStorageOptions<Value> {
+	storage: Storage;
+	timer?: Timer;
+	ttl?: number;
+	purgeInterval?: number;
+	log?: (...args: any[]) => void;
+}
+
+interface ExpiringStorageSetOptions {
+	ttl?: number;
+	expiresAt?: number;
+}
+
+export class ExpiringStorage<Value = any> extends Storage<Value> {
+  constructor(options: ExpiringStorageOptions<Value>);
+	set(key: string, value?: Value, options?: ExpiringStorageSetOptions): void;
+	setPath(key: string, path: Path, value: any, options?: ExpiringStorageSetOptions): void;
+	deletePath(key: string, path: Path, options?: ExpiringStorageSetOptions): void;
+	update(key: string, update: (value: Value | null) => Value | null | undefined, options?: ExpiringStorageSetOptions): void;
+	start(): void;
+	stop(): void;
+	purgeExpired(): string[];
+}
+
+export interface Serializer {
+	stringify(value: any): string;
+	parse(text: string): any;
+}
+
+export const TaggedJSON: Serializer;
+
+export interface CompressionCodec {
+	compress(string: string): string;
+	decompress(string: string): string | null;
+}
+
+export interface LRUEvictionPolicyOptions {
+	evictableKeys?: string[];
+	onEvict?: (parameters: { keys: string[] }) => void;
+	matchesPattern?: (key: string, pattern: string) => boolean;
+	log?: (...args: any[]) => void;
+}
+
+export class LRUEvictionPolicy {
+  constructor(options?: LRUEvictionPolicyOptions);
+	touch(key: string): void;
+	forget(key: string): void;
+	write(parameters: { key: string, write: () => void, storage: Storage }): void;
+}
+
+export interface LocalStorageOptions extends ValidationOptions {
 	onFull?: ({ error: DOMException }) => void;
+	budgets?: Budgets;
+	onBudgetExceeded?: OnBudgetExceeded;
+	evictionPolicy?: LRUEvictionPolicy;
+	serializer?: Serializer;
+	transport?: BroadcastChannelTransport;
+	compression?: {
+		keys: string[];
+		codec: CompressionCodec;
+	};
+	matchesPattern?: (key: string, pattern: string) => boolean;
 	log?: (...args: any[]) => void;
 }
 
 export class LocalStorage<Value> extends Storage<Value> {
   constructor(options?: LocalStorageOptions);
+  onChange(pattern: KeyPattern, listener: ChangeListener<Value>): () => void;
+  batch(fn: BatchFunction<Value>): void;
+  transaction(fn: BatchFunction<Value>): void;
+  clear(pattern?: KeyPattern): void;
+  getTotalSize(): number;
+  getUsage(options?: UsageOptions): Usage;
+  static isAvailable(): boolean;
+}
+
+export type SessionStorageOptions = LocalStorageOptions;
+
+export class SessionStorage<Value> extends Storage<Value> {
+  constructor(options?: SessionStorageOptions);
+  onChange(pattern: KeyPattern, listener: ChangeListener<Value>): () => void;
+  batch(fn: BatchFunction<Value>): void;
+  transaction(fn: BatchFunction<Value>): void;
+  clear(pattern?: KeyPattern): void;
+  getTotalSize(): number;
+  getUsage(options?: UsageOptions): Usage;
   static isAvailable(): boolean;
 }
 
-interface MemoryStorageOptions {
-	emulateSerialize?: boolean;
+interface MemoryStorageOptions extends ValidationOptions {
+	stringifyStoredValues?: boolean;
+	serializer?: Serializer;
+	quota?: number;
+	evictionPolicy?: LRUEvictionPolicy;
+	budgets?: Budgets;
+	onBudgetExceeded?: OnBudgetExceeded;
+	matchesPattern?: (key: string, pattern: string) => boolean;
 }
 
 export class MemoryStorage<Value = any> extends Storage<Value> {
   constructor(options?: MemoryStorageOptions);
   createSharedInstance(id: string): MemoryStorage<Value>;
   getData(): Record<string, Value>;
+  getTotalSize(): number;
+  getUsage(options?: UsageOptions): Usage;
+  onChange(pattern: KeyPattern, listener: ChangeListener<Value>): () => void;
+  batch(fn: BatchFunction<Value>): void;
+  transaction(fn: BatchFunction<Value>): void;
+  clear(pattern?: KeyPattern): void;
   setData(data: Record<string, Value>): void;
-}
\ No newline at end of file
+}
+
+export interface IndexedDBStorageOptions {
+	indexedDB?: IDBFactory;
+	databaseName?: string;
+	objectStoreName?: string;
+	createBroadcastChannel?: (name: string) => BroadcastChannel;
+	transport?: BroadcastChannelTransport;
+	onFull?: ({ error: DOMException }) => void;
+	log?: (...args: any[]) => void;
+}
+
+export class IndexedDBStorage<Value = any> extends AsyncStorage<Value> {
+  constructor(options?: IndexedDBStorageOptions);
+  close(): Promise<void>;
+  static isAvailable(): boolean;
+}
+
+export interface CookieOptions {
+	maxAge?: number;
+	path?: string;
+	domain?: string;
+	sameSite?: 'Strict' | 'Lax' | 'None';
+	secure?: boolean;
+}
+
+export class CookieTooLargeError extends Error {
+	key: string;
+	size: number;
+	maxSize: number;
+}
+
+export interface CookieStorageOptions extends CookieOptions, ValidationOptions {
+	server?: boolean;
+	cookieHeader?: string;
+	prefix?: string;
+	keyOptions?: Record<string, CookieOptions>;
+	maxCookieSize?: number;
+	onFull?: ({ error: CookieTooLargeError }) => void;
+	serializer?: Serializer;
+	document?: Document;
+	cookieStore?: EventTarget;
+	matchesPattern?: (key: string, pattern: string) => boolean;
+	log?: (...args: any[]) => void;
+}
+
+export class CookieStorage<Value = any> extends Storage<Value> {
+  constructor(options?: CookieStorageOptions);
+	set(key: string, value?: Value, options?: CookieOptions): void;
+	delete(key: string, options?: CookieOptions): void;
+	setPath(key: string, path: Path, value: any, options?: CookieOptions): void;
+	deletePath(key: string, path: Path, options?: CookieOptions): void;
+	update(key: string, update: (value: Value | null) => Value | null | undefined, options?: CookieOptions): void;
+	clear(pattern?: KeyPattern): void;
+	getTotalSize(): number;
+	getUsage(options?: UsageOptions): Usage;
+	getSetCookieHeaders(): string[];
+	static isAvailable(): boolean;
+}
+
+interface MigrationWithMigrateFunction {
+	version: number;
+	migrate(storage: Storage): void | Promise<void>;
+}
+
+interface MigrationWithTransformFunction {
+	version: number;
+	keys: string | string[];
+	transform(value: any, key: string): any;
+}
+
+export type Migration = MigrationWithMigrateFunction | MigrationWithTransformFunction;
+
+export interface MigrateOptions {
+	storage: Storage;
+	migrations: Migration[];
+	versionKey?: string;
+	timer?: Timer;
+	lockTimeout?: number;
+	locks?: LockManager | false;
+	matchesPattern?: (key: string, pattern: string) => boolean;
+	log?: (...args: any[]) => void;
+}
+
+export function migrate(options: MigrateOptions): Promise<{ fromVersion: number, toVersion: number }>;
\ No newline at end of file
@@ -1,3 +1,19 @@
 export { default as LocalStorage } from './lib/LocalStorage.js'
+export { default as SessionStorage } from './lib/SessionStorage.js'
 export { default as MemoryStorage } from './lib/MemoryStorage.js'
+export { default as IndexedDBStorage } from './lib/IndexedDBStorage.js'
+export { default as CookieStorage } from './lib/CookieStorage.js'
 export { default as CachedStorage } from './lib/CachedStorage.js'
+export { default as NamespacedStorage } from './lib/NamespacedStorage.js'
+export { default as EncryptedStorage } from './lib/EncryptedStorage.js'
+export { default as ExpiringStorage } from './lib/ExpiringStorage.js'
+export { default as BroadcastChannelTransport } from './lib/BroadcastChannelTransport.js'
+export { default as TabLock } from './lib/TabLock.js'
+export { default as TaggedJSON } from './lib/TaggedJSON.js'
+export { default as LRUEvictionPolicy } from './lib/LRUEvictionPolicy.js'
+export { default as migrate } from './lib/migrate.js'
+export { getSnapshotScript, hydrate } from './lib/snapshot.js'
+export { default as BudgetExceededError } from './lib/BudgetExceededError.js'
+export { default as ConflictError } from './lib/ConflictError.js'
+export { default as CookieTooLargeError } from './lib/CookieTooLargeError.js'
+export { default as ValidationError } from './lib/ValidationError.js'
@@ -0,0 +1,90 @@
+// `BroadcastChannelTransport` notifies other tabs about changes to a storage
+// through a `BroadcastChannel`.
+// https://developer.mozilla.org/en-US/docs/Web/API/BroadcastChannel
+//
+// It could be passed as a `transport` parameter to `LocalStorage`,
+// `SessionStorage` or `IndexedDBStorage`.
+//
+// Compared to the `storage` event:
+//
+// * `BroadcastChannel` messages are also received by other storage instances
+//   in the same tab, while `storage` events are only received by other tabs.
+//
+// * `sessionStorage` changes don't emit `storage` events in other tabs
+//   because each tab has its own `sessionStorage`.
+//
+// * `BroadcastChannel` messages could contain any values
+//   rather than just strings.
+//
+export default class BroadcastChannelTransport {
+	/**
+	 * @param {string} [options.name] — `BroadcastChannel` name. Different storages should use different names.
+	 * @param {function} [options.createBroadcastChannel] — Creates a `BroadcastChannel` with a given name.
+	 * @param {string} [options.sourceId] — A unique ID of this transport. Is sent with each message.
+	 */
+	constructor({
+		name = 'web-browser-storage',
+		createBroadcastChannel = (name) => new BroadcastChannel(name),
+		sourceId = String(Math.random()).slice(2)
+	} = {}) {
+		this.name = name
+		this.createBroadcastChannel = createBroadcastChannel
+		this.sourceId = sourceId
+		this.listeners = []
+	}
+
+	/**
+	 * Notifies other tabs about a change.
+	 * @param {string} change.key
+	 * @param {any} change.value — `null` when deleted.
+	 * @param {any} change.prevValue — `null` when there was no previous value.
+	 */
+	notify({ key, value, prevValue }) {
+		this.getBroadcastChannel().postMessage({
+			key,
+			value,
+			prevValue,
+			sourceId: this.sourceId
+		})
+	}
+
+	/**
+	 * Listens for changes from other tabs.
+	 * @param  {function} listener — Receives `{ key, value, prevValue, sourceId }` argument.
+	 * @return {function} Removes the listener.
+	 */
+	onMessage(listener) {
+		this.listeners.push(listener)
+		this.getBroadcastChannel()
+		return () => {
+			this.listeners = this.listeners.filter(_ => _ !== listener)
+		}
+	}
+
+	// Closes the `BroadcastChannel`.
+	// For example, Node.js won't exit while a `BroadcastChannel` is open.
+	close() {
+		if (this.broadcastChannel) {
+			this.broadcastChannel.close()
+			this.broadcastChannel = undefined
+		}
+	}
+
+	getBroadcastChannel() {
+		if (!this.broadcastChannel) {
+			this.broadcastChannel = this.createBroadcastChannel(this.name)
+			this.broadcastChannel.onmessage = (event) => {
+				const { key, value, prevValue, sourceId } = event.data
+				// A `BroadcastChannel` doesn't receive the messages that it posts itself,
+				// but a custom `createBroadcastChannel()` function might not follow that rule.
+				if (sourceId === this.sourceId) {
+					return
+				}
+				for (const listener of this.listeners) {
+					listener({ key, value, prevValue, sourceId })
+				}
+			}
+		}
+		return this.broadcastChannel
+	}
+}
@@ -0,0 +1,164 @@
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+
+import BroadcastChannelTransport from './BroadcastChannelTransport.js'
+import LocalStorage from './LocalStorage.js'
+import SessionStorage from './SessionStorage.js'
+import WebStorageArea, { dispatchStorageEvent } from '../test/stubs/WebStorageArea.js'
+
+describe('BroadcastChannelTransport', function() {
+	beforeEach(function() {
+		global.window = new EventTarget()
+		global.localStorage = new WebStorageArea()
+		global.sessionStorage = new WebStorageArea()
+	})
+
+	afterEach(function() {
+		delete global.window
+		delete global.localStorage
+		delete global.sessionStorage
+	})
+
+	it('should send and receive messages', async function() {
+		const transport1 = new BroadcastChannelTransport({ sourceId: '1' })
+		const transport2 = new BroadcastChannelTransport({ sourceId: '2' })
+
+		const messages1 = []
+		transport1.onMessage(message => messages1.push(message))
+
+		const messages2 = []
+		transport2.onMessage(message => messages2.push(message))
+
+		transport1.notify({ key: 'key', value: new Date(0), prevValue: null })
+		await waitForMessages()
+
+		expect(messages1).to.deep.equal([])
+		expect(messages2).to.deep.equal([{
+			key: 'key',
+			value: new Date(0),
+			prevValue: null,
+			sourceId: '1'
+		}])
+
+		transport1.close()
+		transport2.close()
+	})
+
+	it('should use an injected `BroadcastChannel` factory', function() {
+		const channels = []
+		const createBroadcastChannel = (name) => {
+			const channel = {
+				name,
+				postMessage(data) {
+					for (const otherChannel of channels) {
+						otherChannel.onmessage({ data })
+					}
+				},
+				close() {}
+			}
+			channels.push(channel)
+			return channel
+		}
+
+		const transport1 = new BroadcastChannelTransport({ name: 'test', createBroadcastChannel })
+		const transport2 = new BroadcastChannelTransport({ name: 'test', createBroadcastChannel })
+
+		const messages1 = []
+		transport1.onMessage(message => messages1.push(message))
+
+		const messages2 = []
+		transport2.onMessage(message => messages2.push(message))
+
+		transport1.notify({ key: 'key', value: 'value', prevValue: null })
+
+		expect(channels.map(_ => _.name)).to.deep.equal(['test', 'test'])
+		expect(messages1).to.deep.equal([])
+		expect(messages2.length).to.equal(1)
+	})
+
+	it('should notify about SessionStorage changes', async function() {
+		const storage1 = new SessionStorage({
+			transport: new BroadcastChannelTransport()
+		})
+
+		const storage2 = new SessionStorage({
+			transport: new BroadcastChannelTransport()
+		})
+
+		const changes = []
+		const unlistenExternalChanges = storage2.onExternalChange(change => changes.push(change))
+
+		storage1.set('key', new Date(0))
+		storage1.delete('key')
+		storage1.delete('key')
+		await waitForMessages()
+
+		expect(changes).to.deep.equal([{
+			key: 'key',
+			value: '1970-01-01T00:00:00.000Z',
+			prevValue: null,
+			paths: ['']
+		}, {
+			key: 'key',
+			value: null,
+			prevValue: '1970-01-01T00:00:00.000Z',
+			paths: ['']
+		}])
+
+		unlistenExternalChanges()
+		storage1.transport.close()
+		storage2.transport.close()
+	})
+
+	it('should deduplicate `storage` events and transport messages', async function() {
+		const storage1 = new LocalStorage({
+			transport: new BroadcastChannelTransport()
+		})
+
+		const storage2 = new LocalStorage({
+			transport: new BroadcastChannelTransport()
+		})
+
+		const changes = []
+		const unlistenExternalChanges = storage2.onExternalChange(change => changes.push(change))
+
+		storage1.set('key', 'value')
+		await waitForMessages()
+
+		// Emulate the `storage` event that would be received by another tab.
+		dispatchStorageEvent({
+			key: 'key',
+			newValue: '"value"',
+			oldValue: null,
+			storageArea: localStorage
+		})
+
+		expect(changes).to.deep.equal([{
+			key: 'key',
+			value: 'value',
+			prevValue: null,
+			paths: ['']
+		}])
+
+		// A `storage` event received before a transport message.
+		dispatchStorageEvent({
+			key: 'key',
+			newValue: '"value2"',
+			oldValue: '"value"',
+			storageArea: localStorage
+		})
+
+		storage1.set('key', 'value2')
+		await waitForMessages()
+
+		expect(changes.length).to.equal(2)
+
+		unlistenExternalChanges()
+		storage1.transport.close()
+		storage2.transport.close()
+	})
+})
+
+function waitForMessages() {
+	return new Promise(resolve => setTimeout(resolve, 10))
+}
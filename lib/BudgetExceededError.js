@@ -0,0 +1,11 @@
+// Is thrown when a write would exceed the size budget for the keys matching a pattern.
+export default class BudgetExceededError extends Error {
+	constructor({ key, pattern, budget, size }) {
+		super(`[web-browser-storage] Writing "${key}" would exceed the budget of ${budget} bytes for "${pattern}" keys: ${size} bytes`)
+		this.name = 'BudgetExceededError'
+		this.key = key
+		this.pattern = pattern
+		this.budget = budget
+		this.size = size
+	}
+}
@@ -1,7 +1,17 @@
 import { Timer } from 'web-browser-timer'
 import { TabStatusWatcher } from 'web-browser-tab/status-watcher'
 
-import defaultMatchesPattern from './matchesPattern.js'
+import defaultMatchesPattern, { compilePattern } from './matchesPattern.js'
+import { getRecordSize, getTotalSize, getUsage } from './size.js'
+import ChangeListeners from './ChangeListeners.js'
+import { collectChanges, writeChanges } from './batch.js'
+import ReadCache from './ReadCache.js'
+import VersionedStorage from './VersionedStorage.js'
+import ConflictError from './ConflictError.js'
+import Validators from './Validators.js'
+import { getBudgetExceededError } from './budgets.js'
+import { getPath, setPath, deletePath, updateValue } from './path.js'
+import { exportSnapshot, importSnapshot } from './snapshot.js'
 
 // The "cached" local storage uses an in-memory cache
 // to avoid constantly parsing and stringifying JSON
@@ -91,6 +101,13 @@ import defaultMatchesPattern from './matchesPattern.js'
  *
  * `captchan` uses `cache: true` option when writing `latestReadComments`
  * because only the current tab can do that by design.
+ *
+ * To make sure that only a single tab caches writes at a time,
+ * a `TabLock` could be passed as a `lock` parameter.
+ * In that case, writes are only cached while the tab holds the lock.
+ *
+ * Reads could also be cached, so that values aren't parsed again on every read.
+ * See `readCache` and `readCachedKeys` parameters.
  */
 
 export default class CachedStorage {
@@ -99,12 +116,31 @@ export default class CachedStorage {
 		tabStatusWatcher = new TabStatusWatcher(),
 		timer = new Timer(),
 		flushDelay,
+		flushDelays = {},
+		debounce = false,
+		maxWait,
+		flushThreshold,
+		flushOnPageLifecycleEvents = true,
 		log = () => {},
 		merge,
+		envelope = false,
+		writerId = String(Math.random()).slice(2),
+		onConflict,
 		matchesPattern = defaultMatchesPattern,
-		cachedKeys = []
+		cachedKeys = [],
+		readCache,
+		readCachedKeys,
+		readCacheMaxSize,
+		copyReadCachedValues,
+		lock,
+		validators,
+		budgets = storage.budgets,
+		onBudgetExceeded = storage.onBudgetExceeded
 	}) {
-		this.storage = storage
+		// In `envelope` mode, each value is stored along with its version and the writer tab ID.
+		this.storage = envelope ? new VersionedStorage({ storage, writerId }) : storage
+		this.envelope = envelope
+		this.onConflict = onConflict
 
 		this.tabStatusWatcher = tabStatusWatcher
 		this.tabStatusWatcher.onInactive(this.flush)
@@ -114,13 +150,55 @@ export default class CachedStorage {
 		this.merge = merge
 		this.matchesPattern = matchesPattern
 		this.cachedKeys = cachedKeys
+		this.cachedKeyMatchers = cachedKeys.map(pattern => compilePattern(pattern, matchesPattern))
 		this.flushDelay = flushDelay
+		this.flushDelayMatchers = Object.keys(flushDelays).map(pattern => ({
+			matches: compilePattern(pattern, matchesPattern),
+			delay: flushDelays[pattern]
+		}))
+		this.debounce = debounce
+		this.maxWait = maxWait
+		this.flushThreshold = flushThreshold
+		this.flushOnPageLifecycleEvents = flushOnPageLifecycleEvents
+		this.lock = lock
+
+		// Cached writes are validated and checked against the budgets before they're cached.
+		// Otherwise, an error would only be thrown when the cache is flushed.
+		// By default, the `validators` and `budgets` of the underlying storage are used.
+		this.validators = validators ? new Validators({ validators, matchesPattern }) : storage.validators
+		this.budgets = budgets
+		this.onBudgetExceeded = onBudgetExceeded
 
 		if (flushDelay === undefined) {
 			throw new Error('[CachedStorage] `flushDelay` parameter is required')
 		}
 
+		// Conflicts are mostly detected when flushing the cache on a timer or when receiving
+		// an "external" change, so an error wouldn't reach the application code.
+		if (envelope && !merge && !onConflict) {
+			throw new Error('[web-browser-storage] Either `merge` or `onConflict` parameter is required in `envelope` mode of a `CachedStorage`')
+		}
+
+		this.changeListeners = new ChangeListeners({ matchesPattern })
+
+		// Read cache is opt-in.
+		// It's used either for `cachedKeys` or for a separate list of `readCachedKeys`.
+		if (readCache || readCachedKeys) {
+			this.readCache = new ReadCache({
+				maxSize: readCacheMaxSize,
+				copy: copyReadCachedValues
+			})
+			if (readCachedKeys) {
+				this.readCachedKeyMatchers = readCachedKeys.map(pattern => compilePattern(pattern, matchesPattern))
+			}
+		}
+
 		this.cache = {}
+		// In `envelope` mode, the stored "envelope" of a value is captured
+		// when the key is first cached: `{ value, version }`.
+		this.cacheBases = {}
+		// The sizes of the cached values are only tracked when there's a `flushThreshold`.
+		this.cachedValueSizes = {}
 		this.previouslyFlushedAt = 0
 	}
 
@@ -135,8 +213,26 @@ export default class CachedStorage {
 
 		this.tabStatusWatcher.start()
 
+		// Flush the cache when the page is being unloaded or "frozen".
+		if (this.flushOnPageLifecycleEvents) {
+			this.stopListeningToPageLifecycleEvents = onPageLifecycleEvent(this.flush)
+		}
+
+		// When the lock is lost, some other tab could start writing to the cached keys.
+		if (this.lock) {
+			this.unlistenLockLost = this.lock.onLost(this.flush)
+		}
+
 		// Listen for `this.storage` changes from other tabs.
 		this.stopListeningToExternalChanges = this.onExternalChange(({ key, value }) => {
+			if (this.readCache) {
+				// `key` could be `null` in a `storage` event when `localStorage.clear()` is called.
+				if (key === null) {
+					this.readCache.clear()
+				} else {
+					this.readCache.delete(key)
+				}
+			}
 			// If the data that has been changed is cached,
 			// then discard the cached data.
 			// Normally this shouldn't happen:
@@ -167,14 +263,24 @@ export default class CachedStorage {
 					// // * ...
 					// //
 					this.log('merge external update', { key, value })
-					if (this.merge) {
-						// Merge the external changes with the cached changes.
-						this.cache[key] = this.merge(key, this.cache[key], value)
+					const base = this.cacheBases[key]
+					const local = this.cache[key]
+					delete this.cache[key]
+					// Merge the external changes with the cached changes.
+					const resolvedValue = this.resolveConflict({
+						key,
+						base: base ? base.value : undefined,
+						local,
+						remote: value
+					})
+					if (resolvedValue === undefined) {
+						this.log(`The data in storage under key "${key}" got updated externally. No merging algorithm has been defined for that data key. Discard the cached data.`)
+					} else {
+						// The external change is the new "base".
+						this.captureBase(key)
+						this.cache[key] = resolvedValue
 						// Write the result of the merge.
 						this.flush()
-					} else {
-						this.log(`The data in storage under key "${key}" got updated externally. No merging algorithm has been defined for that data key. Discard the cached data.`)
-						delete this.cache[key]
 					}
 				}
 			}
@@ -191,27 +297,85 @@ export default class CachedStorage {
 		this.log('stop')
 
 		// Flush any cached changes.
-		this.flush()
+		// Even if flushing fails, the listeners are removed.
+		try {
+			this.flush()
+		} finally {
+			this.tabStatusWatcher.stop()
+			this.stopListeningToExternalChanges()
 
-		this.tabStatusWatcher.stop()
-		this.stopListeningToExternalChanges()
+			if (this.stopListeningToPageLifecycleEvents) {
+				this.stopListeningToPageLifecycleEvents()
+				this.stopListeningToPageLifecycleEvents = undefined
+			}
+
+			// External changes aren't tracked anymore.
+			if (this.readCache) {
+				this.readCache.clear()
+			}
+
+			if (this.unlistenLockLost) {
+				this.unlistenLockLost()
+				this.unlistenLockLost = undefined
+			}
+		}
 	}
 
+	// Includes the keys that have been cached but haven't been flushed yet.
 	keys() {
-		return this.storage.keys()
+		const keys = this.storage.keys()
+		for (const key of Object.keys(this.cache)) {
+			if (!keys.includes(key)) {
+				keys.push(key)
+			}
+		}
+		return keys
 	}
 
 	onExternalChange(listener) {
 		return this.storage.onExternalChange(listener)
 	}
 
+	// Listens for changes to the keys matching a `pattern`: both the ones made
+	// through this instance (`source: "local"`) and "external" ones (`source: "external"`).
+	// Cached writes are reported right away rather than when they're flushed.
+	onChange(pattern, listener) {
+		const removeListener = this.changeListeners.add(pattern, listener)
+		const unlistenExternalChanges = this.onExternalChange(({ key, value, prevValue, paths }) => {
+			if (typeof key === 'string' && this.matchesPattern(key, pattern)) {
+				listener({ key, value, prevValue, paths, source: 'external' })
+			}
+		})
+		return () => {
+			removeListener()
+			unlistenExternalChanges()
+		}
+	}
+
+	// The size of a cached record is estimated as if it was stored as JSON.
 	getRecordSize(key) {
 		if (this.cache.hasOwnProperty(key)) {
-			return JSON.stringify(this.cache[key]).length
+			return getRecordSize(key, JSON.stringify(this.cache[key]))
 		}
 		return this.storage.getRecordSize(key)
 	}
 
+	getTotalSize() {
+		return getTotalSize(this)
+	}
+
+	getUsage(options) {
+		return getUsage(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	exportSnapshot(options) {
+		return exportSnapshot(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	importSnapshot(snapshot, options) {
+		importSnapshot(this, snapshot, { matchesPattern: this.matchesPattern, ...options })
+	}
+
 	has(key) {
 		return this.cache.hasOwnProperty(key) || this.storage.has(key)
 	}
@@ -226,55 +390,312 @@ export default class CachedStorage {
 			// this.log(`[storage] get value from cache for key "${key}"`, this.cache[key])
 			return this.cache[key]
 		}
+		// Read cache is only used when external changes are being listened to.
+		if (this._isStarted && this.shouldReadCacheKey(key)) {
+			if (this.readCache.has(key)) {
+				this.log('read (read cache)', { key })
+				return this.readCache.get(key)
+			}
+			const value = this.storage.get(key, defaultValue)
+			if (value !== null && value !== undefined && this.storage.has(key)) {
+				return this.readCache.set(key, value, this.storage.getRecordSize(key))
+			}
+			return value
+		}
 		return this.storage.get(key, defaultValue)
 	}
 
 	set(key, value) { // , { cache } = {}) {
 		if (value === undefined) {
-			return this.storage.delete(key)
+			return this.delete(key)
+		}
+		if (this.validators) {
+			this.validators.validateWrite(key, value)
+		}
+		const shouldCache = this.shouldCache(key)
+		if (shouldCache) {
+			const error = this.getBudgetExceededError(key, value)
+			if (error) {
+				return this.onWriteError(error)
+			}
 		}
+		if (this.readCache) {
+			this.readCache.delete(key)
+		}
+		// Previous values are only read when there's someone to notify about a change.
+		const prevValue = this.changeListeners.isEmpty() ? undefined : this.getCachedOrStoredValue(key)
 		// if (cache !== false && this.shouldCache(key)) {
-		if (this.shouldCache(key)) {
+		if (shouldCache) {
 			this.log('write (cache)', { key })
 			// this.log(`[storage] cache value for key "${key}"`, value)
 			// if (this.cache.hasOwnProperty(key) && this.cache[key] === value) {
 			// 	// The value didn't change.
 			// } else {
+				this.captureBase(key)
 				this.cache[key] = value
-				this.scheduleFlush()
+				this.onCacheWrite(key)
 			// }
 		} else {
 			this.storage.set(key, value)
 		}
+		if (!this.changeListeners.isEmpty()) {
+			this.changeListeners.trigger({
+				key,
+				value: this.getCachedOrStoredValue(key),
+				prevValue,
+				source: 'local'
+			})
+		}
 	}
 
 	delete(key) {
+		if (this.readCache) {
+			this.readCache.delete(key)
+		}
+		const prevValue = this.changeListeners.isEmpty() ? undefined : this.getCachedOrStoredValue(key)
 		if (this.cache.hasOwnProperty(key)) {
 			delete this.cache[key]
 		}
 		this.storage.delete(key)
+		if (!this.changeListeners.isEmpty() && prevValue !== null) {
+			this.changeListeners.trigger({
+				key,
+				value: null,
+				prevValue,
+				source: 'local'
+			})
+		}
+	}
+
+	/**
+	 * Collects the writes and deletes made by `fn()` and then performs them together.
+	 * The writes that aren't cached are performed in a `batch()` of the underlying `storage`,
+	 * or one by one if it doesn't support `batch()`.
+	 * If that fails, the cache is left untouched.
+	 * `onChange()` listeners are only called after all writes have succeeded.
+	 * @param {function} fn — Receives a `batch` object having `get()`, `has()`, `set()` and `delete()` methods.
+	 */
+	batch(fn) {
+		const changes = collectChanges(this, fn)
+
+		if (this.readCache) {
+			for (const key of changes.keys()) {
+				this.readCache.delete(key)
+			}
+		}
+
+		const prevValues = new Map()
+		if (!this.changeListeners.isEmpty()) {
+			for (const key of changes.keys()) {
+				prevValues.set(key, this.getCachedOrStoredValue(key))
+			}
+		}
+
+		const cachedChanges = new Map()
+		const storedChanges = new Map()
+		for (const [key, value] of changes) {
+			if (value !== undefined && this.shouldCache(key)) {
+				cachedChanges.set(key, value)
+			} else {
+				storedChanges.set(key, value)
+			}
+		}
+
+		// Nothing is written if any of the values is invalid.
+		if (this.validators) {
+			for (const [key, value] of changes) {
+				this.validators.validateWrite(key, value)
+			}
+		}
+		for (const [key, value] of cachedChanges) {
+			const error = this.getBudgetExceededError(key, value)
+			if (error) {
+				return this.onWriteError(error)
+			}
+		}
+
+		if (storedChanges.size > 0) {
+			writeChanges(this.storage, storedChanges)
+			for (const [key, value] of storedChanges) {
+				if (value === undefined) {
+					delete this.cache[key]
+				}
+			}
+		}
+
+		if (cachedChanges.size > 0) {
+			this.log('write (cache)', { keys: Array.from(cachedChanges.keys()) })
+			for (const [key, value] of cachedChanges) {
+				this.captureBase(key)
+				this.cache[key] = value
+				this.onCacheWrite(key)
+			}
+		}
+
+		if (!this.changeListeners.isEmpty()) {
+			for (const key of changes.keys()) {
+				const value = this.getCachedOrStoredValue(key)
+				const prevValue = prevValues.get(key)
+				if (value !== null || prevValue !== null) {
+					this.changeListeners.trigger({ key, value, prevValue, source: 'local' })
+				}
+			}
+		}
 	}
 
+	// An alias for `batch()`.
+	transaction(fn) {
+		return this.batch(fn)
+	}
+
+	/**
+	 * Deletes all keys, or only the ones matching a `pattern`,
+	 * both from the cache and from the underlying storage.
+	 * @param {string} [pattern]
+	 */
+	clear(pattern) {
+		for (const key of this.keys()) {
+			if (pattern === undefined || this.matchesPattern(key, pattern)) {
+				this.delete(key)
+			}
+		}
+		// There's nothing left to flush.
+		if (Object.keys(this.cache).length === 0) {
+			this.cancelScheduledFlush()
+		}
+	}
+
+	getPath(key, path) {
+		return getPath(this, key, path)
+	}
+
+	setPath(key, path, value) {
+		return setPath(this, key, path, value)
+	}
+
+	deletePath(key, path) {
+		return deletePath(this, key, path)
+	}
+
+	update(key, update) {
+		return updateValue(this, key, update)
+	}
+
+	// Cached writes are checked against the `budgets` before they're cached.
+	// The size of a cached record is estimated the same way as in `getRecordSize()`.
+	getBudgetExceededError(key, value) {
+		if (this.budgets) {
+			return getBudgetExceededError({
+				storage: this,
+				budgets: this.budgets,
+				key,
+				recordSize: getRecordSize(key, JSON.stringify(value)),
+				matchesPattern: this.matchesPattern
+			})
+		}
+	}
+
+	// Either calls `onBudgetExceeded()`, if specified, or throws the `error`.
+	onWriteError(error) {
+		if (this.onBudgetExceeded) {
+			return this.onBudgetExceeded({ error })
+		}
+		throw error
+	}
+
+	getCachedOrStoredValue(key) {
+		if (this.cache.hasOwnProperty(key)) {
+			return this.cache[key]
+		}
+		return this.storage.get(key)
+	}
+
+	// If writing a key fails, the other keys are still written and the cache is reset.
+	// After that, the first error is thrown.
 	flush = () => {
 		// this.log('flush')
+		let flushError
 		for (const key of Object.keys(this.cache)) {
-			this.log('flush', { key })
-			this.storage.set(key, this.cache[key])
+			let value = this.cache[key]
+			try {
+				// In `envelope` mode, a stored value could've been changed by another tab
+				// even if no "external" change has been received. For example, when
+				// the tab has been "frozen" by the web browser.
+				if (this.hasConflict(key)) {
+					value = this.resolveConflict({
+						key,
+						base: this.cacheBases[key].value,
+						local: value,
+						remote: this.storage.get(key)
+					})
+					if (value === undefined) {
+						continue
+					}
+				}
+				this.log('flush', { key })
+				this.storage.set(key, value)
+			} catch (error) {
+				this.log('flush error', { key, error })
+				flushError = flushError || error
+			}
 		}
 		this.cache = {}
+		this.cacheBases = {}
 		this.previouslyFlushedAt = this.timer.now()
-		if (this.flushTimer) {
-			this.timer.cancel(this.flushTimer)
-			this.flushTimer = undefined
+		this.cancelScheduledFlush()
+		if (flushError) {
+			throw flushError
+		}
+	}
+
+	// In `envelope` mode, captures the stored value of a key when it's first cached.
+	captureBase(key) {
+		if (this.envelope && !this.cache.hasOwnProperty(key)) {
+			const record = this.storage.getRecord(key)
+			this.cacheBases[key] = {
+				value: record ? record.value : null,
+				version: record ? record.version : 0
+			}
+		}
+	}
+
+	// In `envelope` mode, tells whether the stored value of a cached key
+	// has been changed since the key has been cached.
+	hasConflict(key) {
+		if (this.envelope && this.cacheBases[key]) {
+			const record = this.storage.getRecord(key)
+			return (record ? record.version : 0) !== this.cacheBases[key].version
+		}
+		return false
+	}
+
+	/**
+	 * Resolves a conflict between a cached value and an "external" change.
+	 * @param  {string} options.key
+	 * @param  {any} options.base — In `envelope` mode, the stored value at the time the key has been cached.
+	 * @param  {any} options.local — The cached value.
+	 * @param  {any} options.remote — The externally changed value.
+	 * @return {any} The value to be written. Returns `undefined` if the cached value should be discarded.
+	 */
+	resolveConflict({ key, base, local, remote }) {
+		if (this.merge) {
+			if (this.envelope) {
+				return this.merge({ key, base, local, remote })
+			}
+			return this.merge(key, local, remote)
+		}
+		if (this.onConflict) {
+			return this.onConflict({ error: new ConflictError({ key, base, local, remote }) })
 		}
 	}
 
 	/**
 	 * Marks a key pattern as cached.
-	 * @param  {string} pattern — A key matching pattern. An asterisk ("*") at the end matches "anything else".
+	 * @param  {(string|RegExp|function)} pattern — A key matching pattern: a glob pattern, a `RegExp` or a `(key) => boolean` function. See `compilePattern()` in `matchesPattern.js`.
 	 */
 	cacheKey(pattern) {
 		this.cachedKeys.push(pattern)
+		this.cachedKeyMatchers.push(compilePattern(pattern, this.matchesPattern))
 	}
 
 	/**
@@ -287,6 +708,10 @@ export default class CachedStorage {
 		if (!this.tabStatusWatcher.isActive()) {
 			return false
 		}
+		// Only cache writes when the tab holds the lock.
+		if (this.lock && !this.lock.isLeader()) {
+			return false
+		}
 		// Only cache the keys that have explicitly opted in.
 		if (!this.shouldCacheKey(key)) {
 			return false
@@ -295,16 +720,114 @@ export default class CachedStorage {
 	}
 
 	shouldCacheKey(key) {
-		for (const pattern of this.cachedKeys) {
-			if (this.matchesPattern(key, pattern)) {
+		for (const matcher of this.cachedKeyMatchers) {
+			if (matcher(key)) {
 				return true
 			}
 		}
 	}
 
-	scheduleFlush() {
-		if (!this.flushTimer) {
-			this.flushTimer = this.timer.schedule(this.flush, this.flushDelay)
+	shouldReadCacheKey(key) {
+		if (!this.readCache) {
+			return false
+		}
+		if (this.readCachedKeyMatchers) {
+			return this.readCachedKeyMatchers.some(matcher => matcher(key))
+		}
+		return this.shouldCacheKey(key)
+	}
+
+	// Is called after a `value` has been written to the cache.
+	onCacheWrite(key) {
+		if (this.flushThreshold !== undefined) {
+			this.cachedValueSizes[key] = getRecordSize(key, JSON.stringify(this.cache[key]))
+			if (this.getCachedValuesSize() > this.flushThreshold) {
+				this.log('flush (threshold)')
+				return this.flush()
+			}
+		}
+		this.scheduleFlush(key)
+	}
+
+	getCachedValuesSize() {
+		let size = 0
+		for (const key of Object.keys(this.cache)) {
+			size += this.cachedValueSizes[key] || 0
+		}
+		return size
+	}
+
+	getFlushDelay(key) {
+		for (const { matches, delay } of this.flushDelayMatchers) {
+			if (matches(key)) {
+				return delay
+			}
+		}
+		return this.flushDelay
+	}
+
+	// Schedules a flush after a `key` has been written to the cache.
+	//
+	// By default, the cache is flushed after the flush delay of the key
+	// that has been written first. When keys have different flush delays,
+	// a key with a shorter flush delay could make the cache be flushed earlier.
+	//
+	// In `debounce` mode, each write postpones the flush by the key's flush delay,
+	// but no later than `maxWait` after the first write since the previous flush.
+	//
+	scheduleFlush(key) {
+		const now = this.timer.now()
+		if (this.firstUnflushedWriteAt === undefined) {
+			this.firstUnflushedWriteAt = now
+		}
+		let flushAt = now + this.getFlushDelay(key)
+		if (this.debounce) {
+			if (this.maxWait !== undefined) {
+				flushAt = Math.min(flushAt, this.firstUnflushedWriteAt + this.maxWait)
+			}
+		} else if (this.flushTimer) {
+			flushAt = Math.min(flushAt, this.flushAt)
+		}
+		if (this.flushTimer) {
+			if (flushAt === this.flushAt) {
+				return
+			}
+			this.timer.cancel(this.flushTimer)
+		}
+		this.flushAt = flushAt
+		this.flushTimer = this.timer.schedule(this.flush, flushAt - now)
+	}
+
+	cancelScheduledFlush() {
+		if (this.flushTimer) {
+			this.timer.cancel(this.flushTimer)
+			this.flushTimer = undefined
+		}
+		this.flushAt = undefined
+		this.firstUnflushedWriteAt = undefined
+		this.cachedValueSizes = {}
+	}
+}
+
+// Listens to the page lifecycle events after which the page could be discarded
+// without any further notice, so it's the last chance to write the data.
+// https://developer.chrome.com/docs/web-platform/page-lifecycle-api
+function onPageLifecycleEvent(listener) {
+	const _listener = () => listener()
+	if (typeof window !== 'undefined') {
+		window.addEventListener('pagehide', _listener)
+		window.addEventListener('beforeunload', _listener)
+	}
+	if (typeof document !== 'undefined') {
+		document.addEventListener('freeze', _listener)
+	}
+	return () => {
+		if (typeof window !== 'undefined') {
+			window.removeEventListener('pagehide', _listener)
+			window.removeEventListener('beforeunload', _listener)
+		}
+		if (typeof document !== 'undefined') {
+			document.removeEventListener('freeze', _listener)
 		}
 	}
-}
\ No newline at end of file
+}
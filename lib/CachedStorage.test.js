@@ -6,6 +6,9 @@ import { TestTimer } from 'web-browser-timer'
 
 import CachedStorage from './CachedStorage.js'
 import MemoryStorage from './MemoryStorage.js'
+import ConflictError from './ConflictError.js'
+import ValidationError from './ValidationError.js'
+import BudgetExceededError from './BudgetExceededError.js'
 
 describe('CachedStorage', function() {
 	it('should implement Storage interface', function() {
@@ -181,4 +184,786 @@ describe('CachedStorage', function() {
 
 		cachedStorage.stop()
 	})
-})
\ No newline at end of file
+
+	it('should calculate the size of cached records the same way as the underlying storage', function() {
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			flushDelay: 60 * 1000,
+			timer: new TestTimer(),
+			cachedKeys: ['cached-*']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		storage.set('key', { a: 'b' })
+		cachedStorage.set('cached-key', { a: 'b' })
+
+		expect(storage.has('cached-key')).to.equal(false)
+		expect(cachedStorage.getRecordSize('cached-key')).to.equal(2 * ('cached-key'.length + '{"a":"b"}'.length))
+		expect(cachedStorage.keys()).to.deep.equal(['key', 'cached-key'])
+		expect(cachedStorage.getTotalSize()).to.equal(24 + 38)
+		expect(cachedStorage.getUsage({ groupBy: ['cached-*'] })).to.deep.equal({
+			total: 24 + 38,
+			groups: {
+				'cached-*': 38
+			},
+			other: 24
+		})
+
+		cachedStorage.flush()
+		expect(storage.getRecordSize('cached-key')).to.equal(38)
+
+		cachedStorage.stop()
+	})
+
+	it('should call `onChange()` listeners on cached writes right away', function() {
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			flushDelay: 60 * 1000,
+			timer: new TestTimer(),
+			cachedKeys: ['cached-*']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		const changes = []
+		const unlisten = cachedStorage.onChange('*', change => changes.push(change))
+
+		cachedStorage.set('cached-key', 'One')
+		expect(storage.has('cached-key')).to.equal(false)
+
+		cachedStorage.set('cached-key', 'Two')
+		cachedStorage.set('non-cached-key', 'One')
+		cachedStorage.delete('cached-key')
+
+		expect(changes).to.deep.equal([{
+			key: 'cached-key',
+			value: 'One',
+			prevValue: null,
+			paths: [''],
+			source: 'local'
+		}, {
+			key: 'cached-key',
+			value: 'Two',
+			prevValue: 'One',
+			paths: [''],
+			source: 'local'
+		}, {
+			key: 'non-cached-key',
+			value: 'One',
+			prevValue: null,
+			paths: [''],
+			source: 'local'
+		}, {
+			key: 'cached-key',
+			value: null,
+			prevValue: 'Two',
+			paths: [''],
+			source: 'local'
+		}])
+
+		unlisten()
+		cachedStorage.stop()
+	})
+
+	it('should perform writes in a `batch()`', function() {
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			flushDelay: 60 * 1000,
+			timer: new TestTimer(),
+			cachedKeys: ['cached-*']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		storage.set('non-cached-key-2', 'One')
+
+		const changes = []
+		cachedStorage.onChange('*', change => changes.push(change))
+
+		cachedStorage.batch((batch) => {
+			batch.set('cached-key', 'One')
+			batch.set('non-cached-key', 'One')
+			batch.delete('non-cached-key-2')
+		})
+
+		expect(storage.has('cached-key')).to.equal(false)
+		expect(cachedStorage.get('cached-key')).to.equal('One')
+		expect(storage.get('non-cached-key')).to.equal('One')
+		expect(storage.has('non-cached-key-2')).to.equal(false)
+
+		expect(changes).to.deep.equal([{
+			key: 'cached-key',
+			value: 'One',
+			prevValue: null,
+			paths: [''],
+			source: 'local'
+		}, {
+			key: 'non-cached-key',
+			value: 'One',
+			prevValue: null,
+			paths: [''],
+			source: 'local'
+		}, {
+			key: 'non-cached-key-2',
+			value: null,
+			prevValue: 'One',
+			paths: [''],
+			source: 'local'
+		}])
+
+		cachedStorage.stop()
+	})
+
+	it('should `clear()` keys', function() {
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+		const timer = new TestTimer()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			flushDelay: 60 * 1000,
+			timer,
+			cachedKeys: ['cached-*']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		storage.set('cached-key-1', 'One')
+		cachedStorage.set('cached-key-2', 'One')
+		cachedStorage.set('cached-key-3', 'One')
+		cachedStorage.set('non-cached-key', 'One')
+
+		cachedStorage.clear('cached-key-2')
+		expect(cachedStorage.has('cached-key-2')).to.equal(false)
+		expect(cachedStorage.flushTimer).not.to.be.undefined
+
+		cachedStorage.clear('cached-*')
+		expect(cachedStorage.keys()).to.deep.equal(['non-cached-key'])
+		expect(cachedStorage.cache).to.deep.equal({})
+		expect(cachedStorage.flushTimer).to.be.undefined
+
+		cachedStorage.clear()
+		expect(cachedStorage.keys()).to.deep.equal([])
+		expect(storage.keys()).to.deep.equal([])
+
+		cachedStorage.stop()
+	})
+
+	it('should support glob, `RegExp` and function patterns for cached keys', function() {
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			flushDelay: 60 * 1000,
+			timer: new TestTimer(),
+			cachedKeys: ['thread.*.comments']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		cachedStorage.cacheKey(/^board\.\d+$/)
+		cachedStorage.cacheKey(key => key.endsWith('.draft'))
+
+		cachedStorage.set('thread.1.comments', 'value')
+		cachedStorage.set('thread.1', 'value')
+		cachedStorage.set('board.1', 'value')
+		cachedStorage.set('board.a', 'value')
+		cachedStorage.set('comment.draft', 'value')
+
+		expect(Object.keys(cachedStorage.cache)).to.deep.equal([
+			'thread.1.comments',
+			'board.1',
+			'comment.draft'
+		])
+		expect(storage.keys()).to.deep.equal(['thread.1', 'board.a'])
+
+		cachedStorage.stop()
+	})
+
+	it('should cache reads', function() {
+		const storage = new MemoryStorage({ id: 'storage' })
+		const otherTabStorage = storage.createSharedInstance('other-tab')
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		let reads = 0
+		const get = storage.get
+		storage.get = function(key) {
+			reads++
+			return get.call(this, key)
+		}
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			flushDelay: 60 * 1000,
+			timer: new TestTimer(),
+			readCachedKeys: ['read-cached-*']
+		})
+
+		storage.set('read-cached-key', { a: 'b' })
+		storage.set('non-read-cached-key', { a: 'b' })
+
+		// The read cache isn't used until started.
+		reads = 0
+		expect(cachedStorage.get('read-cached-key')).to.deep.equal({ a: 'b' })
+		expect(reads).to.equal(1)
+
+		cachedStorage.start()
+
+		reads = 0
+		const value = cachedStorage.get('read-cached-key')
+		expect(cachedStorage.get('read-cached-key')).to.equal(value)
+		expect(reads).to.equal(1)
+		expect(Object.isFrozen(value)).to.equal(true)
+		expect(() => value.a = 'c').to.throw(TypeError)
+
+		reads = 0
+		cachedStorage.get('non-read-cached-key')
+		cachedStorage.get('non-read-cached-key')
+		expect(reads).to.equal(2)
+
+		// Local writes discard the cached value.
+		cachedStorage.set('read-cached-key', { a: 'c' })
+		expect(cachedStorage.get('read-cached-key')).to.deep.equal({ a: 'c' })
+
+		// External writes discard the cached value.
+		otherTabStorage.set('read-cached-key', { a: 'd' })
+		expect(cachedStorage.get('read-cached-key')).to.deep.equal({ a: 'd' })
+
+		// Local deletes discard the cached value.
+		cachedStorage.delete('read-cached-key')
+		expect(cachedStorage.get('read-cached-key')).to.be.null
+
+		cachedStorage.stop()
+	})
+
+	it('should evict "least recently used" values from the read cache', function() {
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			flushDelay: 60 * 1000,
+			timer: new TestTimer(),
+			cachedKeys: ['*'],
+			readCache: true,
+			// Each record is 2 * ('a' + '"value"').length = 16 bytes.
+			readCacheMaxSize: 40,
+			copyReadCachedValues: true
+		})
+
+		cachedStorage.start()
+
+		storage.set('a', 'value')
+		storage.set('b', 'value')
+		storage.set('c', { value: 1 })
+
+		cachedStorage.get('a')
+		cachedStorage.get('b')
+		cachedStorage.get('a')
+		expect(Array.from(cachedStorage.readCache.entries.keys())).to.deep.equal(['b', 'a'])
+
+		// `'c' + '{"value":1}'` is 24 bytes, so "b" is evicted.
+		const value = cachedStorage.get('c')
+		expect(Array.from(cachedStorage.readCache.entries.keys())).to.deep.equal(['a', 'c'])
+
+		// A copy of the value is returned.
+		expect(Object.isFrozen(value)).to.equal(false)
+		value.value = 2
+		expect(cachedStorage.get('c')).to.deep.equal({ value: 1 })
+
+		cachedStorage.stop()
+		expect(cachedStorage.readCache.entries.size).to.equal(0)
+	})
+
+	it('should use per-pattern flush delays', async function() {
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+		const timer = new TestTimer()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer,
+			flushDelay: 60 * 1000,
+			flushDelays: {
+				'urgent.*': 1000
+			},
+			cachedKeys: ['*']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		cachedStorage.set('key', 'value')
+		await timer.skip(30 * 1000)
+		expect(storage.has('key')).to.equal(false)
+
+		// A key with a shorter flush delay makes the cache be flushed earlier.
+		cachedStorage.set('urgent.key', 'value')
+		await timer.skip(999)
+		expect(storage.has('urgent.key')).to.equal(false)
+		await timer.skip(1)
+		expect(storage.get('urgent.key')).to.equal('value')
+		expect(storage.get('key')).to.equal('value')
+
+		// A key with a longer flush delay doesn't postpone the flush.
+		cachedStorage.set('urgent.key', 'other')
+		cachedStorage.set('key', 'other')
+		await timer.skip(1000)
+		expect(storage.get('key')).to.equal('other')
+
+		cachedStorage.stop()
+	})
+
+	it('should debounce flushes with a `maxWait`', async function() {
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+		const timer = new TestTimer()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer,
+			flushDelay: 1000,
+			debounce: true,
+			maxWait: 2500,
+			cachedKeys: ['*']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		cachedStorage.set('key', 1)
+		await timer.skip(800)
+		cachedStorage.set('key', 2)
+		await timer.skip(800)
+		cachedStorage.set('key', 3)
+		await timer.skip(800)
+		expect(storage.has('key')).to.equal(false)
+
+		cachedStorage.set('key', 4)
+		await timer.skip(100)
+		// `maxWait` has been reached.
+		expect(storage.get('key')).to.equal(4)
+
+		cachedStorage.set('key', 5)
+		await timer.skip(999)
+		expect(storage.get('key')).to.equal(4)
+		await timer.skip(1)
+		expect(storage.get('key')).to.equal(5)
+
+		cachedStorage.stop()
+	})
+
+	it('should flush when the size of the cached values exceeds `flushThreshold`', function() {
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			// `'a' + '"value"'` is 16 bytes.
+			flushThreshold: 40,
+			cachedKeys: ['*']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		cachedStorage.set('a', 'value')
+		cachedStorage.set('b', 'value')
+		// Overwriting a value doesn't count the previous value.
+		cachedStorage.set('b', 'value')
+		expect(storage.keys()).to.deep.equal([])
+
+		cachedStorage.set('c', 'value')
+		expect(storage.keys()).to.deep.equal(['a', 'b', 'c'])
+		expect(cachedStorage.cache).to.deep.equal({})
+		expect(cachedStorage.flushTimer).to.be.undefined
+
+		cachedStorage.stop()
+	})
+
+	it('should flush on page lifecycle events', function() {
+		global.window = new EventTarget()
+		global.document = new EventTarget()
+
+		try {
+			const storage = new MemoryStorage()
+			const tabStatusWatcher = new TestTabStatusWatcher()
+
+			const cachedStorage = new CachedStorage({
+				storage,
+				tabStatusWatcher,
+				timer: new TestTimer(),
+				flushDelay: 60 * 1000,
+				cachedKeys: ['*']
+			})
+
+			cachedStorage.start()
+
+			tabStatusWatcher.setActive(true)
+
+			for (const [target, event] of [
+				[window, 'pagehide'],
+				[window, 'beforeunload'],
+				[document, 'freeze']
+			]) {
+				cachedStorage.set(event, 'value')
+				expect(storage.has(event)).to.equal(false)
+				target.dispatchEvent(new Event(event))
+				expect(storage.get(event)).to.equal('value')
+			}
+
+			cachedStorage.stop()
+
+			// Doesn't listen to page lifecycle events after being stopped.
+			cachedStorage.cache.key = 'value'
+			window.dispatchEvent(new Event('pagehide'))
+			expect(storage.has('key')).to.equal(false)
+		} finally {
+			delete global.window
+			delete global.document
+		}
+	})
+
+	it('should store values in "envelopes"', function() {
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		storage.set('key', 'legacy')
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			envelope: true,
+			writerId: 'tab-1',
+			cachedKeys: ['cached-*'],
+			onConflict: () => {}
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		// Values written without an "envelope" are read as is.
+		expect(cachedStorage.get('key')).to.equal('legacy')
+
+		cachedStorage.set('key', 'value')
+		expect(storage.get('key')).to.deep.equal({ value: 'value', version: 1, writerId: 'tab-1' })
+		expect(cachedStorage.get('key')).to.equal('value')
+
+		cachedStorage.set('key', 'other')
+		expect(storage.get('key')).to.deep.equal({ value: 'other', version: 2, writerId: 'tab-1' })
+
+		cachedStorage.set('cached-key', 'value')
+		cachedStorage.flush()
+		expect(storage.get('cached-key')).to.deep.equal({ value: 'value', version: 1, writerId: 'tab-1' })
+
+		cachedStorage.stop()
+	})
+
+	it('should perform a three-way merge of an external change in `envelope` mode', function() {
+		const storage = new MemoryStorage({ id: 'storage' })
+		const otherTabStorage = storage.createSharedInstance('other-tab')
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const merges = []
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			envelope: true,
+			writerId: 'tab-1',
+			cachedKeys: ['*'],
+			merge: ({ key, base, local, remote }) => {
+				merges.push({ key, base, local, remote })
+				const added = local.filter(_ => !base.includes(_))
+				return remote.concat(added)
+			}
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		storage.set('key', { value: [1], version: 1, writerId: 'tab-2' })
+
+		cachedStorage.set('key', [1, 2])
+		cachedStorage.set('key', [1, 2, 3])
+
+		otherTabStorage.set('key', { value: [1, 4], version: 2, writerId: 'tab-2' })
+
+		expect(merges).to.deep.equal([{
+			key: 'key',
+			base: [1],
+			local: [1, 2, 3],
+			remote: [1, 4]
+		}])
+		expect(storage.get('key')).to.deep.equal({ value: [1, 4, 2, 3], version: 3, writerId: 'tab-1' })
+
+		cachedStorage.stop()
+	})
+
+	it('should detect conflicts when flushing in `envelope` mode', function() {
+		// A storage without an `id` doesn't trigger external change listeners.
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const conflicts = []
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			envelope: true,
+			writerId: 'tab-1',
+			cachedKeys: ['*'],
+			onConflict: ({ error }) => {
+				conflicts.push(error)
+				return error.key === 'a' ? 'resolved' : undefined
+			}
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		cachedStorage.set('a', 'local')
+		cachedStorage.set('b', 'local')
+		cachedStorage.set('c', 'local')
+
+		storage.set('a', { value: 'remote', version: 1, writerId: 'tab-2' })
+		storage.set('b', { value: 'remote', version: 1, writerId: 'tab-2' })
+
+		cachedStorage.flush()
+
+		expect(conflicts.length).to.equal(2)
+		expect(conflicts[0]).to.be.an.instanceof(ConflictError)
+		expect(conflicts[0].key).to.equal('a')
+		expect(conflicts[0].base).to.be.null
+		expect(conflicts[0].local).to.equal('local')
+		expect(conflicts[0].remote).to.equal('remote')
+
+		expect(cachedStorage.get('a')).to.equal('resolved')
+		expect(cachedStorage.get('b')).to.equal('remote')
+		expect(cachedStorage.get('c')).to.equal('local')
+
+		cachedStorage.stop()
+	})
+
+	it('should require `merge()` or `onConflict()` in `envelope` mode', function() {
+		expect(() => new CachedStorage({
+			storage: new MemoryStorage(),
+			tabStatusWatcher: new TestTabStatusWatcher(),
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			envelope: true
+		})).to.throw('Either `merge` or `onConflict` parameter is required')
+	})
+
+	it('should stop listening to changes even if flushing fails', function() {
+		const storage = new MemoryStorage({ id: 'storage' })
+		const otherTabStorage = storage.createSharedInstance('other-tab')
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			envelope: true,
+			cachedKeys: ['*'],
+			onConflict: ({ error }) => {
+				throw error
+			}
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		cachedStorage.set('key', 'local')
+
+		// Not an "external" change for `cachedStorage`.
+		storage.set('key', { value: 'remote', version: 1, writerId: 'tab-2' })
+
+		expect(() => cachedStorage.stop()).to.throw(ConflictError)
+
+		// The cache has been reset.
+		expect(cachedStorage.cache).to.deep.equal({})
+		expect(cachedStorage.get('key')).to.equal('remote')
+
+		// External changes aren't listened to anymore.
+		expect(storage.getExternalChangeListeners()).to.deep.equal([])
+		otherTabStorage.set('key', { value: 'other', version: 2, writerId: 'tab-2' })
+
+		// It could be started again.
+		cachedStorage.start()
+		cachedStorage.stop()
+	})
+
+	it('should validate cached writes before caching them', function() {
+		const storage = new MemoryStorage({
+			validators: {
+				'counters.*': value => Number.isInteger(value)
+			}
+		})
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			cachedKeys: ['*']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		cachedStorage.set('counters.a', 1)
+		expect(() => cachedStorage.set('counters.a', 1.5)).to.throw(ValidationError)
+		expect(cachedStorage.get('counters.a')).to.equal(1)
+
+		expect(() => cachedStorage.batch((batch) => {
+			batch.set('counters.b', 2)
+			batch.set('counters.c', 'x')
+		})).to.throw(ValidationError)
+		expect(cachedStorage.keys()).to.deep.equal(['counters.a'])
+
+		cachedStorage.stop()
+		expect(storage.get('counters.a')).to.equal(1)
+
+		// Validators could also be passed to `CachedStorage` itself.
+		const otherCachedStorage = new CachedStorage({
+			storage: new MemoryStorage(),
+			tabStatusWatcher,
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			cachedKeys: ['*'],
+			validators: {
+				'counters.*': value => Number.isInteger(value)
+			}
+		})
+
+		expect(() => otherCachedStorage.set('counters.a', 'x')).to.throw(ValidationError)
+	})
+
+	it('should check cached writes against the budgets before caching them', function() {
+		const storage = new MemoryStorage({
+			budgets: {
+				'drafts.*': 40
+			}
+		})
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const errors = []
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			cachedKeys: ['*']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		// "drafts.a" + '"aaaaaaaaaa"'
+		cachedStorage.set('drafts.a', 'aaaaaaaaaa')
+		// "drafts.b" + '"bbbbbbbbbbbbbbbbbbbb"'
+		expect(() => cachedStorage.set('drafts.b', 'bbbbbbbbbbbbbbbbbbbb')).to.throw(BudgetExceededError)
+		expect(cachedStorage.has('drafts.b')).to.equal(false)
+
+		cachedStorage.stop()
+
+		const otherCachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			cachedKeys: ['*'],
+			onBudgetExceeded: ({ error }) => errors.push(error)
+		})
+
+		otherCachedStorage.batch((batch) => {
+			batch.set('other', 1)
+			batch.set('drafts.b', 'bbbbbbbbbbbbbbbbbbbb')
+		})
+
+		expect(errors.length).to.equal(1)
+		expect(errors[0].key).to.equal('drafts.b')
+		expect(otherCachedStorage.has('other')).to.equal(false)
+	})
+
+	it('should flush the other cached values when writing one of them fails', function() {
+		// "a" + "1" = 2 bytes.
+		const storage = new MemoryStorage({ quota: 10 })
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			cachedKeys: ['*']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		cachedStorage.set('big', 'xxxxxxxxxxxxxxxxxxxx')
+		cachedStorage.set('a', 1)
+
+		expect(() => cachedStorage.flush()).to.throw('exceeded the quota')
+
+		expect(cachedStorage.cache).to.deep.equal({})
+		expect(storage.get('a')).to.equal(1)
+		expect(storage.has('big')).to.equal(false)
+
+		cachedStorage.stop()
+	})
+})
@@ -0,0 +1,61 @@
+import { compilePattern } from './matchesPattern.js'
+import { getChangedPaths } from './path.js'
+
+// `ChangeListeners` keeps track of `onChange()` listeners of a storage.
+// Each listener is only called for the keys that match its key pattern.
+export default class ChangeListeners {
+	/**
+	 * @param {function} options.matchesPattern
+	 */
+	constructor({ matchesPattern }) {
+		this.matchesPattern = matchesPattern
+		this.listeners = []
+	}
+
+	/**
+	 * Adds a listener.
+	 * @param  {(string|RegExp|function)} pattern — Key pattern.
+	 * @param  {function} listener — Is called with `{ key, value, prevValue, paths, source }`.
+	 * @return {function} Removes the listener.
+	 */
+	add(pattern, listener) {
+		const entry = { matches: compilePattern(pattern, this.matchesPattern), listener }
+		this.listeners = this.listeners.concat(entry)
+		return () => {
+			this.listeners = this.listeners.filter(_ => _ !== entry)
+		}
+	}
+
+	/**
+	 * Tells whether there're any listeners.
+	 * When there're none, a storage doesn't have to read the previous value on write.
+	 * @return {boolean}
+	 */
+	isEmpty() {
+		return this.listeners.length === 0
+	}
+
+	/**
+	 * Calls the listeners whose key pattern matches the `key`.
+	 * @param {string} change.key
+	 * @param {any} change.value
+	 * @param {any} change.prevValue
+	 * @param {string} change.source — Either "local" or "external".
+	 */
+	trigger({ key, value, prevValue, source }) {
+		// `key` could be `null` in a `storage` event when `localStorage.clear()` is called.
+		if (typeof key !== 'string') {
+			return
+		}
+		let paths
+		for (const { matches, listener } of this.listeners) {
+			if (matches(key)) {
+				// The changed paths are only compared when there's a listener for them.
+				if (!paths) {
+					paths = getChangedPaths(prevValue, value)
+				}
+				listener({ key, value, prevValue, paths, source })
+			}
+		}
+	}
+}
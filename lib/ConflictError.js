@@ -0,0 +1,12 @@
+// Is thrown when a cached value conflicts with an "external" change
+// and there's no `merge()` function to resolve the conflict.
+export default class ConflictError extends Error {
+	constructor({ key, base, local, remote }) {
+		super(`[web-browser-storage] The cached value of "${key}" conflicts with an external change`)
+		this.name = 'ConflictError'
+		this.key = key
+		this.base = base
+		this.local = local
+		this.remote = remote
+	}
+}
@@ -0,0 +1,415 @@
+import defaultMatchesPattern, { compilePattern } from './matchesPattern.js'
+import { getTotalSize, getUsage } from './size.js'
+import { getPath, setPath, deletePath, updateValue, getChangedPaths } from './path.js'
+import CookieTooLargeError from './CookieTooLargeError.js'
+import Validators from './Validators.js'
+import { exportSnapshot, importSnapshot } from './snapshot.js'
+
+// Web browsers limit the size of a cookie's name and value to 4096 bytes.
+// https://developer.mozilla.org/en-US/docs/Web/HTTP/Cookies
+const MAX_COOKIE_SIZE = 4096
+
+// `CookieStorage` stores values in cookies, so that they could be read
+// on server side, for example, when rendering a page.
+//
+// Values are stringified and then URL-encoded.
+//
+// In a web browser, cookies are read from and written to `document.cookie`.
+// In `server` mode, cookies are read from a `Cookie` HTTP request header
+// and the writes are collected as `Set-Cookie` HTTP response headers.
+//
+// Other cookies, for example, a session cookie set by a server, aren't listed in `keys()`.
+// Those are the cookies whose names don't start with the `prefix`
+// or whose values can't be parsed. Still, a value of some other cookie
+// could happen to be valid JSON, like `userId=123`, so `clear()` and importing
+// a snapshot in "replace" mode require a `prefix` to make sure that they
+// don't delete other cookies.
+//
+// Usage example: `captchan` stores the `theme` and `locale` settings in cookies
+// so that a page could be rendered with those on server side.
+//
+export default class CookieStorage {
+	/**
+	 * @param {boolean} [options.server] — Pass `true` to read cookies from the `cookieHeader` and collect `Set-Cookie` headers instead of using `document.cookie`.
+	 * @param {string} [options.cookieHeader] — The `Cookie` HTTP request header, in `server` mode.
+	 * @param {string} [options.prefix] — A prefix for cookie names. Cookies whose names don't start with it are ignored by `keys()`. Is required for `clear()` and importing a snapshot in "replace" mode.
+	 * @param {number} [options.maxAge] — Cookie lifetime, in seconds. By default, cookies expire when the web browser is closed.
+	 * @param {string} [options.path] — Cookie path. Default: "/".
+	 * @param {string} [options.domain] — Cookie domain.
+	 * @param {string} [options.sameSite] — "Strict", "Lax" or "None". Default: "Lax".
+	 * @param {boolean} [options.secure] — Whether the cookies should only be sent over HTTPS.
+	 * @param {object} [options.keyOptions] — Cookie options for the keys matching a pattern: `{ [pattern]: { maxAge, path, domain, sameSite, secure } }`.
+	 * @param {number} [options.maxCookieSize] — Maximum size of a cookie's name and value, in bytes. Default: 4096.
+	 * @param {function} [options.onFull] — Is called with `{ error }` when a cookie would exceed the `maxCookieSize`. Otherwise, the error is thrown.
+	 * @param {object} [options.validators] — Validators by key pattern: `{ [pattern]: schema | function }`. When a value is invalid, `set()` throws a `ValidationError`.
+	 * @param {object} [options.defaults] — The values that are read instead of invalid ones, by key pattern: `{ [pattern]: value }`.
+	 * @param {function} [options.onInvalid] — Is called with `{ key, value, errors }` when an invalid value is read.
+	 * @param {object} [options.serializer] — By default, it's `JSON`.
+	 * @param {Document} [options.document] — By default, it's the global `document`.
+	 * @param {CookieStore} [options.cookieStore] — By default, it's the global `cookieStore`, if available. Is used for listening to external changes.
+	 * @param {function} [options.matchesPattern]
+	 * @param {function} [options.log]
+	 */
+	constructor({
+		server = false,
+		cookieHeader,
+		prefix = '',
+		maxAge,
+		path = '/',
+		domain,
+		sameSite = 'Lax',
+		secure,
+		keyOptions = {},
+		maxCookieSize = MAX_COOKIE_SIZE,
+		onFull,
+		validators,
+		defaults,
+		onInvalid,
+		serializer = JSON,
+		document,
+		cookieStore,
+		matchesPattern = defaultMatchesPattern,
+		log = () => {}
+	} = {}) {
+		this.server = server
+		this.prefix = prefix
+		this.cookieOptions = { maxAge, path, domain, sameSite, secure }
+		this.keyOptions = Object.keys(keyOptions).map(pattern => ({
+			matches: compilePattern(pattern, matchesPattern),
+			options: keyOptions[pattern]
+		}))
+		this.maxCookieSize = maxCookieSize
+		this.onFull = onFull
+		this.validators = new Validators({ validators, defaults, onInvalid, matchesPattern })
+		this.serializer = serializer
+		// `document` and `cookieStore` are not available on server side,
+		// so the global variables are only accessed when they're used.
+		this.document = document
+		this.cookieStore = cookieStore
+		this.matchesPattern = matchesPattern
+		this.log = log
+
+		if (server) {
+			this.cookies = parseCookieHeader(cookieHeader || '')
+			this.setCookieHeaders = new Map()
+		}
+
+		this.externalChangeListeners = []
+	}
+
+	has(key) {
+		return this.readCookies().has(getCookieName(key, this.prefix))
+	}
+
+	get(key) {
+		this.log('read', { key })
+		const text = this.readCookies().get(getCookieName(key, this.prefix))
+		if (text === undefined) {
+			return null
+		}
+		const value = this.parseCookieValue(text)
+		if (value === undefined) {
+			this.log('invalid value', { key })
+			return null
+		}
+		return this.validators.validateRead(key, value)
+	}
+
+	/**
+	 * Writes a value.
+	 * @param {string} key
+	 * @param {any} value
+	 * @param {object} [options] — Cookie options: `maxAge`, `path`, `domain`, `sameSite`, `secure`. Override the ones passed to the constructor.
+	 */
+	set(key, value, options) {
+		if (value === undefined) {
+			return this.delete(key, options)
+		}
+		this.validators.validateWrite(key, value)
+		this.log('write', { key, value })
+		const name = getCookieName(key, this.prefix)
+		const text = encodeURIComponent(this.serializer.stringify(value))
+		const size = getCookieSize(name, text)
+		if (size > this.maxCookieSize) {
+			const error = new CookieTooLargeError({ key, size, maxSize: this.maxCookieSize })
+			if (this.onFull) {
+				return this.onFull({ error })
+			}
+			throw error
+		}
+		this.writeCookie(name, text, this.getCookieOptions(key, options))
+	}
+
+	// A cookie is deleted by setting its "max age" to zero.
+	// The `path` and `domain` options should be the same as when the cookie was written.
+	delete(key, options) {
+		const name = getCookieName(key, this.prefix)
+		if (this.readCookies().has(name)) {
+			this.log('delete', { key })
+			this.writeCookie(name, '', {
+				...this.getCookieOptions(key, options),
+				maxAge: 0
+			})
+		}
+	}
+
+	// Only lists the cookies that could have been written by a `CookieStorage`.
+	keys() {
+		const keys = []
+		for (const [name, text] of this.readCookies()) {
+			const key = getKeyFromCookieName(name, this.prefix)
+			if (key !== undefined && this.parseCookieValue(text) !== undefined) {
+				keys.push(key)
+			}
+		}
+		return keys
+	}
+
+	getPath(key, path) {
+		return getPath(this, key, path)
+	}
+
+	setPath(key, path, value, options) {
+		return setPath(this, key, path, value, options)
+	}
+
+	deletePath(key, path, options) {
+		return deletePath(this, key, path, options)
+	}
+
+	update(key, update, options) {
+		return updateValue(this, key, update, options)
+	}
+
+	// Deletes all keys, or only the ones matching a `pattern`.
+	clear(pattern) {
+		this.assertHasPrefix('`clear()`')
+		for (const key of this.keys()) {
+			if (pattern === undefined || this.matchesPattern(key, pattern)) {
+				this.delete(key)
+			}
+		}
+	}
+
+	// The size of a cookie's name and value, in bytes.
+	// It's what web browsers compare to the maximum cookie size.
+	getRecordSize(key) {
+		const name = getCookieName(key, this.prefix)
+		const text = this.readCookies().get(name)
+		if (text === undefined) {
+			return 0
+		}
+		return getCookieSize(name, text)
+	}
+
+	getTotalSize() {
+		return getTotalSize(this)
+	}
+
+	getUsage(options) {
+		return getUsage(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	exportSnapshot(options) {
+		return exportSnapshot(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	importSnapshot(snapshot, options) {
+		if (options && options.mode === 'replace') {
+			this.assertHasPrefix('Importing a snapshot in "replace" mode')
+		}
+		importSnapshot(this, snapshot, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	/**
+	 * Returns the `Set-Cookie` HTTP response headers for the writes, in `server` mode.
+	 * When a cookie has been written several times, only the last write is returned.
+	 * @return {string[]}
+	 */
+	getSetCookieHeaders() {
+		if (!this.server) {
+			throw new Error('[web-browser-storage] `getSetCookieHeaders()` is only available in `server` mode of a `CookieStorage`')
+		}
+		return Array.from(this.setCookieHeaders.values())
+	}
+
+	// Listens for "external" changes to the cookies. For example, when a cookie
+	// has been changed in another tab or by a server response.
+	//
+	// Web browsers only emit events for cookie changes through Cookie Store API,
+	// so the listeners are only called when it's available.
+	// https://developer.mozilla.org/en-US/docs/Web/API/Cookie_Store_API
+	//
+	onExternalChange(listener) {
+		const cookieStore = this.getCookieStore()
+		if (!cookieStore) {
+			return () => {}
+		}
+		this.externalChangeListeners = this.externalChangeListeners.concat(listener)
+		if (this.externalChangeListeners.length === 1) {
+			this.knownCookies = this.readCookies()
+			cookieStore.addEventListener('change', this.onCookieStoreChange)
+		}
+		return () => {
+			const listenersCount = this.externalChangeListeners.length
+			this.externalChangeListeners = this.externalChangeListeners.filter(_ => _ !== listener)
+			if (listenersCount > 0 && this.externalChangeListeners.length === 0) {
+				cookieStore.removeEventListener('change', this.onCookieStoreChange)
+				this.knownCookies = undefined
+			}
+		}
+	}
+
+	// Cookie Store API also emits events for the changes made through this instance.
+	// Those aren't reported because they've already been applied to `knownCookies`.
+	onCookieStoreChange = () => {
+		const prevCookies = this.knownCookies
+		const cookies = this.readCookies()
+		this.knownCookies = cookies
+		for (const name of new Set([...prevCookies.keys(), ...cookies.keys()])) {
+			const key = getKeyFromCookieName(name, this.prefix)
+			const prevText = prevCookies.get(name)
+			const text = cookies.get(name)
+			if (key !== undefined && text !== prevText) {
+				// Invalid values are `undefined`, the same way as the ones that can't be parsed.
+				const value = this.validators.validateExternalValue(key, text === undefined ? null : this.parseCookieValue(text))
+				const prevValue = this.validators.validateExternalValue(key, prevText === undefined ? null : this.parseCookieValue(prevText))
+				this.log('external change', { key })
+				const paths = getChangedPaths(prevValue, value)
+				for (const listener of this.externalChangeListeners) {
+					listener({ key, value, prevValue, paths })
+				}
+			}
+		}
+	}
+
+	// Returns `undefined` if a value can't be parsed, the same way `LocalStorage` does.
+	parseCookieValue(text) {
+		try {
+			return this.serializer.parse(decodeURIComponent(text))
+		} catch (error) {
+			// Return `undefined`
+		}
+	}
+
+	// Without a `prefix`, a cookie that hasn't been written by a `CookieStorage`
+	// could be deleted if its value happens to be valid JSON.
+	assertHasPrefix(operation) {
+		if (!this.prefix) {
+			throw new Error(`[web-browser-storage] ${operation} requires a \`prefix\` to be passed when creating a \`CookieStorage\`, so that it doesn't delete other cookies`)
+		}
+	}
+
+	getCookieOptions(key, options) {
+		const keyOptions = this.keyOptions.find(({ matches }) => matches(key))
+		return {
+			...this.cookieOptions,
+			...(keyOptions && keyOptions.options),
+			...options
+		}
+	}
+
+	// Returns the cookies: `Map<name, text>`.
+	readCookies() {
+		if (this.server) {
+			return this.cookies
+		}
+		return parseCookieHeader(this.getDocument().cookie)
+	}
+
+	writeCookie(name, text, options) {
+		const header = formatSetCookieHeader(name, text, options)
+		if (this.server) {
+			this.cookies = new Map(this.cookies)
+			if (options.maxAge !== undefined && options.maxAge <= 0) {
+				this.cookies.delete(name)
+			} else {
+				this.cookies.set(name, text)
+			}
+			this.setCookieHeaders.set(name, header)
+		} else {
+			this.getDocument().cookie = header
+			if (this.knownCookies) {
+				this.knownCookies = this.readCookies()
+			}
+		}
+	}
+
+	getDocument() {
+		return this.document || document
+	}
+
+	getCookieStore() {
+		if (this.server) {
+			return
+		}
+		if (this.cookieStore) {
+			return this.cookieStore
+		}
+		if (typeof cookieStore !== 'undefined') {
+			return cookieStore
+		}
+	}
+}
+
+CookieStorage.isAvailable = () => typeof document !== 'undefined'
+
+// Cookie names can't contain "(" and ")" characters, which `encodeURIComponent()` doesn't encode.
+// https://datatracker.ietf.org/doc/html/rfc6265#section-4.1.1
+function getCookieName(key, prefix) {
+	return prefix + encodeURIComponent(key).replace(/[()]/g, character => '%' + character.charCodeAt(0).toString(16).toUpperCase())
+}
+
+// Returns `undefined` for cookie names that don't start with the `prefix` or can't be decoded.
+function getKeyFromCookieName(name, prefix) {
+	if (!name.startsWith(prefix)) {
+		return
+	}
+	try {
+		return decodeURIComponent(name.slice(prefix.length))
+	} catch (error) {
+		// Return `undefined`
+	}
+}
+
+// The name and the value are URL-encoded, so each character is a single byte.
+function getCookieSize(name, text) {
+	return name.length + text.length
+}
+
+// Parses a `Cookie` HTTP header or `document.cookie`: "a=1; b=2".
+// When there're several cookies with the same name, for example, having different paths,
+// the first one is the most specific one.
+function parseCookieHeader(header) {
+	const cookies = new Map()
+	for (const part of header.split(';')) {
+		const index = part.indexOf('=')
+		if (index >= 0) {
+			const name = part.slice(0, index).trim()
+			if (name && !cookies.has(name)) {
+				cookies.set(name, part.slice(index + 1).trim())
+			}
+		}
+	}
+	return cookies
+}
+
+function formatSetCookieHeader(name, text, { maxAge, path, domain, sameSite, secure }) {
+	let header = `${name}=${text}`
+	if (maxAge !== undefined) {
+		header += `; Max-Age=${maxAge}`
+	}
+	if (path) {
+		header += `; Path=${path}`
+	}
+	if (domain) {
+		header += `; Domain=${domain}`
+	}
+	if (sameSite) {
+		header += `; SameSite=${sameSite}`
+	}
+	if (secure) {
+		header += '; Secure'
+	}
+	return header
+}
@@ -0,0 +1,197 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import CookieStorage from './CookieStorage.js'
+import CookieTooLargeError from './CookieTooLargeError.js'
+
+describe('CookieStorage', function() {
+	it('should implement Storage interface (server)', function() {
+		const storage = new CookieStorage({ server: true })
+
+		expect(storage.get('key')).to.be.null
+		expect(storage.has('key')).to.equal(false)
+		expect(storage.getRecordSize('key')).to.equal(0)
+		expect(storage.keys()).to.deep.equal([])
+
+		storage.set('key', { a: 'b' })
+		expect(storage.get('key')).to.deep.equal({ a: 'b' })
+		expect(storage.has('key')).to.equal(true)
+		// "key" + "%7B%22a%22%3A%22b%22%7D"
+		expect(storage.getRecordSize('key')).to.equal(26)
+		expect(storage.keys()).to.deep.equal(['key'])
+
+		storage.delete('key')
+		expect(storage.get('key')).to.be.null
+		expect(storage.has('key')).to.equal(false)
+		expect(storage.keys()).to.deep.equal([])
+	})
+
+	it('should read a `Cookie` header and collect `Set-Cookie` headers', function() {
+		const storage = new CookieStorage({
+			server: true,
+			cookieHeader: 'theme=%22dark%22; sessionId=abc; locale=%22en%22',
+			maxAge: 3600,
+			keyOptions: {
+				'locale': { maxAge: 60, secure: true }
+			}
+		})
+
+		expect(storage.get('theme')).to.equal('dark')
+		expect(storage.get('locale')).to.equal('en')
+		// Cookies that haven't been written by a `CookieStorage` can't be parsed.
+		expect(storage.get('sessionId')).to.be.null
+		expect(storage.keys()).to.deep.equal(['theme', 'locale'])
+
+		storage.set('theme', 'light')
+		storage.set('theme', 'contrast', { path: '/forum', sameSite: 'Strict' })
+		storage.set('locale', 'de')
+		storage.set('settings (new)', { a: 1 })
+		storage.delete('sessionId')
+		storage.delete('non-existent')
+
+		expect(storage.get('theme')).to.equal('contrast')
+		expect(storage.get('settings (new)')).to.deep.equal({ a: 1 })
+		expect(storage.has('sessionId')).to.equal(false)
+
+		expect(storage.getSetCookieHeaders()).to.deep.equal([
+			'theme=%22contrast%22; Max-Age=3600; Path=/forum; SameSite=Strict',
+			'locale=%22de%22; Max-Age=60; Path=/; SameSite=Lax; Secure',
+			'settings%20%28new%29=%7B%22a%22%3A1%7D; Max-Age=3600; Path=/; SameSite=Lax',
+			'sessionId=; Max-Age=0; Path=/; SameSite=Lax'
+		])
+	})
+
+	it('should not delete cookies that haven\'t been written by a `CookieStorage`', function() {
+		const storage = new CookieStorage({
+			server: true,
+			cookieHeader: 'theme=%22dark%22; consent=true; userId=12345'
+		})
+
+		// Without a `prefix`, `consent` and `userId` cookies would've been deleted too.
+		expect(() => storage.clear()).to.throw('requires a `prefix`')
+		expect(() => storage.importSnapshot(new CookieStorage({ server: true }).exportSnapshot(), { mode: 'replace' })).to.throw('requires a `prefix`')
+		expect(storage.getSetCookieHeaders()).to.deep.equal([])
+
+		const prefixedStorage = new CookieStorage({
+			server: true,
+			cookieHeader: 'app.theme=%22dark%22; app.sessionid=abc; userId=123',
+			prefix: 'app.'
+		})
+
+		expect(prefixedStorage.keys()).to.deep.equal(['theme'])
+		expect(prefixedStorage.get('theme')).to.equal('dark')
+		expect(prefixedStorage.get('userId')).to.be.null
+
+		prefixedStorage.importSnapshot(new CookieStorage({ server: true }).exportSnapshot(), { mode: 'replace' })
+		prefixedStorage.set('locale', 'en')
+		expect(prefixedStorage.getSetCookieHeaders()).to.deep.equal([
+			'app.theme=; Max-Age=0; Path=/; SameSite=Lax',
+			'app.locale=%22en%22; Path=/; SameSite=Lax'
+		])
+	})
+
+	it('should call `onFull()` when a cookie would exceed the maximum size', function() {
+		const storage = new CookieStorage({ server: true })
+
+		expect(() => storage.set('key', 'a'.repeat(4096))).to.throw(CookieTooLargeError)
+
+		const errors = []
+		const storageWithOnFull = new CookieStorage({
+			server: true,
+			maxCookieSize: 15,
+			onFull: ({ error }) => errors.push(error)
+		})
+
+		storageWithOnFull.set('key', 'abcd')
+		storageWithOnFull.set('key', 'abcdefg')
+		expect(storageWithOnFull.get('key')).to.equal('abcd')
+
+		expect(errors.length).to.equal(1)
+		expect(errors[0].key).to.equal('key')
+		expect(errors[0].size).to.equal(3 + '%22abcdefg%22'.length)
+		expect(errors[0].maxSize).to.equal(15)
+	})
+
+	it('should read and write parts of values', function() {
+		const storage = new CookieStorage({ server: true })
+
+		storage.setPath('settings', 'theme', 'dark', { maxAge: 60 })
+		expect(storage.getPath('settings', '/theme')).to.equal('dark')
+
+		expect(storage.getSetCookieHeaders()).to.deep.equal([
+			'settings=%7B%22theme%22%3A%22dark%22%7D; Max-Age=60; Path=/; SameSite=Lax'
+		])
+	})
+
+	it('should use `document.cookie` in a web browser', function() {
+		const document = new TestDocument()
+		const storage = new CookieStorage({ document, prefix: 'app.' })
+
+		storage.set('a', 1)
+		storage.set('b', 2, { maxAge: 60 })
+		expect(document.cookie).to.equal('app.a=1; app.b=2')
+		expect(storage.keys()).to.deep.equal(['a', 'b'])
+
+		storage.clear('a')
+		expect(document.cookie).to.equal('app.b=2')
+
+		expect(() => storage.getSetCookieHeaders()).to.throw('only available in `server` mode')
+	})
+
+	it('should detect external changes using Cookie Store API', function() {
+		const document = new TestDocument()
+		const cookieStore = new EventTarget()
+
+		const storage = new CookieStorage({ document, cookieStore })
+
+		storage.set('a', { x: 1 })
+
+		const changes = []
+		const unlistenExternalChanges = storage.onExternalChange(change => changes.push(change))
+
+		// Own changes aren't reported.
+		storage.set('b', 1)
+		cookieStore.dispatchEvent(new Event('change'))
+
+		// A change made in another tab.
+		document.cookie = 'a=%7B%22x%22%3A2%7D'
+		cookieStore.dispatchEvent(new Event('change'))
+
+		expect(changes).to.deep.equal([{
+			key: 'a',
+			value: { x: 2 },
+			prevValue: { x: 1 },
+			paths: ['/x']
+		}])
+
+		unlistenExternalChanges()
+
+		document.cookie = 'a=1'
+		cookieStore.dispatchEvent(new Event('change'))
+		expect(changes.length).to.equal(1)
+
+		// Without Cookie Store API, external changes aren't detected.
+		const storageWithoutCookieStore = new CookieStorage({ document: new TestDocument() })
+		expect(storageWithoutCookieStore.onExternalChange(() => {})).to.be.a('function')
+	})
+})
+
+// Emulates `document.cookie`, ignoring cookie attributes other than `Max-Age`.
+class TestDocument {
+	cookies = new Map()
+
+	get cookie() {
+		return Array.from(this.cookies).map(([name, value]) => `${name}=${value}`).join('; ')
+	}
+
+	set cookie(header) {
+		const [nameAndValue, ...attributes] = header.split('; ')
+		const index = nameAndValue.indexOf('=')
+		const name = nameAndValue.slice(0, index)
+		if (attributes.includes('Max-Age=0')) {
+			this.cookies.delete(name)
+		} else {
+			this.cookies.set(name, nameAndValue.slice(index + 1))
+		}
+	}
+}
@@ -0,0 +1,10 @@
+// Is thrown when a cookie would exceed the maximum cookie size.
+export default class CookieTooLargeError extends Error {
+	constructor({ key, size, maxSize }) {
+		super(`[web-browser-storage] Cookie "${key}" would exceed the maximum cookie size of ${maxSize} bytes: ${size} bytes`)
+		this.name = 'CookieTooLargeError'
+		this.key = key
+		this.size = size
+		this.maxSize = maxSize
+	}
+}
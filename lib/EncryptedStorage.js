@@ -0,0 +1,345 @@
+import defaultMatchesPattern from './matchesPattern.js'
+import { getPathAsync, setPath, deletePath, updateValueAsync, getChangedPaths } from './path.js'
+import { exportSnapshotAsync, importSnapshotAsync } from './snapshot.js'
+import { assertNoValidators } from './Validators.js'
+
+// AES-GCM initialization vector length, in bytes.
+// https://developer.mozilla.org/en-US/docs/Web/API/AesGcmParams
+const IV_LENGTH = 12
+
+// `EncryptedStorage` is a wrapper around a storage that encrypts the values
+// using AES-GCM algorithm of the Web Crypto API.
+// https://developer.mozilla.org/en-US/docs/Web/API/SubtleCrypto/encrypt#aes-gcm
+//
+// Web Crypto API is asynchronous, so `EncryptedStorage` implements
+// the `AsyncStorage` interface: all methods return a `Promise`,
+// except for `onExternalChange()`.
+//
+// Each value is stored in the underlying storage as `{ iv, data }` object
+// where `iv` is a random initialization vector and `data` is the encrypted JSON of the value.
+// Both are encoded in Base64.
+//
+// The key of a record is passed as AES-GCM "additional data",
+// so an encrypted value can't be moved to another key of the storage.
+//
+// After `rotateKey()`, the records that haven't been re-encrypted
+// are still decrypted using the previous keys.
+//
+export default class EncryptedStorage {
+	/**
+	 * @param {Storage} options.storage — The underlying storage.
+	 * @param {CryptoKey} [options.key] — An AES-GCM key. Either `key` or `password` and `salt` should be passed.
+	 * @param {CryptoKey[]} [options.previousKeys] — The keys that the records could've been encrypted with before `rotateKey()`. They're only used for decryption.
+	 * @param {string} [options.password] — A password to derive the key from using PBKDF2.
+	 * @param {string} [options.salt] — A salt for deriving the key from the `password`.
+	 * @param {number} [options.iterations] — PBKDF2 iterations count.
+	 * @param {Crypto} [options.crypto] — Web Crypto API implementation. By default, it's the global `crypto`.
+	 * @param {function} [options.matchesPattern]
+	 * @param {function} [options.log]
+	 */
+	constructor({
+		storage,
+		key,
+		previousKeys = [],
+		password,
+		salt,
+		iterations,
+		crypto,
+		matchesPattern = defaultMatchesPattern,
+		log = () => {}
+	}) {
+		if (!storage) {
+			throw new Error('[web-browser-storage] `storage` parameter is required when creating an `EncryptedStorage`')
+		}
+		if (!key && !(password && salt)) {
+			throw new Error('[web-browser-storage] Either `key` or `password` and `salt` parameters are required when creating an `EncryptedStorage`')
+		}
+		assertNoValidators(storage, 'An `EncryptedStorage` stores values as `{ iv, data }`')
+		this.storage = storage
+		// `crypto` is not available in old versions of Node.js,
+		// so the global variable is only accessed when it's used.
+		this.crypto = crypto
+		this.matchesPattern = matchesPattern
+		this.log = log
+		this.previousKeys = previousKeys
+
+		if (key) {
+			this.key = Promise.resolve(key)
+		} else {
+			this.key = EncryptedStorage.deriveKey({ password, salt, iterations, crypto })
+		}
+	}
+
+	async has(key) {
+		return this.storage.has(key)
+	}
+
+	async get(key) {
+		const record = this.storage.get(key)
+		if (record === null) {
+			return null
+		}
+		return await this.decryptWithAnyKey(key, record)
+	}
+
+	async set(key, value) {
+		if (value === undefined) {
+			return this.storage.delete(key)
+		}
+		this.storage.set(key, await this.encrypt(key, value, await this.key))
+	}
+
+	async delete(key) {
+		this.storage.delete(key)
+	}
+
+	async getPath(key, path) {
+		return getPathAsync(this, key, path)
+	}
+
+	async setPath(key, path, value) {
+		return setPath(this, key, path, value)
+	}
+
+	async deletePath(key, path) {
+		return deletePath(this, key, path)
+	}
+
+	async update(key, update) {
+		return updateValueAsync(this, key, update)
+	}
+
+	async keys() {
+		return this.storage.keys()
+	}
+
+	async getRecordSize(key) {
+		return this.storage.getRecordSize(key)
+	}
+
+	// The values are exported decrypted.
+	async exportSnapshot(options) {
+		return await exportSnapshotAsync(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	async importSnapshot(snapshot, options) {
+		await importSnapshotAsync(this, snapshot, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	// Listens for "external" changes to the underlying storage.
+	// The listener is called after `value` and `prevValue` have been decrypted.
+	// If a value can't be decrypted, it's `undefined`,
+	// the same way as when it can't be parsed.
+	//
+	// Decryption is asynchronous, so the changes are delivered one after another,
+	// in the order they've been received. An error thrown by the `listener` is logged
+	// and doesn't prevent the next changes from being delivered.
+	//
+	onExternalChange(listener) {
+		let delivery = Promise.resolve()
+		return this.storage.onExternalChange(({ key, value, prevValue }) => {
+			delivery = delivery.then(async () => {
+				value = await this.decryptExternalValue(key, value)
+				prevValue = await this.decryptExternalValue(key, prevValue)
+				listener({
+					key,
+					value,
+					prevValue,
+					paths: getChangedPaths(prevValue, value)
+				})
+			}).catch((error) => {
+				this.log('external change listener error', { key, error })
+			})
+		})
+	}
+
+	/**
+	 * Re-encrypts the records with a new key, and then uses the new key.
+	 * The records that can't be decrypted are skipped.
+	 * When only some of the records are re-encrypted, for example, because a write has failed,
+	 * the current key is kept as one of the `previousKeys` so that the other records could still be decrypted.
+	 * When the underlying storage supports `batch()`, the records are written in a `batch()`.
+	 * @param  {CryptoKey} newKey
+	 * @param  {string[]} [options.keys] — Key patterns of the records to re-encrypt. By default, all records are re-encrypted.
+	 * @return {Promise<string[]>} The keys of the records that have been re-encrypted and written.
+	 */
+	async rotateKey(newKey, { keys: patterns } = {}) {
+		const oldKey = await this.key
+
+		// Re-encrypt all records before writing anything
+		// so that a decryption error doesn't leave the records
+		// encrypted with different keys.
+		const records = new Map()
+		const prevRecords = new Map()
+		for (const key of this.storage.keys()) {
+			if (!patterns || patterns.some(pattern => this.matchesPattern(key, pattern))) {
+				const record = this.storage.get(key)
+				if (isEncryptedRecord(record)) {
+					let value
+					try {
+						value = await this.decryptWithAnyKey(key, record)
+					} catch (error) {
+						this.log('can\'t decrypt', { key })
+						continue
+					}
+					records.set(key, await this.encrypt(key, value, newKey))
+					prevRecords.set(key, record)
+				}
+			}
+		}
+
+		this.log('re-encrypt', { keys: Array.from(records.keys()) })
+		if (this.storage.batch) {
+			this.storage.batch((batch) => {
+				for (const [key, record] of records) {
+					batch.set(key, record)
+				}
+			})
+		} else {
+			try {
+				for (const [key, record] of records) {
+					this.storage.set(key, record)
+				}
+			} catch (error) {
+				for (const [key, record] of prevRecords) {
+					this.storage.set(key, record)
+				}
+				throw error
+			}
+		}
+
+		// A storage doesn't always throw when a write fails. For example, when it has
+		// an `onFull()` or `onBudgetExceeded()` function, the write is skipped or rolled back.
+		// So the records are read again to find out which of them have actually been re-encrypted.
+		const rotatedKeys = []
+		for (const key of records.keys()) {
+			try {
+				await this.decrypt(key, this.storage.get(key), newKey)
+				rotatedKeys.push(key)
+			} catch (error) {
+				this.log('not re-encrypted', { key })
+			}
+		}
+
+		// The key is only switched after the records have been written.
+		// The old key is only dropped when all of the records have been re-encrypted with the new one.
+		this.key = Promise.resolve(newKey)
+		if (patterns || rotatedKeys.length < records.size) {
+			this.previousKeys = [oldKey, ...this.previousKeys]
+		}
+
+		return rotatedKeys
+	}
+
+	async encrypt(key, value, encryptionKey) {
+		const iv = this.getCrypto().getRandomValues(new Uint8Array(IV_LENGTH))
+		const data = await this.getCrypto().subtle.encrypt(
+			{ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(key) },
+			encryptionKey,
+			new TextEncoder().encode(JSON.stringify(value))
+		)
+		return {
+			iv: encodeBase64(iv),
+			data: encodeBase64(new Uint8Array(data))
+		}
+	}
+
+	async decrypt(key, record, encryptionKey) {
+		if (!isEncryptedRecord(record)) {
+			throw new Error('[web-browser-storage] Not an encrypted record')
+		}
+		const data = await this.getCrypto().subtle.decrypt(
+			{ name: 'AES-GCM', iv: decodeBase64(record.iv), additionalData: new TextEncoder().encode(key) },
+			encryptionKey,
+			decodeBase64(record.data)
+		)
+		return JSON.parse(new TextDecoder().decode(data))
+	}
+
+	// Decrypts a record using the current key or, if that fails, any of the `previousKeys`.
+	async decryptWithAnyKey(key, record) {
+		const encryptionKeys = [await this.key, ...this.previousKeys]
+		for (let i = 0; i < encryptionKeys.length; i++) {
+			try {
+				return await this.decrypt(key, record, encryptionKeys[i])
+			} catch (error) {
+				if (i === encryptionKeys.length - 1) {
+					throw error
+				}
+			}
+		}
+	}
+
+	async decryptExternalValue(key, value) {
+		if (value === null || value === undefined) {
+			return value
+		}
+		try {
+			return await this.decryptWithAnyKey(key, value)
+		} catch (error) {
+			// Return `undefined`
+		}
+	}
+
+	getCrypto() {
+		return this.crypto || crypto
+	}
+}
+
+/**
+ * Derives an AES-GCM key from a password using PBKDF2.
+ * @param  {string} options.password
+ * @param  {string} options.salt
+ * @param  {number} [options.iterations]
+ * @param  {Crypto} [options.crypto]
+ * @return {Promise<CryptoKey>}
+ */
+EncryptedStorage.deriveKey = async function({
+	password,
+	salt,
+	iterations = 100000,
+	crypto = globalThis.crypto
+}) {
+	const passwordKey = await crypto.subtle.importKey(
+		'raw',
+		new TextEncoder().encode(password),
+		'PBKDF2',
+		false,
+		['deriveKey']
+	)
+	return await crypto.subtle.deriveKey(
+		{
+			name: 'PBKDF2',
+			salt: new TextEncoder().encode(salt),
+			iterations,
+			hash: 'SHA-256'
+		},
+		passwordKey,
+		{ name: 'AES-GCM', length: 256 },
+		false,
+		['encrypt', 'decrypt']
+	)
+}
+
+function isEncryptedRecord(record) {
+	return Boolean(record) && typeof record.iv === 'string' && typeof record.data === 'string'
+}
+
+function encodeBase64(bytes) {
+	let string = ''
+	for (const byte of bytes) {
+		string += String.fromCharCode(byte)
+	}
+	return btoa(string)
+}
+
+function decodeBase64(string) {
+	const binaryString = atob(string)
+	const bytes = new Uint8Array(binaryString.length)
+	let i = 0
+	while (i < binaryString.length) {
+		bytes[i] = binaryString.charCodeAt(i)
+		i++
+	}
+	return bytes
+}
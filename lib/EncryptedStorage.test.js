@@ -0,0 +1,259 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import { webcrypto as crypto } from 'crypto'
+
+import EncryptedStorage from './EncryptedStorage.js'
+import MemoryStorage from './MemoryStorage.js'
+
+describe('EncryptedStorage', function() {
+	it('should implement AsyncStorage interface', async function() {
+		const memoryStorage = new MemoryStorage()
+
+		const storage = new EncryptedStorage({
+			storage: memoryStorage,
+			key: await generateKey(),
+			crypto
+		})
+
+		expect(await storage.get('key')).to.be.null
+		expect(await storage.has('key')).to.equal(false)
+		expect(await storage.getRecordSize('key')).to.equal(0)
+		expect(await storage.keys()).to.deep.equal([])
+
+		await storage.set('key', { a: 'b' })
+		expect(await storage.get('key')).to.deep.equal({ a: 'b' })
+		expect(await storage.has('key')).to.equal(true)
+		expect(await storage.getRecordSize('key')).to.be.above(0)
+		expect(await storage.keys()).to.deep.equal(['key'])
+
+		const record = memoryStorage.get('key')
+		expect(record.iv).to.be.a('string')
+		expect(record.data).to.be.a('string')
+		expect(JSON.stringify(record)).not.to.include('"a"')
+
+		await storage.delete('key')
+		expect(await storage.get('key')).to.be.null
+		expect(await storage.has('key')).to.equal(false)
+	})
+
+	it('should derive a key from a password', async function() {
+		const memoryStorage = new MemoryStorage()
+
+		const storage = new EncryptedStorage({
+			storage: memoryStorage,
+			password: 'password',
+			salt: 'salt',
+			iterations: 1000,
+			crypto
+		})
+
+		await storage.set('key', 'value')
+
+		const sameStorage = new EncryptedStorage({
+			storage: memoryStorage,
+			password: 'password',
+			salt: 'salt',
+			iterations: 1000,
+			crypto
+		})
+
+		expect(await sameStorage.get('key')).to.equal('value')
+
+		const wrongPasswordStorage = new EncryptedStorage({
+			storage: memoryStorage,
+			password: 'wrong password',
+			salt: 'salt',
+			iterations: 1000,
+			crypto
+		})
+
+		let error
+		try {
+			await wrongPasswordStorage.get('key')
+		} catch (_error) {
+			error = _error
+		}
+		expect(error).to.exist
+	})
+
+	it('should rotate the key', async function() {
+		const memoryStorage = new MemoryStorage()
+
+		const oldKey = await generateKey()
+
+		const storage = new EncryptedStorage({
+			storage: memoryStorage,
+			key: oldKey,
+			crypto
+		})
+
+		await storage.set('token', 'secret')
+		await storage.set('notes.1', 'note')
+		memoryStorage.set('plain', 'value')
+
+		const newKey = await generateKey()
+		expect(await storage.rotateKey(newKey, { keys: ['notes.*', 'plain'] })).to.deep.equal(['notes.1'])
+
+		const newStorage = new EncryptedStorage({
+			storage: memoryStorage,
+			key: newKey,
+			crypto
+		})
+
+		expect(await newStorage.get('notes.1')).to.equal('note')
+		expect(await storage.get('notes.1')).to.equal('note')
+		expect(memoryStorage.get('plain')).to.equal('value')
+
+		// The records that haven't been re-encrypted are decrypted using the previous key.
+		expect(await storage.get('token')).to.equal('secret')
+
+		let error
+		try {
+			await newStorage.get('token')
+		} catch (_error) {
+			error = _error
+		}
+		expect(error).to.exist
+
+		const newStorageWithPreviousKeys = new EncryptedStorage({
+			storage: memoryStorage,
+			key: newKey,
+			previousKeys: [oldKey],
+			crypto
+		})
+		expect(await newStorageWithPreviousKeys.get('token')).to.equal('secret')
+	})
+
+	it('should keep the old key when some of the records haven\'t been re-encrypted', async function() {
+		const memoryStorage = new MemoryStorage()
+
+		const storage = new EncryptedStorage({
+			storage: memoryStorage,
+			key: await generateKey(),
+			crypto
+		})
+
+		await storage.set('a', 'value')
+		await storage.set('b', 'value')
+
+		// A write that exceeds a budget is rolled back without throwing an error.
+		const budgetExceededErrors = []
+		memoryStorage.budgets = { 'b': 1 }
+		memoryStorage.onBudgetExceeded = ({ error }) => budgetExceededErrors.push(error)
+
+		expect(await storage.rotateKey(await generateKey())).to.deep.equal([])
+		expect(budgetExceededErrors.length).to.equal(1)
+
+		expect(await storage.get('a')).to.equal('value')
+		expect(await storage.get('b')).to.equal('value')
+	})
+
+	it('should not decrypt a value that has been moved to another key', async function() {
+		const memoryStorage = new MemoryStorage()
+
+		const storage = new EncryptedStorage({
+			storage: memoryStorage,
+			key: await generateKey(),
+			crypto
+		})
+
+		await storage.set('a', 'value')
+		memoryStorage.set('b', memoryStorage.get('a'))
+
+		expect(await storage.get('a')).to.equal('value')
+
+		let error
+		try {
+			await storage.get('b')
+		} catch (_error) {
+			error = _error
+		}
+		expect(error).to.exist
+	})
+
+	it('should decrypt external changes', async function() {
+		const sourceStorage = new MemoryStorage()
+		const key = await generateKey()
+
+		const storage1 = new EncryptedStorage({
+			storage: sourceStorage.createSharedInstance('1'),
+			key,
+			crypto
+		})
+
+		const storage2 = new EncryptedStorage({
+			storage: sourceStorage.createSharedInstance('2'),
+			key,
+			crypto
+		})
+
+		const changes = []
+		let onChange
+		const unlistenExternalChanges = storage1.onExternalChange((change) => {
+			changes.push(change)
+			onChange()
+		})
+
+		await new Promise(async (resolve) => {
+			onChange = resolve
+			await storage2.set('key', 'value')
+		})
+
+		expect(changes).to.deep.equal([{
+			key: 'key',
+			value: 'value',
+			prevValue: null,
+			paths: ['']
+		}])
+
+		unlistenExternalChanges()
+	})
+	it('should deliver external changes in order even if a listener throws', async function() {
+		const sourceStorage = new MemoryStorage()
+		const key = await generateKey()
+
+		const errors = []
+
+		const storage1 = new EncryptedStorage({
+			storage: sourceStorage.createSharedInstance('1'),
+			key,
+			crypto,
+			log: (message, data) => {
+				if (data && data.error) {
+					errors.push(data.error)
+				}
+			}
+		})
+
+		const otherTabStorage = sourceStorage.createSharedInstance('2')
+
+		const values = []
+		let onChange
+		storage1.onExternalChange(({ value }) => {
+			values.push(value)
+			if (values.length === 1) {
+				throw new Error('Listener error')
+			}
+			onChange()
+		})
+
+		// The records are encrypted first so that the changes are received
+		// in "rapid succession" and are decrypted concurrently.
+		const record1 = await storage1.encrypt('key', 1, key)
+		const record2 = await storage1.encrypt('key', 2, key)
+
+		await new Promise((resolve) => {
+			onChange = resolve
+			otherTabStorage.set('key', record1)
+			otherTabStorage.set('key', record2)
+		})
+
+		expect(values).to.deep.equal([1, 2])
+		expect(errors.map(_ => _.message)).to.deep.equal(['Listener error'])
+	})
+})
+
+function generateKey() {
+	return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+}
@@ -0,0 +1,216 @@
+import { Timer } from 'web-browser-timer'
+
+import { getPath, setPath, deletePath, updateValue, getChangedPaths } from './path.js'
+import { exportSnapshot, importSnapshot } from './snapshot.js'
+import { assertNoValidators } from './Validators.js'
+
+// `ExpiringStorage` is a wrapper around a storage that supports
+// setting an expiration time for the records.
+//
+// Each record is stored along with its expiration time: `{ value, expiresAt }`.
+// An expired record is treated as non-existent when it's read.
+// Expired records could be removed from the underlying storage
+// by calling `.purgeExpired()` manually or by calling `.start()`
+// which will call `.purgeExpired()` periodically.
+//
+// Usage example: `captchan` stores lists of hidden posts
+// and drafts of replies that aren't needed after some time.
+//
+export default class ExpiringStorage {
+	constructor({
+		storage,
+		timer = new Timer(),
+		ttl,
+		purgeInterval,
+		log = () => {}
+	}) {
+		if (!storage) {
+			throw new Error('[web-browser-storage] `storage` parameter is required when creating an `ExpiringStorage`')
+		}
+		assertNoValidators(storage, 'An `ExpiringStorage` stores values as `{ value, expiresAt }`')
+		this.storage = storage
+		this.timer = timer
+		this.ttl = ttl
+		this.purgeInterval = purgeInterval
+		this.log = log
+	}
+
+	start() {
+		if (this._isStarted) {
+			throw new Error('[web-browser-storage] Can\'t start an `ExpiringStorage` that has already been started')
+		}
+
+		if (this.purgeInterval === undefined) {
+			throw new Error('[web-browser-storage] `purgeInterval` parameter is required in order to start an `ExpiringStorage`')
+		}
+
+		this._isStarted = true
+
+		this.log('start')
+
+		this.purgeExpired()
+		this.schedulePurge()
+	}
+
+	stop() {
+		if (!this._isStarted) {
+			throw new Error('[web-browser-storage] Can\'t stop an `ExpiringStorage` that hasn\'t been started')
+		}
+
+		this._isStarted = false
+
+		this.log('stop')
+
+		if (this.purgeTimer) {
+			this.timer.cancel(this.purgeTimer)
+			this.purgeTimer = undefined
+		}
+	}
+
+	has(key) {
+		return this.get(key) !== null
+	}
+
+	get(key) {
+		const record = this.storage.get(key)
+		if (record === null || record === undefined) {
+			return null
+		}
+		if (!isRecord(record)) {
+			// The value has been written without using `ExpiringStorage`.
+			return record
+		}
+		if (this.isExpired(record)) {
+			return null
+		}
+		return record.value
+	}
+
+	/**
+	 * Writes a value.
+	 * @param {string} key
+	 * @param {any} value
+	 * @param {number} [options.ttl] — Time to live, in milliseconds. By default, it's the `ttl` constructor parameter, if passed.
+	 * @param {number} [options.expiresAt] — Expiration timestamp, in milliseconds. Takes precedence over `ttl`.
+	 */
+	set(key, value, { ttl = this.ttl, expiresAt } = {}) {
+		if (value === undefined) {
+			return this.storage.delete(key)
+		}
+		if (expiresAt === undefined && ttl !== undefined) {
+			expiresAt = this.timer.now() + ttl
+		}
+		this.storage.set(key, {
+			value,
+			expiresAt: expiresAt === undefined ? null : expiresAt
+		})
+	}
+
+	delete(key) {
+		this.storage.delete(key)
+	}
+
+	getPath(key, path) {
+		return getPath(this, key, path)
+	}
+
+	setPath(key, path, value, options) {
+		return setPath(this, key, path, value, options)
+	}
+
+	deletePath(key, path, options) {
+		return deletePath(this, key, path, options)
+	}
+
+	/**
+	 * Replaces a value with the result of `update(value)`.
+	 * If `update()` returns `null` or `undefined`, the key is deleted.
+	 * @param {string} key
+	 * @param {function} update — Receives the current value, or `null` if there's none.
+	 * @param {object} [options] — `set()` options. By default, the expiration time of the record is preserved.
+	 */
+	update(key, update, options) {
+		const record = this.storage.get(key)
+		if (!options && isRecord(record) && !this.isExpired(record)) {
+			options = { expiresAt: record.expiresAt }
+		}
+		return updateValue(this, key, update, options)
+	}
+
+	keys() {
+		return this.storage.keys().filter(key => this.has(key))
+	}
+
+	getRecordSize(key) {
+		return this.storage.getRecordSize(key)
+	}
+
+	exportSnapshot(options) {
+		return exportSnapshot(this, options)
+	}
+
+	// Imported records expire after the default `ttl`.
+	importSnapshot(snapshot, options) {
+		importSnapshot(this, snapshot, options)
+	}
+
+	onExternalChange(listener) {
+		return this.storage.onExternalChange(({ key, value, prevValue }) => {
+			value = getValue(value)
+			prevValue = getValue(prevValue)
+			listener({
+				key,
+				value,
+				prevValue,
+				paths: getChangedPaths(prevValue, value)
+			})
+		})
+	}
+
+	/**
+	 * Removes expired records from the underlying storage.
+	 * @return {string[]} Removed keys.
+	 */
+	purgeExpired = () => {
+		const purgedKeys = []
+		for (const key of this.storage.keys()) {
+			const record = this.storage.get(key)
+			if (isRecord(record) && this.isExpired(record)) {
+				this.log('purge', { key })
+				this.storage.delete(key)
+				purgedKeys.push(key)
+			}
+		}
+		return purgedKeys
+	}
+
+	isExpired(record) {
+		return record.expiresAt !== null && record.expiresAt <= this.timer.now()
+	}
+
+	schedulePurge() {
+		this.purgeTimer = this.timer.schedule(() => {
+			this.purgeTimer = undefined
+			this.purgeExpired()
+			if (this._isStarted) {
+				this.schedulePurge()
+			}
+		}, this.purgeInterval)
+	}
+}
+
+function isRecord(record) {
+	if (record && typeof record === 'object' && !Array.isArray(record)) {
+		const keys = Object.keys(record)
+		return keys.length === 2 && keys.includes('value') && keys.includes('expiresAt')
+	}
+	return false
+}
+
+// `null` (absent) and `undefined` (unparseable) values are returned as is.
+function getValue(record) {
+	if (isRecord(record)) {
+		return record.value
+	}
+	return record
+}
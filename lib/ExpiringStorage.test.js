@@ -0,0 +1,202 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import { TestTabStatusWatcher } from 'web-browser-tab/status-watcher'
+import { TestTimer } from 'web-browser-timer'
+
+import ExpiringStorage from './ExpiringStorage.js'
+import CachedStorage from './CachedStorage.js'
+import MemoryStorage from './MemoryStorage.js'
+
+describe('ExpiringStorage', function() {
+	it('should implement Storage interface', function() {
+		const storage = new ExpiringStorage({
+			storage: new MemoryStorage(),
+			timer: new TestTimer()
+		})
+
+		expect(storage.get('key')).to.be.null
+		expect(storage.has('key')).to.equal(false)
+		expect(storage.getRecordSize('key')).to.equal(0)
+		expect(storage.keys()).to.deep.equal([])
+
+		storage.set('key', { a: 'b' })
+		expect(storage.get('key')).to.deep.equal({ a: 'b' })
+		expect(storage.has('key')).to.equal(true)
+		expect(storage.keys()).to.deep.equal(['key'])
+
+		storage.delete('key')
+		expect(storage.get('key')).to.be.null
+		expect(storage.has('key')).to.equal(false)
+		expect(storage.keys()).to.deep.equal([])
+	})
+
+	it('should expire records', async function() {
+		const memoryStorage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		const storage = new ExpiringStorage({
+			storage: memoryStorage,
+			timer
+		})
+
+		storage.set('ttl', 'value', { ttl: 1000 })
+		storage.set('expiresAt', 'value', { expiresAt: 2000 })
+		storage.set('permanent', 'value')
+
+		expect(memoryStorage.get('ttl')).to.deep.equal({ value: 'value', expiresAt: 1000 })
+		expect(memoryStorage.get('permanent')).to.deep.equal({ value: 'value', expiresAt: null })
+
+		await timer.skip(1000)
+
+		expect(storage.get('ttl')).to.be.null
+		expect(storage.has('ttl')).to.equal(false)
+		expect(storage.get('expiresAt')).to.equal('value')
+		expect(storage.keys()).to.deep.equal(['expiresAt', 'permanent'])
+
+		await timer.skip(1000)
+
+		expect(storage.get('expiresAt')).to.be.null
+		expect(storage.get('permanent')).to.equal('value')
+
+		// Expired records are still in the underlying storage until purged.
+		expect(memoryStorage.keys()).to.deep.equal(['ttl', 'expiresAt', 'permanent'])
+		expect(storage.purgeExpired()).to.deep.equal(['ttl', 'expiresAt'])
+		expect(memoryStorage.keys()).to.deep.equal(['permanent'])
+	})
+
+	it('should read values that have been written without expiration metadata', function() {
+		const memoryStorage = new MemoryStorage()
+		memoryStorage.set('key', { a: 'b' })
+
+		const storage = new ExpiringStorage({
+			storage: memoryStorage,
+			timer: new TestTimer()
+		})
+
+		expect(storage.get('key')).to.deep.equal({ a: 'b' })
+		expect(storage.purgeExpired()).to.deep.equal([])
+	})
+
+	it('should purge expired records periodically', async function() {
+		const memoryStorage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		const storage = new ExpiringStorage({
+			storage: memoryStorage,
+			timer,
+			ttl: 1500,
+			purgeInterval: 1000
+		})
+
+		storage.start()
+
+		storage.set('key', 'value')
+
+		await timer.skip(1000)
+		expect(memoryStorage.has('key')).to.equal(true)
+
+		await timer.skip(1000)
+		expect(memoryStorage.has('key')).to.equal(false)
+
+		storage.stop()
+
+		storage.set('key', 'value')
+		await timer.skip(2000)
+		expect(memoryStorage.has('key')).to.equal(true)
+	})
+
+	it('should unwrap values in external changes', function() {
+		const sourceStorage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		const storage1 = new ExpiringStorage({
+			storage: sourceStorage.createSharedInstance('1'),
+			timer
+		})
+
+		const storage2 = new ExpiringStorage({
+			storage: sourceStorage.createSharedInstance('2'),
+			timer
+		})
+
+		const changes = []
+		const unlistenExternalChanges = storage1.onExternalChange(change => changes.push(change))
+
+		storage2.set('key', 'value', { ttl: 1000 })
+		storage2.delete('key')
+
+		expect(changes).to.deep.equal([{
+			key: 'key',
+			value: 'value',
+			prevValue: null,
+			paths: ['']
+		}, {
+			key: 'key',
+			value: null,
+			prevValue: 'value',
+			paths: ['']
+		}])
+
+		unlistenExternalChanges()
+	})
+
+	it('should work under a CachedStorage', async function() {
+		const memoryStorage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+		const timer = new TestTimer()
+
+		const cachedStorage = new CachedStorage({
+			storage: new ExpiringStorage({
+				storage: memoryStorage,
+				timer,
+				ttl: 60 * 1000
+			}),
+			tabStatusWatcher,
+			flushDelay: 1000,
+			timer,
+			cachedKeys: ['key']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		cachedStorage.set('key', 'value')
+		expect(memoryStorage.get('key')).to.be.null
+
+		await timer.skip(1000)
+		expect(memoryStorage.get('key')).to.deep.equal({ value: 'value', expiresAt: 61000 })
+		expect(cachedStorage.get('key')).to.equal('value')
+
+		await timer.skip(60 * 1000)
+		expect(cachedStorage.get('key')).to.be.null
+
+		cachedStorage.stop()
+	})
+
+	it('should preserve expiration time when writing parts of values', async function() {
+		const timer = new TestTimer()
+		const underlyingStorage = new MemoryStorage()
+
+		const storage = new ExpiringStorage({
+			storage: underlyingStorage,
+			timer,
+			ttl: 1000
+		})
+
+		storage.set('key', { a: 1 })
+		const expiresAt = underlyingStorage.get('key').expiresAt
+
+		await timer.skip(500)
+		storage.setPath('key', 'b', 2)
+		expect(underlyingStorage.get('key')).to.deep.equal({ value: { a: 1, b: 2 }, expiresAt })
+
+		storage.setPath('key', 'b', 3, { ttl: 2000 })
+		expect(underlyingStorage.get('key').expiresAt).to.equal(timer.now() + 2000)
+
+		storage.set('other-key', 1, { expiresAt: null })
+		storage.update('other-key', value => value + 1)
+		expect(underlyingStorage.get('other-key')).to.deep.equal({ value: 2, expiresAt: null })
+	})
+})
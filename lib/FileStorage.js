@@ -0,0 +1,464 @@
+import fs from 'fs'
+import path from 'path'
+
+import defaultMatchesPattern from './matchesPattern.js'
+import { getRecordSize, getTotalSize, getUsage } from './size.js'
+import { getPath, setPath, deletePath, updateValue, getChangedPaths } from './path.js'
+import Validators from './Validators.js'
+import { exportSnapshot, importSnapshot } from './snapshot.js'
+
+// `FileStorage` implements the `Storage` interface in Node.js,
+// for example, for server-side rendering, Electron or command-line tools.
+//
+// The records are stored either in a single JSON `file`
+// or in a `directory`, each record in a separate file.
+//
+// Files are written "atomically": a temporary file is written first
+// and then it's renamed, so a file is never read half-written.
+//
+// A single `file` is rewritten on each write, so it's better suited for
+// a moderate amount of data. Use it with a `CachedStorage` to reduce the number of writes.
+// When several processes write to the same single `file` at the same time,
+// the last write wins, so a `directory` is better suited for that.
+//
+// Changes made by other processes are detected using `fs.watch()`
+// while there're any `onExternalChange()` listeners.
+//
+export default class FileStorage {
+	/**
+	 * @param {string} [options.file] — Path to a JSON file that stores all of the records.
+	 * @param {string} [options.directory] — Path to a directory that stores each record in a separate file.
+	 * @param {object} [options.serializer] — By default, it's `JSON`.
+	 * @param {object} [options.validators] — Validators by key pattern: `{ [pattern]: schema | function }`. When a value is invalid, `set()` throws a `ValidationError`.
+	 * @param {object} [options.defaults] — The values that are read instead of invalid ones, by key pattern: `{ [pattern]: value }`.
+	 * @param {function} [options.onInvalid] — Is called with `{ key, value, errors }` when an invalid value is read.
+	 * @param {function} [options.matchesPattern]
+	 * @param {function} [options.log]
+	 */
+	constructor({
+		file,
+		directory,
+		serializer = JSON,
+		validators,
+		defaults,
+		onInvalid,
+		matchesPattern = defaultMatchesPattern,
+		log = () => {}
+	} = {}) {
+		if (!file === !directory) {
+			throw new Error('[web-browser-storage] Either `file` or `directory` parameter is required when creating a `FileStorage`')
+		}
+		this.file = file
+		this.directory = directory
+		this.serializer = serializer
+		this.validators = new Validators({ validators, defaults, onInvalid, matchesPattern })
+		this.matchesPattern = matchesPattern
+		this.log = log
+		this.externalChangeListeners = []
+	}
+
+	has(key) {
+		return this.getText(key) !== null
+	}
+
+	get(key) {
+		this.log('read', { key })
+		const text = this.getText(key)
+		if (text === null) {
+			return null
+		}
+		let value
+		try {
+			value = this.serializer.parse(text)
+		} catch (error) {
+			if (error instanceof SyntaxError) {
+				this.log('invalid value', { key })
+				return null
+			}
+			throw error
+		}
+		return this.validators.validateRead(key, value)
+	}
+
+	set(key, value) {
+		if (value === undefined) {
+			return this.delete(key)
+		}
+		this.validators.validateWrite(key, value)
+		this.log('write', { key, value })
+		const text = this.serializer.stringify(value)
+		if (this.file) {
+			const records = new Map(this.readRecords())
+			records.set(key, text)
+			this.writeRecords(records)
+		} else {
+			this.createDirectory(this.directory)
+			writeFileAtomically(this.getRecordFilePath(key), text)
+		}
+		// Own changes aren't reported to `onExternalChange()` listeners.
+		if (this.knownRecords) {
+			this.knownRecords.set(key, text)
+		}
+	}
+
+	delete(key) {
+		this.log('delete', { key })
+		if (this.file) {
+			const records = this.readRecords()
+			if (records.has(key)) {
+				const newRecords = new Map(records)
+				newRecords.delete(key)
+				this.writeRecords(newRecords)
+			}
+		} else {
+			deleteFile(this.getRecordFilePath(key))
+		}
+		if (this.knownRecords) {
+			this.knownRecords.delete(key)
+		}
+	}
+
+	keys() {
+		if (this.file) {
+			return Array.from(this.readRecords().keys())
+		}
+		return readDirectory(this.directory)
+			.filter(isRecordFileName)
+			.map(getKeyFromFileName)
+	}
+
+	getPath(key, path) {
+		return getPath(this, key, path)
+	}
+
+	setPath(key, path, value) {
+		return setPath(this, key, path, value)
+	}
+
+	deletePath(key, path) {
+		return deletePath(this, key, path)
+	}
+
+	update(key, update) {
+		return updateValue(this, key, update)
+	}
+
+	// Deletes all keys, or only the ones matching a `pattern`.
+	// A single `file` is only rewritten once.
+	clear(pattern) {
+		if (this.file) {
+			const records = this.readRecords()
+			const newRecords = new Map()
+			for (const [key, text] of records) {
+				if (pattern !== undefined && !this.matchesPattern(key, pattern)) {
+					newRecords.set(key, text)
+				} else if (this.knownRecords) {
+					this.knownRecords.delete(key)
+				}
+			}
+			if (newRecords.size < records.size) {
+				this.log('clear', { pattern })
+				this.writeRecords(newRecords)
+			}
+		} else {
+			for (const key of this.keys()) {
+				if (pattern === undefined || this.matchesPattern(key, pattern)) {
+					this.delete(key)
+				}
+			}
+		}
+	}
+
+	getRecordSize(key) {
+		const text = this.getText(key)
+		if (text === null) {
+			return 0
+		}
+		return getRecordSize(key, text)
+	}
+
+	getTotalSize() {
+		return getTotalSize(this)
+	}
+
+	getUsage(options) {
+		return getUsage(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	exportSnapshot(options) {
+		return exportSnapshot(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	importSnapshot(snapshot, options) {
+		importSnapshot(this, snapshot, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	// Listens for "external" changes to the files.
+	// "External" changes originate from other processes or other `FileStorage` instances.
+	onExternalChange(listener) {
+		this.externalChangeListeners = this.externalChangeListeners.concat(listener)
+		if (this.externalChangeListeners.length === 1) {
+			this.startWatching()
+		}
+		return () => {
+			const listenersCount = this.externalChangeListeners.length
+			this.externalChangeListeners = this.externalChangeListeners.filter(_ => _ !== listener)
+			if (listenersCount > 0 && this.externalChangeListeners.length === 0) {
+				this.stopWatching()
+			}
+		}
+	}
+
+	// Stops watching the files for changes.
+	close() {
+		this.externalChangeListeners = []
+		this.stopWatching()
+	}
+
+	startWatching() {
+		this.log('watch')
+		if (this.file) {
+			// The file itself isn't watched because it's replaced on each write.
+			const directory = path.dirname(this.file)
+			const fileName = path.basename(this.file)
+			this.createDirectory(directory)
+			this.knownRecords = new Map(this.readRecords())
+			this.watcher = fs.watch(directory, (eventType, changedFileName) => {
+				if (!changedFileName || changedFileName === fileName) {
+					this.onFileChange()
+				}
+			})
+		} else {
+			this.createDirectory(this.directory)
+			this.knownRecords = this.readAllRecordFiles()
+			this.watcher = fs.watch(this.directory, (eventType, changedFileName) => {
+				if (!changedFileName) {
+					this.onDirectoryChange()
+				} else if (isRecordFileName(changedFileName)) {
+					this.onRecordFileChange(getKeyFromFileName(changedFileName))
+				}
+			})
+		}
+		this.watcher.on('error', (error) => this.log('error', error))
+		// Watching the files doesn't prevent Node.js from exiting.
+		this.watcher.unref()
+	}
+
+	stopWatching() {
+		if (this.watcher) {
+			this.log('unwatch')
+			this.watcher.close()
+			this.watcher = undefined
+			this.knownRecords = undefined
+		}
+	}
+
+	// The file is compared to `knownRecords` rather than to `records`,
+	// because `records` could've already been re-read by a `get()`
+	// before the file change has been reported.
+	onFileChange() {
+		const prevRecords = this.knownRecords
+		const records = this.readRecords()
+		this.knownRecords = new Map(records)
+		for (const key of new Set([...prevRecords.keys(), ...records.keys()])) {
+			this.onRecordChange(key, prevRecords.get(key), records.get(key))
+		}
+	}
+
+	// Some operating systems don't report the name of a changed file.
+	onDirectoryChange() {
+		const prevRecords = this.knownRecords
+		const records = this.readAllRecordFiles()
+		this.knownRecords = records
+		for (const key of new Set([...prevRecords.keys(), ...records.keys()])) {
+			this.onRecordChange(key, prevRecords.get(key), records.get(key))
+		}
+	}
+
+	onRecordFileChange(key) {
+		const prevText = this.knownRecords.get(key)
+		const text = readFile(this.getRecordFilePath(key))
+		if (text === null) {
+			this.knownRecords.delete(key)
+		} else {
+			this.knownRecords.set(key, text)
+		}
+		this.onRecordChange(key, prevText, text === null ? undefined : text)
+	}
+
+	onRecordChange(key, prevText, text) {
+		if (text === prevText) {
+			return
+		}
+		// Invalid values are `undefined`, the same way as the ones that can't be parsed.
+		const value = this.validators.validateExternalValue(key, this.parseExternalValue(text))
+		const prevValue = this.validators.validateExternalValue(key, this.parseExternalValue(prevText))
+		this.log('external change', { key })
+		const paths = getChangedPaths(prevValue, value)
+		for (const listener of this.externalChangeListeners) {
+			listener({ key, value, prevValue, paths })
+		}
+	}
+
+	// Returns `undefined` if a value can't be parsed, the same way `LocalStorage` does.
+	parseExternalValue(text) {
+		if (text === undefined) {
+			return null
+		}
+		try {
+			return this.serializer.parse(text)
+		} catch (error) {
+			// Return `undefined`
+		}
+	}
+
+	getText(key) {
+		if (this.file) {
+			const records = this.readRecords()
+			return records.has(key) ? records.get(key) : null
+		}
+		return readFile(this.getRecordFilePath(key))
+	}
+
+	// Reads the records from a single `file`: `Map<key, text>`.
+	// The records are only re-read when the file has been replaced.
+	readRecords() {
+		const stats = getFileStats(this.file)
+		const version = stats && getFileVersion(stats)
+		if (this.records && version === this.recordsVersion) {
+			return this.records
+		}
+		const records = new Map()
+		const text = readFile(this.file)
+		if (text !== null) {
+			let data
+			try {
+				data = this.serializer.parse(text)
+			} catch (error) {
+				throw new Error(`[web-browser-storage] Couldn't parse file ${this.file}: ${error.message}`)
+			}
+			for (const key of Object.keys(data)) {
+				records.set(key, this.serializer.stringify(data[key]))
+			}
+		}
+		this.records = records
+		this.recordsVersion = version
+		return records
+	}
+
+	writeRecords(records) {
+		const data = {}
+		for (const [key, text] of records) {
+			data[key] = this.serializer.parse(text)
+		}
+		this.createDirectory(path.dirname(this.file))
+		const stats = writeFileAtomically(this.file, this.serializer.stringify(data))
+		this.records = records
+		this.recordsVersion = getFileVersion(stats)
+	}
+
+	readAllRecordFiles() {
+		const records = new Map()
+		for (const key of this.keys()) {
+			const text = readFile(this.getRecordFilePath(key))
+			if (text !== null) {
+				records.set(key, text)
+			}
+		}
+		return records
+	}
+
+	getRecordFilePath(key) {
+		return path.join(this.directory, getFileNameForKey(key))
+	}
+
+	createDirectory(directory) {
+		if (this.createdDirectory !== directory) {
+			fs.mkdirSync(directory, { recursive: true })
+			this.createdDirectory = directory
+		}
+	}
+}
+
+FileStorage.isAvailable = () => typeof process !== 'undefined' && Boolean(process.versions) && Boolean(process.versions.node)
+
+const RECORD_FILE_EXTENSION = '.json'
+
+// Keys could contain any characters, so they're encoded in file names.
+// "*" is not allowed in file names on Windows.
+function getFileNameForKey(key) {
+	return encodeURIComponent(key).replace(/\*/g, '%2A') + RECORD_FILE_EXTENSION
+}
+
+function getKeyFromFileName(fileName) {
+	return decodeURIComponent(fileName.slice(0, -RECORD_FILE_EXTENSION.length))
+}
+
+// Temporary files have a ".tmp" extension.
+function isRecordFileName(fileName) {
+	return fileName.endsWith(RECORD_FILE_EXTENSION)
+}
+
+// A file is replaced on each write, so its "inode" changes.
+function getFileVersion(stats) {
+	return `${stats.ino}:${stats.size}:${stats.mtimeMs}`
+}
+
+// Writes a temporary file and then renames it, so that the file is never read half-written.
+// Returns the `fs.Stats` of the written file.
+function writeFileAtomically(filePath, text) {
+	const temporaryFilePath = `${filePath}.${process.pid}.${String(Math.random()).slice(2)}.tmp`
+	try {
+		fs.writeFileSync(temporaryFilePath, text)
+		// A renamed file keeps its "inode" and modification time.
+		const stats = fs.statSync(temporaryFilePath)
+		fs.renameSync(temporaryFilePath, filePath)
+		return stats
+	} catch (error) {
+		deleteFile(temporaryFilePath)
+		throw error
+	}
+}
+
+function readFile(filePath) {
+	try {
+		return fs.readFileSync(filePath, 'utf8')
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return null
+		}
+		throw error
+	}
+}
+
+function deleteFile(filePath) {
+	try {
+		fs.unlinkSync(filePath)
+	} catch (error) {
+		if (error.code !== 'ENOENT') {
+			throw error
+		}
+	}
+}
+
+function readDirectory(directory) {
+	try {
+		return fs.readdirSync(directory)
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return []
+		}
+		throw error
+	}
+}
+
+function getFileStats(filePath) {
+	try {
+		return fs.statSync(filePath)
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return
+		}
+		throw error
+	}
+}
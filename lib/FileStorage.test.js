@@ -0,0 +1,261 @@
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { TestTabStatusWatcher } from 'web-browser-tab/status-watcher'
+import { TestTimer } from 'web-browser-timer'
+
+import FileStorage from './FileStorage.js'
+import CachedStorage from './CachedStorage.js'
+import TaggedJSON from './TaggedJSON.js'
+
+describe('FileStorage', function() {
+	let directory
+
+	beforeEach(function() {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'web-browser-storage-'))
+	})
+
+	afterEach(function() {
+		fs.rmSync(directory, { recursive: true, force: true })
+	})
+
+	it('should be available in Node.js', function() {
+		expect(FileStorage.isAvailable()).to.equal(true)
+	})
+
+	it('should require either `file` or `directory` parameter', function() {
+		expect(() => new FileStorage()).to.throw('Either `file` or `directory` parameter is required')
+		expect(() => new FileStorage({ file: 'a', directory: 'b' })).to.throw('Either `file` or `directory` parameter is required')
+	})
+
+	for (const mode of ['file', 'directory']) {
+		it(`should implement Storage interface (${mode})`, function() {
+			const storage = createStorage(mode, directory)
+
+			expect(storage.get('key')).to.be.null
+			expect(storage.has('key')).to.equal(false)
+			expect(storage.getRecordSize('key')).to.equal(0)
+			expect(storage.keys()).to.deep.equal([])
+
+			storage.set('key', { a: 'b' })
+			expect(storage.get('key')).to.deep.equal({ a: 'b' })
+			expect(storage.has('key')).to.equal(true)
+			expect(storage.getRecordSize('key')).to.equal(24)
+			expect(storage.keys()).to.deep.equal(['key'])
+
+			// Another instance reads the same data.
+			expect(createStorage(mode, directory).get('key')).to.deep.equal({ a: 'b' })
+
+			storage.delete('key')
+			expect(storage.get('key')).to.be.null
+			expect(storage.has('key')).to.equal(false)
+			expect(storage.keys()).to.deep.equal([])
+
+			storage.set('key', undefined)
+			expect(storage.has('key')).to.equal(false)
+		})
+
+		it(`should clear keys (${mode})`, function() {
+			const storage = createStorage(mode, directory)
+
+			storage.set('a.1', 1)
+			storage.set('a.2', 2)
+			storage.set('b', 3)
+
+			storage.clear('a.*')
+			expect(storage.keys()).to.deep.equal(['b'])
+
+			storage.clear()
+			expect(storage.keys()).to.deep.equal([])
+		})
+
+		it(`should detect external changes (${mode})`, async function() {
+			const storage1 = createStorage(mode, directory)
+			const storage2 = createStorage(mode, directory)
+
+			storage1.set('key', { a: 1 })
+
+			const changes = []
+			const unlistenExternalChanges = storage2.onExternalChange(change => changes.push(change))
+
+			storage1.set('key', { a: 2 })
+			await waitFor(() => changes.length === 1)
+
+			storage1.set('other/key', 'value')
+			await waitFor(() => changes.length === 2)
+
+			storage1.delete('key')
+			await waitFor(() => changes.length === 3)
+
+			// Own changes aren't reported.
+			storage2.set('own-key', 'value')
+			await wait(100)
+
+			expect(changes).to.deep.equal([{
+				key: 'key',
+				value: { a: 2 },
+				prevValue: { a: 1 },
+				paths: ['/a']
+			}, {
+				key: 'other/key',
+				value: 'value',
+				prevValue: null,
+				paths: ['']
+			}, {
+				key: 'key',
+				value: null,
+				prevValue: { a: 2 },
+				paths: ['']
+			}])
+
+			unlistenExternalChanges()
+			expect(storage2.watcher).to.be.undefined
+		})
+	}
+
+	it('should detect external changes that have already been read', async function() {
+		const storage1 = createStorage('file', directory)
+		const storage2 = createStorage('file', directory)
+
+		storage1.set('key', 1)
+
+		const changes = []
+		const unlistenExternalChanges = storage2.onExternalChange(change => changes.push(change))
+
+		storage1.set('key', 2)
+		// `fs.watch()` events are asynchronous, so the file is read before the change is reported.
+		expect(storage2.get('key')).to.equal(2)
+
+		await waitFor(() => changes.length === 1)
+		expect(changes).to.deep.equal([{
+			key: 'key',
+			value: 2,
+			prevValue: 1,
+			paths: ['']
+		}])
+
+		unlistenExternalChanges()
+	})
+
+	it('should write files atomically', function() {
+		const storage = new FileStorage({ directory: path.join(directory, 'data') })
+
+		storage.set('a/b*c', 1)
+		expect(fs.readdirSync(path.join(directory, 'data'))).to.deep.equal(['a%2Fb%2Ac.json'])
+		expect(storage.keys()).to.deep.equal(['a/b*c'])
+
+		const fileStorage = new FileStorage({ file: path.join(directory, 'data.json') })
+		fileStorage.set('a', 1)
+		fileStorage.set('b', 2)
+		expect(fs.readdirSync(directory).sort()).to.deep.equal(['data', 'data.json'])
+		expect(JSON.parse(fs.readFileSync(path.join(directory, 'data.json'), 'utf8'))).to.deep.equal({ a: 1, b: 2 })
+	})
+
+	it('should re-read a file after it has been replaced by another process', function() {
+		const file = path.join(directory, 'data.json')
+		const storage = new FileStorage({ file })
+
+		storage.set('a', 1)
+		expect(storage.get('a')).to.equal(1)
+
+		fs.writeFileSync(file + '.tmp', JSON.stringify({ a: 2 }))
+		fs.renameSync(file + '.tmp', file)
+		expect(storage.get('a')).to.equal(2)
+
+		fs.writeFileSync(file, '{')
+		expect(() => storage.get('a')).to.throw('Couldn\'t parse file')
+	})
+
+	it('should use a custom serializer', function() {
+		const storage = new FileStorage({
+			file: path.join(directory, 'data.json'),
+			serializer: TaggedJSON
+		})
+
+		storage.set('date', new Date(0))
+		expect(new FileStorage({
+			file: path.join(directory, 'data.json'),
+			serializer: TaggedJSON
+		}).get('date').getTime()).to.equal(0)
+	})
+
+	it('should be used with `CachedStorage`', function() {
+		const file = path.join(directory, 'data.json')
+		const storage = new FileStorage({ file })
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			cachedKeys: ['*']
+		})
+
+		cachedStorage.start()
+		tabStatusWatcher.setActive(true)
+
+		cachedStorage.set('a', 1)
+		cachedStorage.set('a', 2)
+		cachedStorage.set('b', 3)
+		expect(fs.existsSync(file)).to.equal(false)
+		expect(cachedStorage.get('a')).to.equal(2)
+
+		cachedStorage.flush()
+		expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal({ a: 2, b: 3 })
+
+		cachedStorage.stop()
+		storage.close()
+	})
+	it('should support `batch()` and `importSnapshot()` of a `CachedStorage`', function() {
+		const file = path.join(directory, 'data.json')
+		const storage = new FileStorage({ file })
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher: new TestTabStatusWatcher(),
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000
+		})
+
+		cachedStorage.set('c', 3)
+
+		cachedStorage.batch((batch) => {
+			batch.set('a', 1)
+			batch.set('b', 2)
+			batch.delete('c')
+		})
+		expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal({ a: 1, b: 2 })
+
+		cachedStorage.importSnapshot(cachedStorage.exportSnapshot({ patterns: ['a'] }), { mode: 'replace', patterns: ['*'] })
+		expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal({ a: 1 })
+
+		storage.close()
+	})
+})
+
+function createStorage(mode, directory) {
+	if (mode === 'file') {
+		return new FileStorage({ file: path.join(directory, 'data.json') })
+	}
+	return new FileStorage({ directory: path.join(directory, 'data') })
+}
+
+// `fs.watch()` events are asynchronous.
+async function waitFor(condition, timeout = 2000) {
+	const startedAt = Date.now()
+	while (!condition()) {
+		if (Date.now() - startedAt > timeout) {
+			throw new Error('Timed out')
+		}
+		await wait(10)
+	}
+}
+
+function wait(delay) {
+	return new Promise(resolve => setTimeout(resolve, delay))
+}
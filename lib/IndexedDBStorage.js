@@ -0,0 +1,208 @@
+// https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API
+
+import BroadcastChannelTransport from './BroadcastChannelTransport.js'
+import { isQuotaExceededError } from './WebStorage.helpers.js'
+import { getRecordSize } from './size.js'
+import { getPathAsync, setPath, deletePath, updateValueAsync, getChangedPaths } from './path.js'
+import { exportSnapshotAsync, importSnapshotAsync } from './snapshot.js'
+
+// `IndexedDBStorage` implements an asynchronous variant of the `Storage` interface:
+// all methods return a `Promise`, except for `onExternalChange()`.
+//
+// Unlike `localStorage`, IndexedDB isn't limited to about 5 megabytes of data
+// and it doesn't block the main thread when reading or writing.
+//
+// Values are stored "as is" rather than being stringified to JSON,
+// so `Date`s, `Map`s, `Set`s, etc will be read back as they were written.
+// https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API/Structured_clone_algorithm
+//
+// IndexedDB doesn't emit any events when its data is modified from another tab,
+// so `IndexedDBStorage` notifies other tabs about its writes itself
+// through a `BroadcastChannelTransport`.
+//
+export default class IndexedDBStorage {
+	constructor({
+		indexedDB,
+		databaseName = 'web-browser-storage',
+		objectStoreName = 'data',
+		createBroadcastChannel,
+		transport = new BroadcastChannelTransport({
+			name: `web-browser-storage/${databaseName}/${objectStoreName}`,
+			createBroadcastChannel
+		}),
+		onFull,
+		log = () => {}
+	} = {}) {
+		// `indexedDB` is not available on server side,
+		// so the global variable is only accessed when it's used.
+		this.indexedDB = indexedDB
+		this.databaseName = databaseName
+		this.objectStoreName = objectStoreName
+		this.transport = transport
+		this.onFull = onFull
+		this.log = log
+	}
+
+	async has(key) {
+		const count = await this.request('readonly', store => store.count(key))
+		return count > 0
+	}
+
+	async get(key) {
+		this.log('read', { key })
+		const value = await this.request('readonly', store => store.get(key))
+		if (value === undefined) {
+			return null
+		}
+		return value
+	}
+
+	async set(key, value) {
+		if (value === undefined) {
+			return await this.delete(key)
+		}
+		this.log('write', { key, value })
+		let prevValue
+		try {
+			prevValue = await this.request('readwrite', (store) => {
+				const prevValueRequest = store.get(key)
+				store.put(value, key)
+				return prevValueRequest
+			})
+		} catch (error) {
+			if (isQuotaExceededError(error)) {
+				if (this.onFull) {
+					return this.onFull({ error })
+				}
+			}
+			throw error
+		}
+		this.notifyOtherTabs({
+			key,
+			value,
+			prevValue: prevValue === undefined ? null : prevValue
+		})
+	}
+
+	async delete(key) {
+		this.log('delete', { key })
+		const prevValue = await this.request('readwrite', (store) => {
+			const prevValueRequest = store.get(key)
+			store.delete(key)
+			return prevValueRequest
+		})
+		if (prevValue !== undefined) {
+			this.notifyOtherTabs({
+				key,
+				value: null,
+				prevValue
+			})
+		}
+	}
+
+	async getPath(key, path) {
+		return getPathAsync(this, key, path)
+	}
+
+	async setPath(key, path, value) {
+		return setPath(this, key, path, value)
+	}
+
+	async deletePath(key, path) {
+		return deletePath(this, key, path)
+	}
+
+	async update(key, update) {
+		return updateValueAsync(this, key, update)
+	}
+
+	async keys() {
+		return await this.request('readonly', store => store.getAllKeys())
+	}
+
+	async getRecordSize(key) {
+		const value = await this.get(key)
+		if (value === null) {
+			return 0
+		}
+		// IndexedDB doesn't provide a way to get the size of a record.
+		// It's estimated the same way `MemoryStorage` does it.
+		return getRecordSize(key, JSON.stringify(value))
+	}
+
+	async exportSnapshot(options) {
+		return await exportSnapshotAsync(this, options)
+	}
+
+	async importSnapshot(snapshot, options) {
+		await importSnapshotAsync(this, snapshot, options)
+	}
+
+	// Listens for "external" changes to the database.
+	// "External" changes originate from other tabs or browser windows.
+	onExternalChange(listener) {
+		return this.transport.onMessage(({ key, value, prevValue }) => {
+			listener({
+				key,
+				value,
+				prevValue,
+				paths: getChangedPaths(prevValue, value)
+			})
+		})
+	}
+
+	// Closes the database connection and stops listening to external changes.
+	// For example, Node.js won't exit while a `BroadcastChannel` is open.
+	async close() {
+		this.transport.close()
+		if (this.database) {
+			const database = await this.database
+			this.database = undefined
+			database.close()
+		}
+	}
+
+	notifyOtherTabs({ key, value, prevValue }) {
+		this.transport.notify({ key, value, prevValue })
+	}
+
+	getDatabase() {
+		if (!this.database) {
+			this.database = new Promise((resolve, reject) => {
+				const request = (this.indexedDB || indexedDB).open(this.databaseName, 1)
+				request.onupgradeneeded = () => {
+					request.result.createObjectStore(this.objectStoreName)
+				}
+				request.onsuccess = () => {
+					const database = request.result
+					// Don't prevent other tabs from upgrading the database.
+					database.onversionchange = () => {
+						database.close()
+						this.database = undefined
+					}
+					resolve(database)
+				}
+				request.onerror = () => {
+					this.database = undefined
+					reject(request.error)
+				}
+			})
+		}
+		return this.database
+	}
+
+	// Runs a request in a transaction and returns the request's result
+	// after the transaction has completed.
+	async request(mode, createRequest) {
+		const database = await this.getDatabase()
+		const transaction = database.transaction(this.objectStoreName, mode)
+		const request = createRequest(transaction.objectStore(this.objectStoreName))
+		await new Promise((resolve, reject) => {
+			transaction.oncomplete = () => resolve()
+			transaction.onabort = () => reject(transaction.error)
+		})
+		return request.result
+	}
+}
+
+IndexedDBStorage.isAvailable = () => typeof indexedDB !== 'undefined'
@@ -0,0 +1,97 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import { IDBFactory } from 'fake-indexeddb'
+
+import IndexedDBStorage from './IndexedDBStorage.js'
+
+describe('IndexedDBStorage', function() {
+	it('should implement AsyncStorage interface', async function() {
+		const storage = new IndexedDBStorage({
+			indexedDB: new IDBFactory()
+		})
+
+		expect(await storage.get('key')).to.be.null
+		expect(await storage.has('key')).to.equal(false)
+		expect(await storage.getRecordSize('key')).to.equal(0)
+		expect(await storage.keys()).to.deep.equal([])
+
+		await storage.set('key', { a: 'b' })
+		expect(await storage.get('key')).to.deep.equal({ a: 'b' })
+		expect(await storage.has('key')).to.equal(true)
+		expect(await storage.getRecordSize('key')).to.equal(24)
+		expect(await storage.keys()).to.deep.equal(['key'])
+
+		await storage.delete('key')
+		expect(await storage.get('key')).to.be.null
+		expect(await storage.has('key')).to.equal(false)
+		expect(await storage.getRecordSize('key')).to.equal(0)
+		expect(await storage.keys()).to.deep.equal([])
+
+		await storage.close()
+	})
+
+	it('should store values without stringifying them', async function() {
+		const storage = new IndexedDBStorage({
+			indexedDB: new IDBFactory()
+		})
+
+		await storage.set('date', new Date(Date.UTC(2000, 0, 1)))
+		expect((await storage.get('date')).getTime()).to.equal(946684800000)
+
+		await storage.set('date', undefined)
+		expect(await storage.has('date')).to.equal(false)
+
+		await storage.close()
+	})
+
+	it('should detect external changes', async function() {
+		const indexedDB = new IDBFactory()
+
+		const storage1 = new IndexedDBStorage({ indexedDB })
+		const storage2 = new IndexedDBStorage({ indexedDB })
+
+		const changes1 = []
+		const unlistenExternalChanges1 = storage1.onExternalChange(change => changes1.push(change))
+
+		const changes2 = []
+		const unlistenExternalChanges2 = storage2.onExternalChange(change => changes2.push(change))
+
+		await storage1.set('key', 'value')
+		await waitForMessages()
+
+		expect(await storage2.get('key')).to.equal('value')
+		expect(changes1).to.deep.equal([])
+		expect(changes2).to.deep.equal([{
+			key: 'key',
+			value: 'value',
+			prevValue: null,
+			paths: ['']
+		}])
+
+		await storage2.delete('key')
+		await waitForMessages()
+
+		expect(changes1).to.deep.equal([{
+			key: 'key',
+			value: null,
+			prevValue: 'value',
+			paths: ['']
+		}])
+
+		unlistenExternalChanges1()
+		unlistenExternalChanges2()
+
+		await storage1.set('key', 'value')
+		await waitForMessages()
+
+		expect(changes2.length).to.equal(1)
+
+		await storage1.close()
+		await storage2.close()
+	})
+})
+
+function waitForMessages() {
+	return new Promise(resolve => setTimeout(resolve, 10))
+}
@@ -0,0 +1,117 @@
+import defaultMatchesPattern from './matchesPattern.js'
+import { isQuotaExceededError } from './WebStorage.helpers.js'
+
+// `LRUEvictionPolicy` could be passed as an `evictionPolicy` parameter
+// to `LocalStorage`, `SessionStorage` or `MemoryStorage`.
+//
+// When a write fails because the storage is full,
+// it evicts the "least recently used" records
+// and then retries the write, until the write succeeds
+// or there're no more records left to evict.
+//
+// "Last access" order is only tracked for the current page,
+// so the records that haven't been accessed since the page has been loaded
+// are considered "least recently used" and are evicted first.
+//
+export default class LRUEvictionPolicy {
+	/**
+	 * @param {string[]} [options.evictableKeys] — Key patterns of the records that could be evicted. By default, any record could be evicted.
+	 * @param {function} [options.onEvict] — Is called with `{ keys }` argument after some records have been evicted.
+	 * @param {function} [options.matchesPattern]
+	 * @param {function} [options.log]
+	 */
+	constructor({
+		evictableKeys,
+		onEvict,
+		matchesPattern = defaultMatchesPattern,
+		log = () => {}
+	} = {}) {
+		this.evictableKeys = evictableKeys
+		this.onEvict = onEvict
+		this.matchesPattern = matchesPattern
+		this.log = log
+
+		this.accessOrder = {}
+		this.accessCounter = 0
+	}
+
+	/**
+	 * Should be called when a record is read or written.
+	 * @param {string} key
+	 */
+	touch(key) {
+		this.accessCounter++
+		this.accessOrder[key] = this.accessCounter
+	}
+
+	/**
+	 * Should be called when a record is deleted.
+	 * @param {string} key
+	 */
+	forget(key) {
+		delete this.accessOrder[key]
+	}
+
+	/**
+	 * Performs a `write()`. If it fails because the storage is full,
+	 * evicts the least recently used records and retries.
+	 * @param {string} parameters.key — The key being written. It won't be evicted.
+	 * @param {function} parameters.write — Writes the record.
+	 * @param {Storage} parameters.storage — The storage to evict records from.
+	 */
+	write({ key, write, storage }) {
+		const evictedKeys = []
+		try {
+			while (true) {
+				try {
+					write()
+					this.touch(key)
+					return
+				} catch (error) {
+					if (!isQuotaExceededError(error)) {
+						throw error
+					}
+					const evictedKey = this.getLeastRecentlyUsedKey(storage.keys(), key)
+					if (evictedKey === undefined) {
+						throw error
+					}
+					this.log('evict', { key: evictedKey })
+					storage.delete(evictedKey)
+					this.forget(evictedKey)
+					evictedKeys.push(evictedKey)
+				}
+			}
+		} finally {
+			if (evictedKeys.length > 0 && this.onEvict) {
+				this.onEvict({ keys: evictedKeys })
+			}
+		}
+	}
+
+	getLeastRecentlyUsedKey(keys, exceptKey) {
+		let leastRecentlyUsedKey
+		let leastRecentAccess
+		for (const key of keys) {
+			if (key !== exceptKey && this.isEvictable(key)) {
+				const access = this.accessOrder[key] || 0
+				if (leastRecentlyUsedKey === undefined || access < leastRecentAccess) {
+					leastRecentlyUsedKey = key
+					leastRecentAccess = access
+				}
+			}
+		}
+		return leastRecentlyUsedKey
+	}
+
+	isEvictable(key) {
+		if (!this.evictableKeys) {
+			return true
+		}
+		for (const pattern of this.evictableKeys) {
+			if (this.matchesPattern(key, pattern)) {
+				return true
+			}
+		}
+		return false
+	}
+}
@@ -0,0 +1,75 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import LRUEvictionPolicy from './LRUEvictionPolicy.js'
+import MemoryStorage from './MemoryStorage.js'
+
+describe('LRUEvictionPolicy', function() {
+	it('should evict least recently used records when the storage is full', function() {
+		const evictedKeys = []
+
+		const storage = new MemoryStorage({
+			// Each record is 16 bytes: `(2 + 6) * 2`.
+			quota: 16 * 3,
+			evictionPolicy: new LRUEvictionPolicy({
+				onEvict: ({ keys }) => evictedKeys.push(keys)
+			})
+		})
+
+		storage.set('k1', 'abcd')
+		storage.set('k2', 'abcd')
+		storage.set('k3', 'abcd')
+
+		// Access "k1" so that "k2" becomes the least recently used record.
+		storage.get('k1')
+
+		storage.set('k4', 'abcd')
+		expect(storage.keys()).to.deep.equal(['k1', 'k3', 'k4'])
+		expect(evictedKeys).to.deep.equal([['k2']])
+
+		// Requires evicting two records.
+		storage.set('k5', 'abcdefghijkl')
+		expect(storage.keys()).to.deep.equal(['k4', 'k5'])
+		expect(evictedKeys).to.deep.equal([['k2'], ['k3', 'k1']])
+	})
+
+	it('should only evict evictable records', function() {
+		const storage = new MemoryStorage({
+			quota: 16 * 2,
+			evictionPolicy: new LRUEvictionPolicy({
+				evictableKeys: ['c.*']
+			})
+		})
+
+		storage.set('k1', 'abcd')
+		storage.set('k2', 'abcd')
+
+		expect(() => storage.set('k3', 'abcd')).to.throw('exceeded the quota')
+		expect(storage.keys()).to.deep.equal(['k1', 'k2'])
+
+		storage.delete('k2')
+		storage.set('c.1', 'ab')
+		storage.set('k3', 'abcd')
+		expect(storage.keys()).to.deep.equal(['k1', 'k3'])
+	})
+
+	it('should evict records that haven\'t been accessed first', function() {
+		const storage = new MemoryStorage({
+			quota: 16 * 2
+		})
+
+		storage.set('k1', 'abcd')
+		storage.set('k2', 'abcd')
+
+		const evictionPolicy = new LRUEvictionPolicy()
+		evictionPolicy.touch('k1')
+
+		evictionPolicy.write({
+			key: 'k3',
+			write: () => storage.set('k3', 'abcd'),
+			storage
+		})
+
+		expect(storage.keys()).to.deep.equal(['k1', 'k3'])
+	})
+})
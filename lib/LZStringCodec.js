@@ -0,0 +1,13 @@
+import LZString from 'lz-string'
+
+// A compression codec based on `lz-string`.
+// It produces "valid" UTF-16 strings that could be stored in `localStorage`.
+// https://github.com/pieroxy/lz-string
+//
+// `lz-string` is an optional dependency, so this codec is exported
+// from a separate `web-browser-storage/compression` subpath.
+//
+export default {
+	compress: (string) => LZString.compressToUTF16(string),
+	decompress: (string) => LZString.decompressFromUTF16(string)
+}
@@ -1,8 +1,36 @@
+import defaultMatchesPattern from './matchesPattern.js'
+import { getRecordSize, getTotalSize, getUsage } from './size.js'
+import { getBudgetExceededError } from './budgets.js'
+import ChangeListeners from './ChangeListeners.js'
+import BudgetExceededError from './BudgetExceededError.js'
+import Validators from './Validators.js'
+import { collectChanges, performChanges, notifyChange } from './batch.js'
+import { getPath, setPath, deletePath, updateValue, getChangedPaths } from './path.js'
+import { exportSnapshot, importSnapshot } from './snapshot.js'
+
 export default class MemoryStorage {
 	// {boolean} `[options.stringifyStoredValues]` — Pass `false` to disable forced data serialization/deserialization on write/read. For example, `Date`s will be read as strings after writing.
+	// {object} `[options.serializer]` — An object having `stringify()` and `parse()` functions. Is used for the forced data serialization/deserialization. Default: `JSON`.
+	// {number} `[options.quota]` — Maximum total size of the data, in bytes. When exceeded, `.set()` throws a `QuotaExceededError` the same way `localStorage.setItem()` does.
+	// {LRUEvictionPolicy} `[options.evictionPolicy]` — Evicts records when `quota` is exceeded.
+	// {object} `[options.budgets]` — Maximum total size of the records, in bytes, by key pattern: `{ [pattern]: number }`. When exceeded, `.set()` throws a `BudgetExceededError`.
+	// {function} `[options.onBudgetExceeded]` — Is called with `{ error }` instead of throwing a `BudgetExceededError`. The value is not written in that case.
+	// {object} `[options.validators]` — Validators by key pattern: `{ [pattern]: schema | function }`. When a value is invalid, `.set()` throws a `ValidationError`.
+	// {object} `[options.defaults]` — The values that are read instead of invalid ones, by key pattern: `{ [pattern]: value }`.
+	// {function} `[options.onInvalid]` — Is called with `{ key, value, errors }` when an invalid value is read.
+	// {function} `[options.matchesPattern]` — Tests whether a key matches a pattern.
 	constructor({
 		id,
 		stringifyStoredValues,
+		serializer = JSON,
+		quota,
+		evictionPolicy,
+		budgets,
+		onBudgetExceeded,
+		validators,
+		defaults,
+		onInvalid,
+		matchesPattern = defaultMatchesPattern,
 		dataSource,
 		getExternalChangeListeners,
 		setExternalChangeListeners
@@ -13,6 +41,17 @@ export default class MemoryStorage {
 
 		// Options.
 		this.stringifyStoredValues = stringifyStoredValues
+		this.serializer = serializer
+		this.quota = quota
+		this.evictionPolicy = evictionPolicy
+		this.budgets = budgets
+		this.onBudgetExceeded = onBudgetExceeded
+		this.matchesPattern = matchesPattern
+
+		this.changeListeners = new ChangeListeners({ matchesPattern })
+
+		this.validatorOptions = { validators, defaults, onInvalid }
+		this.validators = new Validators({ validators, defaults, onInvalid, matchesPattern })
 
 		if (dataSource) {
 			this.data = dataSource
@@ -46,6 +85,12 @@ export default class MemoryStorage {
 		return new MemoryStorage({
 			id,
 			stringifyStoredValues: this.stringifyStoredValues,
+			serializer: this.serializer,
+			quota: this.quota,
+			budgets: this.budgets,
+			onBudgetExceeded: this.onBudgetExceeded,
+			...this.validatorOptions,
+			matchesPattern: this.matchesPattern,
 			dataSource: this.data,
 			getExternalChangeListeners: this.getExternalChangeListeners,
 			setExternalChangeListeners: this.setExternalChangeListeners
@@ -54,13 +99,20 @@ export default class MemoryStorage {
 
 	triggerExternalChangeListeners({ key, value, prevValue }) {
 		if (this.id !== undefined) {
-			for (const { storageId, listener } of this.getExternalChangeListeners()) {
+			let paths
+			for (const { storageId, listener, validators } of this.getExternalChangeListeners()) {
 				if (storageId !== undefined) {
 					if (storageId !== this.id) {
+						if (!paths) {
+							paths = getChangedPaths(prevValue, value)
+						}
 						listener({
 							key,
-							value,
-							prevValue
+							// Values are validated by the receiving instance.
+							// Invalid values are `undefined`, the same way as in `LocalStorage`.
+							value: validators.validateExternalValue(key, value),
+							prevValue: validators.validateExternalValue(key, prevValue),
+							paths
 						})
 					}
 				}
@@ -81,74 +133,183 @@ export default class MemoryStorage {
 	}
 
 	get(key) {
+		if (this.evictionPolicy) {
+			this.evictionPolicy.touch(key)
+		}
+		return this.validators.validateRead(key, this.getStoredValue(key))
+	}
+
+	// Reads a value without validating it.
+	getStoredValue(key) {
 		if (!this.has(key)) {
 			return null
 		}
-		const item = this.data.get(key)
+		return this.serialize(this.data.get(key))
+	}
+
+	// Emulates `localStorage`'s behavior which "serializes" everything to string on write.
+	serialize(value) {
 		if (this.stringifyStoredValues !== false) {
-			if (item !== undefined) {
-				return JSON.parse(JSON.stringify(item))
+			if (value !== undefined) {
+				return this.serializer.parse(this.serializer.stringify(value))
 			}
 		}
-		return item
+		return value
 	}
 
 	set(key, value) {
+		this.validators.validateWrite(key, value)
+		try {
+			this.checkBudgets(key, value)
+		} catch (error) {
+			return this.onWriteError(error)
+		}
+		this.writeUsingEvictionPolicy(key, value)
+	}
+
+	checkBudgets(key, value) {
+		if (this.budgets && value !== undefined) {
+			const error = getBudgetExceededError({
+				storage: this,
+				budgets: this.budgets,
+				key,
+				recordSize: getValueRecordSize(key, value, this.serializer),
+				matchesPattern: this.matchesPattern
+			})
+			if (error) {
+				throw error
+			}
+		}
+	}
+
+	// Either calls `onBudgetExceeded()`, if specified, or throws the `error`.
+	onWriteError(error) {
+		if (error instanceof BudgetExceededError) {
+			if (this.onBudgetExceeded) {
+				return this.onBudgetExceeded({ error })
+			}
+		}
+		throw error
+	}
+
+	writeUsingEvictionPolicy(key, value) {
+		if (this.evictionPolicy) {
+			this.evictionPolicy.write({
+				key,
+				write: () => this.write(key, value),
+				storage: this
+			})
+		} else {
+			this.write(key, value)
+		}
+	}
+
+	write(key, value) {
+		// Emulate `localStorage` quota.
+		if (this.quota !== undefined) {
+			if (this.getTotalSize() - this.getRecordSize(key) + getValueRecordSize(key, value, this.serializer) > this.quota) {
+				throw new DOMException(`Setting the value of "${key}" exceeded the quota`, 'QuotaExceededError')
+			}
+		}
+
 		// Get the previous value.
-		const prevValue = this.get(key)
+		const prevValue = this.getStoredValue(key)
 
 		// Update the value.
 		this.data.set(key, value)
 
-		// Trigger external change listeners.
-		this.triggerExternalChangeListeners({
+		// Trigger change listeners.
+		notifyChange(this, {
 			key,
-			value,
+			value: this.serialize(value),
 			prevValue
 		})
 	}
 
 	delete(key) {
+		if (this.evictionPolicy) {
+			this.evictionPolicy.forget(key)
+		}
+
 		// Get the previous value.
-		const prevValue = this.get(key)
+		const prevValue = this.getStoredValue(key)
 
 		// Clear the value.
 		this.data.delete(key)
 
-		// Trigger external change listeners.
-		this.triggerExternalChangeListeners({
+		// Trigger change listeners.
+		notifyChange(this, {
 			key,
 			value: null,
 			prevValue
 		})
 	}
 
-	// // Clears the storage data.
-	// clear() {
-	// 	// Clear the data.
-	// 	this.data.setAll({})
-	// }
-
-	// // Clears the storage data.
-	// clear() {
-	// 	// Get the data.
-	// 	const keys = this.keys()
-	// 	const values = keys.map(key => this.get(key))
-	//
-	// 	// Clear the data.
-	// 	this.clear()
-	//
-	// 	// Trigger external change listeners for each key.
-	// 	let i = 0
-	// 	while (i < keys.length) {
-	// 		this.triggerExternalChangeListeners({
-	// 			key: keys[i],
-	// 			value: null,
-	// 			prevValue: values[i]
-	// 		})
-	// 		i++
-	// 	}
-	// }
+	/**
+	 * Collects the writes and deletes made by `fn()` and then performs them together.
+	 * If any of the writes fails, the previous values of all of the keys are restored.
+	 * Change notifications are only sent after all writes have succeeded, one by one, in the order of the writes.
+	 * @param {function} fn — Receives a `batch` object having `get()`, `has()`, `set()` and `delete()` methods.
+	 */
+	batch(fn) {
+		const changes = collectChanges(this, fn)
+		return performChanges(this, changes, {
+			write: (key, value) => {
+				this.validators.validateWrite(key, value)
+				this.checkBudgets(key, value)
+				this.writeUsingEvictionPolicy(key, value)
+			},
+			getRecord: (key) => this.data.has(key) ? { value: this.data.get(key) } : null,
+			setRecord: (key, record) => {
+				if (record) {
+					this.data.set(key, record.value)
+				} else {
+					this.data.delete(key)
+				}
+			}
+		})
+	}
+
+	// An alias for `batch()`.
+	transaction(fn) {
+		return this.batch(fn)
+	}
+
+	sendChange({ key, value, prevValue }) {
+		if (value !== null || prevValue !== null) {
+			this.changeListeners.trigger({ key, value, prevValue, source: 'local' })
+		}
+		this.triggerExternalChangeListeners({ key, value, prevValue })
+	}
+
+	getPath(key, path) {
+		return getPath(this, key, path)
+	}
+
+	setPath(key, path, value) {
+		return setPath(this, key, path, value)
+	}
+
+	deletePath(key, path) {
+		return deletePath(this, key, path)
+	}
+
+	update(key, update) {
+		return updateValue(this, key, update)
+	}
+
+	/**
+	 * Deletes all keys, or only the ones matching a `pattern`.
+	 * Shared instances are notified about each deleted key.
+	 * @param {string} [pattern]
+	 */
+	clear(pattern) {
+		for (const key of this.keys()) {
+			if (pattern === undefined || this.matchesPattern(key, pattern)) {
+				this.delete(key)
+			}
+		}
+	}
 
 	keys() {
 		return Object.keys(this.data.getAll())
@@ -158,14 +319,39 @@ export default class MemoryStorage {
 		if (!this.has(key)) {
 			return 0
 		}
-		let size = key.length
-		const value = this.data.get(key)
-		if (value !== null && value !== undefined) {
-			size += JSON.stringify(value).length
+		return getValueRecordSize(key, this.data.get(key), this.serializer)
+	}
+
+	getTotalSize() {
+		return getTotalSize(this)
+	}
+
+	getUsage(options) {
+		return getUsage(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	exportSnapshot(options) {
+		return exportSnapshot(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	importSnapshot(snapshot, options) {
+		importSnapshot(this, snapshot, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	// Listens for changes to the keys matching a `pattern`: both the ones made
+	// through this instance (`source: "local"`) and the ones made through
+	// other shared instances (`source: "external"`).
+	onChange(pattern, listener) {
+		const removeListener = this.changeListeners.add(pattern, listener)
+		const unlistenExternalChanges = this.onExternalChange(({ key, value, prevValue, paths }) => {
+			if (this.matchesPattern(key, pattern)) {
+				listener({ key, value, prevValue, paths, source: 'external' })
+			}
+		})
+		return () => {
+			removeListener()
+			unlistenExternalChanges()
 		}
-		// They say javascript uses UTF-16 character encoding internally (2 bytes per character).
-		// https://stackoverflow.com/questions/4391575/how-to-find-the-size-of-localstorage
-		return size * 2
 	}
 
 	// Listens for "external" changes to the `storage`.
@@ -175,7 +361,7 @@ export default class MemoryStorage {
 		// added via `onExternalChange()` for this `MemoryStorage` will be ignored.
 		this.setExternalChangeListeners(
 			this.getExternalChangeListeners().concat(
-				{ storageId: this.id, listener }
+				{ storageId: this.id, listener, validators: this.validators }
 			)
 		)
 		return () => {
@@ -186,4 +372,12 @@ export default class MemoryStorage {
 	}
 }
 
-MemoryStorage.isAvailable = () => true
\ No newline at end of file
+MemoryStorage.isAvailable = () => true
+
+// Estimates the size of a record the same way it would be in `localStorage`.
+function getValueRecordSize(key, value, serializer) {
+	if (value === null || value === undefined) {
+		return getRecordSize(key)
+	}
+	return getRecordSize(key, serializer.stringify(value))
+}
@@ -2,6 +2,8 @@ import { describe, it } from 'mocha'
 import { expect } from 'chai'
 
 import MemoryStorage from './MemoryStorage.js'
+import TaggedJSON from './TaggedJSON.js'
+import BudgetExceededError from './BudgetExceededError.js'
 
 describe('MemoryStorage', function() {
 	it('should work', function() {
@@ -41,6 +43,40 @@ describe('MemoryStorage', function() {
 		expect(storage.get('date').getTime()).to.equal(946684800000)
 	})
 
+	it('should use a custom `serializer`', function() {
+		const storage = new MemoryStorage({
+			serializer: TaggedJSON
+		})
+
+		storage.set('date', new Date(Date.UTC(2000, 0, 1)))
+		expect(storage.get('date').getTime()).to.equal(946684800000)
+		expect(storage.getRecordSize('date')).to.equal(2 * ('date'.length + '{"$type":"Date","value":946684800000}'.length))
+	})
+
+	it('should throw a `QuotaExceededError` when `quota` is exceeded', function() {
+		const storage = new MemoryStorage({
+			quota: 30
+		})
+
+		// 24 bytes.
+		storage.set('key', { a: 'b' })
+
+		let error
+		try {
+			storage.set('key2', 'value')
+		} catch (_error) {
+			error = _error
+		}
+
+		expect(error).to.be.an.instanceOf(DOMException)
+		expect(error.name).to.equal('QuotaExceededError')
+		expect(storage.keys()).to.deep.equal(['key'])
+
+		// Overwriting a record only counts the difference in size.
+		storage.set('key', { a: 'c' })
+		expect(storage.get('key')).to.deep.equal({ a: 'c' })
+	})
+
 	it('should detect external changes', function() {
 		const sourceStorage = new MemoryStorage()
 
@@ -97,4 +133,285 @@ describe('MemoryStorage', function() {
 		expect(storage1ExternalChangeTriggered).to.equal(false)
 		expect(storage2ExternalChangeTriggered).to.equal(false)
 	})
-})
\ No newline at end of file
+
+	it('should report usage', function() {
+		const storage = new MemoryStorage()
+
+		storage.set('a.1', 'value')
+		storage.set('a.2', 'value')
+		storage.set('b.1', 'value')
+		storage.set('c', 'value')
+
+		// `'a.1' + '"value"'` is 10 characters which is 20 bytes.
+		expect(storage.getTotalSize()).to.equal(4 * 20 - 2 * 2)
+		expect(storage.getUsage({ groupBy: ['a.*', 'b.*', 'd.*'] })).to.deep.equal({
+			total: 4 * 20 - 2 * 2,
+			groups: {
+				'a.*': 40,
+				'b.*': 20,
+				'd.*': 0
+			},
+			other: 16
+		})
+	})
+
+	it('should throw a `BudgetExceededError` when a budget is exceeded', function() {
+		const storage = new MemoryStorage({
+			budgets: {
+				'a.*': 40
+			}
+		})
+
+		storage.set('a.1', 'value')
+		storage.set('a.2', 'value')
+		// Overwriting a record doesn't count the previous value.
+		storage.set('a.2', 'other')
+		// Other keys aren't limited.
+		storage.set('b.1', 'value')
+
+		let error
+		try {
+			storage.set('a.3', 'value')
+		} catch (_) {
+			error = _
+		}
+		expect(error).to.be.an.instanceof(BudgetExceededError)
+		expect(error.name).to.equal('BudgetExceededError')
+		expect(error.key).to.equal('a.3')
+		expect(error.pattern).to.equal('a.*')
+		expect(error.budget).to.equal(40)
+		expect(error.size).to.equal(60)
+		expect(storage.has('a.3')).to.equal(false)
+	})
+
+	it('should call `onBudgetExceeded()` when a budget is exceeded', function() {
+		const errors = []
+		const storage = new MemoryStorage({
+			budgets: {
+				'a.*': 30
+			},
+			onBudgetExceeded: ({ error }) => errors.push(error)
+		})
+
+		storage.set('a.1', 'value')
+		storage.set('a.2', 'value')
+
+		expect(errors.length).to.equal(1)
+		expect(errors[0].key).to.equal('a.2')
+		expect(storage.keys()).to.deep.equal(['a.1'])
+	})
+
+	it('should call `onChange()` listeners on both local and external changes', function() {
+		const sourceStorage = new MemoryStorage()
+		const storage1 = sourceStorage.createSharedInstance('1')
+		const storage2 = sourceStorage.createSharedInstance('2')
+
+		const changes = []
+		const unlisten = storage1.onChange('a.*', change => changes.push(change))
+
+		storage1.set('a.1', new Date(Date.UTC(2000, 0, 1)))
+		storage1.set('b.1', 'value')
+		storage2.set('a.2', 'value')
+		storage2.set('b.2', 'value')
+		storage2.delete('a.1')
+
+		expect(changes).to.deep.equal([{
+			key: 'a.1',
+			value: '2000-01-01T00:00:00.000Z',
+			prevValue: null,
+			paths: [''],
+			source: 'local'
+		}, {
+			key: 'a.2',
+			value: 'value',
+			prevValue: null,
+			paths: [''],
+			source: 'external'
+		}, {
+			key: 'a.1',
+			value: null,
+			prevValue: '2000-01-01T00:00:00.000Z',
+			paths: [''],
+			source: 'external'
+		}])
+
+		unlisten()
+
+		storage1.set('a.1', 'value')
+		storage2.set('a.1', 'other')
+		expect(changes.length).to.equal(3)
+	})
+
+	it('should perform writes in a `batch()`', function() {
+		const storage = new MemoryStorage()
+
+		storage.set('a', 1)
+		storage.set('b', 2)
+
+		const changes = []
+		storage.onChange('*', change => changes.push(change))
+
+		storage.batch((batch) => {
+			expect(batch.get('a')).to.equal(1)
+			batch.set('a', batch.get('a') + 10)
+			expect(batch.get('a')).to.equal(11)
+			batch.delete('b')
+			expect(batch.has('b')).to.equal(false)
+			expect(batch.get('b')).to.be.null
+			// Nothing has been written yet.
+			expect(storage.get('a')).to.equal(1)
+			expect(changes).to.deep.equal([])
+		})
+
+		expect(storage.get('a')).to.equal(11)
+		expect(storage.has('b')).to.equal(false)
+		expect(changes).to.deep.equal([{
+			key: 'a',
+			value: 11,
+			prevValue: 1,
+			paths: [''],
+			source: 'local'
+		}, {
+			key: 'b',
+			value: null,
+			prevValue: 2,
+			paths: [''],
+			source: 'local'
+		}])
+	})
+
+	it('should roll back a `batch()` when a write fails', function() {
+		const storage = new MemoryStorage({
+			// 30 bytes.
+			quota: 30
+		})
+
+		// 12 bytes.
+		storage.set('a', '123')
+
+		const changes = []
+		storage.onChange('*', change => changes.push(change))
+
+		expect(() => {
+			storage.batch((batch) => {
+				batch.delete('a')
+				// 12 bytes.
+				batch.set('b', '123')
+				// 14 bytes.
+				batch.set('c', '1234')
+				// 16 bytes.
+				batch.set('d', '12345')
+			})
+		}).to.throw('exceeded the quota')
+
+		expect(storage.get('a')).to.equal('123')
+		expect(storage.keys()).to.deep.equal(['a'])
+		expect(changes).to.deep.equal([])
+	})
+
+	it('should call `onBudgetExceeded()` when a `batch()` exceeds a budget', function() {
+		const errors = []
+		const storage = new MemoryStorage({
+			budgets: {
+				'a.*': 30
+			},
+			onBudgetExceeded: ({ error }) => errors.push(error)
+		})
+
+		storage.batch((batch) => {
+			batch.set('b', 'value')
+			batch.set('a.1', 'value')
+			batch.set('a.2', 'value')
+		})
+
+		expect(errors.length).to.equal(1)
+		expect(errors[0].key).to.equal('a.2')
+		expect(storage.keys()).to.deep.equal([])
+	})
+
+	it('should `clear()` keys', function() {
+		const sourceStorage = new MemoryStorage()
+		const storage1 = sourceStorage.createSharedInstance('1')
+		const storage2 = sourceStorage.createSharedInstance('2')
+
+		const changes = []
+		storage2.onExternalChange(change => changes.push(change))
+
+		storage1.set('a.1', 'value')
+		storage1.set('a.2', 'value')
+		storage1.set('b', 'value')
+
+		changes.length = 0
+
+		storage1.clear('a.*')
+		expect(storage1.keys()).to.deep.equal(['b'])
+		expect(changes).to.deep.equal([{
+			key: 'a.1',
+			value: null,
+			prevValue: 'value',
+			paths: ['']
+		}, {
+			key: 'a.2',
+			value: null,
+			prevValue: 'value',
+			paths: ['']
+		}])
+
+		storage1.clear()
+		expect(storage1.keys()).to.deep.equal([])
+		expect(changes.length).to.equal(3)
+		expect(changes[2]).to.deep.equal({
+			key: 'b',
+			value: null,
+			prevValue: 'value',
+			paths: ['']
+		})
+	})
+
+	it('should read and write parts of values', function() {
+		const sourceStorage = new MemoryStorage()
+		const storage1 = sourceStorage.createSharedInstance('1')
+		const storage2 = sourceStorage.createSharedInstance('2')
+
+		const changes = []
+		storage1.onChange('*', ({ key, paths, source }) => changes.push({ key, paths, source }))
+
+		const externalChanges = []
+		storage2.onExternalChange(({ key, paths }) => externalChanges.push({ key, paths }))
+
+		storage1.setPath('thread', 'comments.0', { text: 'a' })
+		expect(storage1.get('thread')).to.deep.equal({ comments: [{ text: 'a' }] })
+
+		storage1.setPath('thread', '/comments/-', { text: 'b' })
+		storage1.setPath('thread', ['comments', 0, 'text'], 'c')
+		expect(storage1.getPath('thread', 'comments.0.text')).to.equal('c')
+		expect(storage1.getPath('thread', 'comments.2')).to.be.null
+		expect(storage1.getPath('other', 'a')).to.be.null
+
+		storage1.deletePath('thread', 'comments.1')
+		expect(storage1.get('thread')).to.deep.equal({ comments: [{ text: 'c' }] })
+
+		storage1.update('counter', value => (value || 0) + 1)
+		storage1.update('counter', value => value + 1)
+		expect(storage1.get('counter')).to.equal(2)
+
+		storage1.update('counter', () => null)
+		expect(storage1.has('counter')).to.equal(false)
+
+		storage1.deletePath('thread', '')
+		expect(storage1.has('thread')).to.equal(false)
+
+		expect(changes).to.deep.equal([
+			{ key: 'thread', paths: [''], source: 'local' },
+			{ key: 'thread', paths: ['/comments/1'], source: 'local' },
+			{ key: 'thread', paths: ['/comments/0/text'], source: 'local' },
+			{ key: 'thread', paths: ['/comments/1'], source: 'local' },
+			{ key: 'counter', paths: [''], source: 'local' },
+			{ key: 'counter', paths: [''], source: 'local' },
+			{ key: 'counter', paths: [''], source: 'local' },
+			{ key: 'thread', paths: [''], source: 'local' }
+		])
+
+		expect(externalChanges).to.deep.equal(changes.map(({ key, paths }) => ({ key, paths })))
+	})
+})
@@ -0,0 +1,140 @@
+import defaultMatchesPattern from './matchesPattern.js'
+import { getTotalSize, getUsage } from './size.js'
+import { getPath, setPath, deletePath, updateValue } from './path.js'
+import { exportSnapshot, importSnapshot } from './snapshot.js'
+import { runBatch } from './batch.js'
+
+// `NamespacedStorage` is a wrapper around a storage that prefixes all keys.
+// It could be used when several independent modules of an application
+// share the same storage.
+export default class NamespacedStorage {
+	constructor({
+		storage,
+		prefix,
+		matchesPattern = defaultMatchesPattern
+	}) {
+		if (!storage) {
+			throw new Error('[web-browser-storage] `storage` parameter is required when creating a `NamespacedStorage`')
+		}
+		if (!prefix) {
+			throw new Error('[web-browser-storage] `prefix` parameter is required when creating a `NamespacedStorage`')
+		}
+		this.storage = storage
+		this.prefix = prefix
+		this.matchesPattern = matchesPattern
+	}
+
+	has(key) {
+		return this.storage.has(this.getStorageKey(key))
+	}
+
+	get(key) {
+		return this.storage.get(this.getStorageKey(key))
+	}
+
+	set(key, value) {
+		this.storage.set(this.getStorageKey(key), value)
+	}
+
+	delete(key) {
+		this.storage.delete(this.getStorageKey(key))
+	}
+
+	keys() {
+		return this.storage.keys()
+			.filter(this.isNamespaceKey)
+			.map(this.getKey)
+	}
+
+	// Performs the writes and deletes made by `fn()` in a `batch()` of the underlying storage.
+	batch(fn) {
+		return runBatch(this.storage, (storage) => {
+			return fn({
+				has: (key) => storage.has(this.getStorageKey(key)),
+				get: (key) => storage.get(this.getStorageKey(key)),
+				set: (key, value) => storage.set(this.getStorageKey(key), value),
+				delete: (key) => storage.delete(this.getStorageKey(key))
+			})
+		})
+	}
+
+	// An alias for `batch()`.
+	transaction(fn) {
+		return this.batch(fn)
+	}
+
+	getPath(key, path) {
+		return getPath(this, key, path)
+	}
+
+	setPath(key, path, value) {
+		return setPath(this, key, path, value)
+	}
+
+	deletePath(key, path) {
+		return deletePath(this, key, path)
+	}
+
+	update(key, update) {
+		return updateValue(this, key, update)
+	}
+
+	// Deletes all keys in the namespace, or only the ones matching a `pattern`.
+	// The `pattern` is relative to the namespace.
+	clear(pattern) {
+		for (const key of this.keys()) {
+			if (pattern === undefined || this.matchesPattern(key, pattern)) {
+				this.delete(key)
+			}
+		}
+	}
+
+	getRecordSize(key) {
+		return this.storage.getRecordSize(this.getStorageKey(key))
+	}
+
+	// Returns the total size of the records in the namespace.
+	getTotalSize() {
+		return getTotalSize(this)
+	}
+
+	// Key patterns in `groupBy` are relative to the namespace.
+	getUsage(options) {
+		return getUsage(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	exportSnapshot(options) {
+		return exportSnapshot(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	importSnapshot(snapshot, options) {
+		importSnapshot(this, snapshot, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	// Listens for "external" changes to the keys in the namespace.
+	onExternalChange(listener) {
+		return this.storage.onExternalChange(({ key, value, prevValue, paths }) => {
+			if (this.isNamespaceKey(key)) {
+				listener({
+					key: this.getKey(key),
+					value,
+					prevValue,
+					paths
+				})
+			}
+		})
+	}
+
+	getStorageKey(key) {
+		return this.prefix + key
+	}
+
+	getKey = (storageKey) => {
+		return storageKey.slice(this.prefix.length)
+	}
+
+	// `key` could be `null` in a `storage` event when `localStorage.clear()` is called.
+	isNamespaceKey = (storageKey) => {
+		return typeof storageKey === 'string' && storageKey.indexOf(this.prefix) === 0
+	}
+}
@@ -0,0 +1,171 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import { TestTabStatusWatcher } from 'web-browser-tab/status-watcher'
+import { TestTimer } from 'web-browser-timer'
+
+import NamespacedStorage from './NamespacedStorage.js'
+import CachedStorage from './CachedStorage.js'
+import MemoryStorage from './MemoryStorage.js'
+
+describe('NamespacedStorage', function() {
+	it('should implement Storage interface', function() {
+		const memoryStorage = new MemoryStorage()
+		memoryStorage.set('other', 'value')
+
+		const storage = new NamespacedStorage({
+			storage: memoryStorage,
+			prefix: 'namespace.'
+		})
+
+		expect(storage.get('key')).to.be.null
+		expect(storage.has('key')).to.equal(false)
+		expect(storage.getRecordSize('key')).to.equal(0)
+		expect(storage.keys()).to.deep.equal([])
+
+		storage.set('key', { a: 'b' })
+		expect(storage.get('key')).to.deep.equal({ a: 'b' })
+		expect(storage.has('key')).to.equal(true)
+		expect(storage.getRecordSize('key')).to.equal(44)
+		expect(storage.keys()).to.deep.equal(['key'])
+		expect(memoryStorage.get('namespace.key')).to.deep.equal({ a: 'b' })
+
+		storage.delete('key')
+		expect(storage.get('key')).to.be.null
+		expect(storage.keys()).to.deep.equal([])
+		expect(memoryStorage.keys()).to.deep.equal(['other'])
+	})
+
+	it('should only clear the keys in the namespace', function() {
+		const memoryStorage = new MemoryStorage()
+
+		const storage = new NamespacedStorage({
+			storage: memoryStorage,
+			prefix: 'namespace.'
+		})
+
+		memoryStorage.set('other', 'value')
+		storage.set('key1', 'value1')
+		storage.set('key2', 'value2')
+
+		storage.clear()
+
+		expect(storage.keys()).to.deep.equal([])
+		expect(memoryStorage.keys()).to.deep.equal(['other'])
+	})
+
+	it('should only listen to external changes of the keys in the namespace', function() {
+		const sourceStorage = new MemoryStorage()
+
+		const storage1 = new NamespacedStorage({
+			storage: sourceStorage.createSharedInstance('1'),
+			prefix: 'namespace.'
+		})
+
+		const storage2 = sourceStorage.createSharedInstance('2')
+
+		const changes = []
+		const unlistenExternalChanges = storage1.onExternalChange(change => changes.push(change))
+
+		storage2.set('other', 'value')
+		storage2.set('namespace.key', 'value')
+
+		expect(changes).to.deep.equal([{
+			key: 'key',
+			value: 'value',
+			prevValue: null,
+			paths: ['']
+		}])
+
+		unlistenExternalChanges()
+	})
+
+	it('should wrap a CachedStorage', function() {
+		const memoryStorage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+
+		const cachedStorage = new CachedStorage({
+			storage: memoryStorage,
+			tabStatusWatcher,
+			flushDelay: 60 * 1000,
+			timer: new TestTimer(),
+			cachedKeys: ['namespace.*']
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		const storage = new NamespacedStorage({
+			storage: cachedStorage,
+			prefix: 'namespace.'
+		})
+
+		storage.set('key', 'value')
+		expect(storage.get('key')).to.equal('value')
+		expect(memoryStorage.get('namespace.key')).to.be.null
+
+		cachedStorage.flush()
+		expect(memoryStorage.get('namespace.key')).to.equal('value')
+
+		cachedStorage.stop()
+	})
+
+	it('should report usage of the namespace', function() {
+		const memoryStorage = new MemoryStorage()
+
+		const storage = new NamespacedStorage({
+			storage: memoryStorage,
+			prefix: 'namespace.'
+		})
+
+		memoryStorage.set('key', 'value')
+		storage.set('a.key', 'value')
+		storage.set('b.key', 'value')
+
+		const recordSize = 2 * ('namespace.a.key'.length + '"value"'.length)
+		expect(storage.getTotalSize()).to.equal(2 * recordSize)
+		expect(storage.getUsage({ groupBy: ['a.*'] })).to.deep.equal({
+			total: 2 * recordSize,
+			groups: {
+				'a.*': recordSize
+			},
+			other: recordSize
+		})
+	})
+
+	it('should perform writes in a `batch()`', function() {
+		const memoryStorage = new MemoryStorage()
+
+		const storage = new NamespacedStorage({
+			storage: memoryStorage,
+			prefix: 'namespace.'
+		})
+
+		storage.set('a', 1)
+
+		storage.batch((batch) => {
+			batch.set('a', batch.get('a') + 1)
+			batch.set('b', 1)
+		})
+
+		expect(memoryStorage.get('namespace.a')).to.equal(2)
+		expect(memoryStorage.get('namespace.b')).to.equal(1)
+	})
+
+	it('should `clear()` keys matching a pattern', function() {
+		const memoryStorage = new MemoryStorage()
+
+		const storage = new NamespacedStorage({
+			storage: memoryStorage,
+			prefix: 'namespace.'
+		})
+
+		memoryStorage.set('a.1', 'value')
+		storage.set('a.1', 'value')
+		storage.set('b.1', 'value')
+
+		storage.clear('a.*')
+		expect(memoryStorage.keys()).to.deep.equal(['a.1', 'namespace.b.1'])
+	})
+})
@@ -0,0 +1,98 @@
+// `ReadCache` holds the values that have been read from a storage
+// so that they don't have to be read and parsed again.
+//
+// When the total size of the cached values exceeds `maxSize`,
+// the "least recently used" values are evicted.
+//
+// The cached values are shared between all callers of `get()`,
+// so they're protected from being mutated: they're either "deeply" frozen
+// or a copy of a value is returned on each `get()`.
+//
+export default class ReadCache {
+	/**
+	 * @param {number} [options.maxSize] — Maximum total size of the cached values, in bytes.
+	 * @param {boolean} [options.copy] — Pass `true` to return a copy of a value on each `get()` instead of freezing it.
+	 */
+	constructor({
+		maxSize = Infinity,
+		copy = false
+	} = {}) {
+		this.maxSize = maxSize
+		this.copy = copy
+
+		// `Map` preserves insertion order, so the first entry is the "least recently used" one.
+		this.entries = new Map()
+		this.size = 0
+	}
+
+	has(key) {
+		return this.entries.has(key)
+	}
+
+	get(key) {
+		const entry = this.entries.get(key)
+		// Mark the entry as "most recently used".
+		this.entries.delete(key)
+		this.entries.set(key, entry)
+		return this.protect(entry.value)
+	}
+
+	/**
+	 * Caches a value.
+	 * @param  {string} key
+	 * @param  {any} value
+	 * @param  {number} size — The size of the record, in bytes.
+	 * @return {any} The value that should be returned to the caller.
+	 */
+	set(key, value, size) {
+		this.delete(key)
+		// A value that doesn't fit in the cache isn't cached.
+		if (size > this.maxSize) {
+			return value
+		}
+		if (!this.copy) {
+			deepFreeze(value)
+		}
+		this.entries.set(key, { value, size })
+		this.size += size
+		while (this.size > this.maxSize) {
+			this.delete(this.entries.keys().next().value)
+		}
+		return this.protect(value)
+	}
+
+	delete(key) {
+		const entry = this.entries.get(key)
+		if (entry) {
+			this.entries.delete(key)
+			this.size -= entry.size
+		}
+	}
+
+	clear() {
+		this.entries.clear()
+		this.size = 0
+	}
+
+	protect(value) {
+		if (this.copy) {
+			return structuredClone(value)
+		}
+		return value
+	}
+}
+
+// `Map`s and `Set`s could still be modified after being frozen.
+function deepFreeze(value) {
+	// Typed arrays can't be frozen.
+	if (ArrayBuffer.isView(value)) {
+		return value
+	}
+	if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+		Object.freeze(value)
+		for (const key of Object.keys(value)) {
+			deepFreeze(value[key])
+		}
+	}
+	return value
+}
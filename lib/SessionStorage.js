@@ -0,0 +1,13 @@
+import WebStorage from './WebStorage.js'
+import { isAvailable } from './WebStorage.helpers.js'
+
+// `sessionStorage` data is scoped to a browser tab.
+// "Opening a page in a new tab or window creates a new session".
+// https://developer.mozilla.org/en-US/docs/Web/API/Window/sessionStorage
+export default class SessionStorage extends WebStorage {
+	constructor(options) {
+		super(() => sessionStorage, options)
+	}
+}
+
+SessionStorage.isAvailable = () => isAvailable('sessionStorage')
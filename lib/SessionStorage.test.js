@@ -0,0 +1,261 @@
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+
+import SessionStorage from './SessionStorage.js'
+import TaggedJSON from './TaggedJSON.js'
+import BudgetExceededError from './BudgetExceededError.js'
+import WebStorageArea, { dispatchStorageEvent } from '../test/stubs/WebStorageArea.js'
+
+describe('SessionStorage', function() {
+	beforeEach(function() {
+		global.window = new EventTarget()
+		global.window.localStorage = new WebStorageArea()
+		global.window.sessionStorage = new WebStorageArea()
+		global.sessionStorage = global.window.sessionStorage
+	})
+
+	afterEach(function() {
+		delete global.window
+		delete global.sessionStorage
+	})
+
+	it('should work', function() {
+		const storage = new SessionStorage()
+
+		expect(SessionStorage.isAvailable()).to.equal(true)
+
+		expect(storage.get('key')).to.be.null
+		expect(storage.has('key')).to.equal(false)
+		expect(storage.getRecordSize('key')).to.equal(0)
+		expect(storage.keys()).to.deep.equal([])
+
+		storage.set('key', { a: 'b' })
+		expect(storage.get('key')).to.deep.equal({ a: 'b' })
+		expect(storage.has('key')).to.equal(true)
+		expect(storage.getRecordSize('key')).to.equal(24)
+		expect(storage.keys()).to.deep.equal(['key'])
+		expect(sessionStorage.getItem('key')).to.equal('{"a":"b"}')
+		expect(window.localStorage.getItem('key')).to.be.null
+
+		storage.delete('key')
+		expect(storage.get('key')).to.be.null
+		expect(storage.has('key')).to.equal(false)
+		expect(storage.keys()).to.deep.equal([])
+	})
+
+	it('should use a custom `serializer`', function() {
+		const storage = new SessionStorage({
+			serializer: TaggedJSON
+		})
+
+		storage.set('set', new Set([1, 2]))
+		expect(sessionStorage.getItem('set')).to.equal('{"$type":"Set","value":[1,2]}')
+		expect(Array.from(storage.get('set'))).to.deep.equal([1, 2])
+		expect(storage.getRecordSize('set')).to.equal(2 * ('set'.length + '{"$type":"Set","value":[1,2]}'.length))
+
+		const changes = []
+		const unlistenExternalChanges = storage.onExternalChange(change => changes.push(change))
+
+		dispatchStorageEvent({
+			key: 'set',
+			newValue: '{"$type":"Set","value":[3]}',
+			oldValue: '{"$type":"Set","value":[1,2]}',
+			storageArea: sessionStorage
+		})
+
+		expect(Array.from(changes[0].value)).to.deep.equal([3])
+		expect(Array.from(changes[0].prevValue)).to.deep.equal([1, 2])
+
+		unlistenExternalChanges()
+	})
+
+	it('should call `onFull()` on quota exceeded error', function() {
+		sessionStorage.setItem = () => {
+			throw new DOMException('Quota exceeded', 'QuotaExceededError')
+		}
+
+		let error
+		const storage = new SessionStorage({
+			onFull: (parameters) => error = parameters.error
+		})
+
+		storage.set('key', 'value')
+		expect(error.name).to.equal('QuotaExceededError')
+
+		expect(() => new SessionStorage().set('key', 'value')).to.throw('Quota exceeded')
+	})
+
+	it('should enforce `budgets`', function() {
+		const storage = new SessionStorage({
+			budgets: {
+				'a.*': 40
+			}
+		})
+
+		storage.set('a.1', 'value')
+		storage.set('a.2', 'value')
+		expect(storage.getTotalSize()).to.equal(40)
+		expect(storage.getUsage({ groupBy: ['a.*'] })).to.deep.equal({
+			total: 40,
+			groups: {
+				'a.*': 40
+			},
+			other: 0
+		})
+
+		expect(() => storage.set('a.3', 'value')).to.throw(BudgetExceededError)
+		expect(sessionStorage.getItem('a.3')).to.be.null
+	})
+
+	it('should only listen to `sessionStorage` external changes', function() {
+		const storage = new SessionStorage()
+
+		const changes = []
+		const unlistenExternalChanges = storage.onExternalChange(change => changes.push(change))
+
+		dispatchStorageEvent({
+			key: 'key',
+			newValue: '"value"',
+			oldValue: null,
+			storageArea: window.localStorage
+		})
+
+		expect(changes).to.deep.equal([])
+
+		dispatchStorageEvent({
+			key: 'key',
+			newValue: '"value"',
+			oldValue: 'invalid JSON',
+			storageArea: sessionStorage
+		})
+
+		expect(changes).to.deep.equal([{
+			key: 'key',
+			value: 'value',
+			prevValue: undefined,
+			paths: ['']
+		}])
+
+		unlistenExternalChanges()
+	})
+
+	it('should call `onChange()` listeners on both local and external changes', function() {
+		const storage = new SessionStorage()
+
+		const changes = []
+		const unlisten = storage.onChange('a.*', change => changes.push(change))
+
+		storage.set('a.1', 'value')
+		storage.set('b.1', 'value')
+		storage.set('a.1', 'other')
+		storage.delete('a.1')
+		// Deleting a non-existent key isn't a change.
+		storage.delete('a.1')
+
+		dispatchStorageEvent({
+			key: 'a.2',
+			newValue: '"value"',
+			oldValue: null,
+			storageArea: sessionStorage
+		})
+
+		dispatchStorageEvent({
+			key: 'b.2',
+			newValue: '"value"',
+			oldValue: null,
+			storageArea: sessionStorage
+		})
+
+		expect(changes).to.deep.equal([{
+			key: 'a.1',
+			value: 'value',
+			prevValue: null,
+			paths: [''],
+			source: 'local'
+		}, {
+			key: 'a.1',
+			value: 'other',
+			prevValue: 'value',
+			paths: [''],
+			source: 'local'
+		}, {
+			key: 'a.1',
+			value: null,
+			prevValue: 'other',
+			paths: [''],
+			source: 'local'
+		}, {
+			key: 'a.2',
+			value: 'value',
+			prevValue: null,
+			paths: [''],
+			source: 'external'
+		}])
+
+		unlisten()
+
+		storage.set('a.1', 'value')
+		expect(changes.length).to.equal(4)
+	})
+
+	it('should roll back a `batch()` when `sessionStorage` is full', function() {
+		const storage = new SessionStorage()
+
+		storage.set('a', 'value')
+
+		const changes = []
+		storage.onChange('*', change => changes.push(change))
+
+		const setItem = sessionStorage.setItem
+		sessionStorage.setItem = function(key, value) {
+			if (key === 'c') {
+				throw new DOMException('Quota exceeded', 'QuotaExceededError')
+			}
+			return setItem.call(this, key, value)
+		}
+
+		expect(() => {
+			storage.transaction((batch) => {
+				batch.set('a', 'other')
+				batch.set('b', 'value')
+				batch.set('c', 'value')
+			})
+		}).to.throw('Quota exceeded')
+
+		expect(storage.get('a')).to.equal('value')
+		expect(storage.has('b')).to.equal(false)
+		expect(storage.has('c')).to.equal(false)
+		expect(changes).to.deep.equal([])
+
+		storage.batch((batch) => {
+			batch.set('a', 'other')
+			batch.set('b', 'value')
+		})
+
+		expect(storage.get('a')).to.equal('other')
+		expect(storage.get('b')).to.equal('value')
+		expect(changes.map(_ => _.key)).to.deep.equal(['a', 'b'])
+	})
+
+	it('should `clear()` keys', function() {
+		const storage = new SessionStorage()
+
+		storage.set('a.1', 'value')
+		storage.set('a.2', 'value')
+		storage.set('b', 'value')
+		window.localStorage.setItem('a.3', '"value"')
+
+		const changes = []
+		storage.onChange('*', change => changes.push(change))
+
+		storage.clear('a.*')
+		expect(storage.keys()).to.deep.equal(['b'])
+		expect(changes.map(_ => _.key)).to.deep.equal(['a.1', 'a.2'])
+
+		storage.clear()
+		expect(storage.keys()).to.deep.equal([])
+		expect(changes.map(_ => _.key)).to.deep.equal(['a.1', 'a.2', 'b'])
+
+		expect(window.localStorage.getItem('a.3')).to.equal('"value"')
+	})
+})
@@ -0,0 +1,277 @@
+import { Timer } from 'web-browser-timer'
+
+// A delay before checking that the lock has actually been acquired.
+// If two tabs attempt to acquire the lock at the same time,
+// the one that has written the lock record last wins.
+//
+// Sidenote: Some web browsers limit `setTimeout()` delay to be 1 second minimum
+// for background tabs, so this delay will only be less that 1 second for a foreground tab.
+//
+const LOCK_REPEATABLE_READ_CHECK_DELAY = 200
+
+// `TabLock` is an exclusive lock that could only be held by a single tab at a time.
+// It could be used for electing a "leader" tab.
+//
+// When Web Locks API is available, it's used to acquire the lock.
+// https://developer.mozilla.org/en-US/docs/Web/API/Web_Locks_API
+//
+// Otherwise, the lock is a record in a `storage`: `{ id, heartbeatAt }`.
+// The tab holding the lock periodically updates the `heartbeatAt` timestamp.
+// If a tab holding the lock gets closed without releasing the lock,
+// other tabs will be able to acquire it after the `timeout`.
+//
+// Usage example: `captchan` uses `CachedStorage` for writing `latestReadComments`
+// in the tab that holds the lock.
+//
+export default class TabLock {
+	/**
+	 * @param {Storage} [options.storage] — Storage for the lock record. Is required when Web Locks API is not used.
+	 * @param {Timer} [options.timer]
+	 * @param {number} [options.heartbeatInterval] — How often the tab holding the lock updates the lock record, in milliseconds.
+	 * @param {number} [options.timeout] — When the lock record hasn't been updated for this long, the lock is considered released.
+	 * @param {LockManager|false} [options.locks] — Web Locks API implementation. By default, it's `navigator.locks`, if available. Pass `false` to use the `storage` instead.
+	 * @param {function} [options.log]
+	 */
+	constructor({
+		storage,
+		timer = new Timer(),
+		heartbeatInterval = 1000,
+		timeout = heartbeatInterval * 3,
+		locks,
+		log = () => {}
+	} = {}) {
+		this.storage = storage
+		this.timer = timer
+		this.heartbeatInterval = heartbeatInterval
+		this.timeout = timeout
+		this.log = log
+
+		if (locks === undefined) {
+			if (typeof navigator !== 'undefined' && navigator.locks) {
+				locks = navigator.locks
+			}
+		}
+		this.locks = locks || undefined
+
+		if (!this.locks && !this.storage) {
+			throw new Error('[web-browser-storage] `storage` parameter is required when creating a `TabLock` and Web Locks API is not available')
+		}
+
+		this.id = String(Math.random()).slice(2)
+		this.onLostListeners = []
+	}
+
+	/**
+	 * Waits until the lock is acquired.
+	 * @param  {string} name — Lock name. When using a `storage`, it's the key of the lock record.
+	 * @return {Promise}
+	 */
+	async acquire(name) {
+		if (this.name) {
+			throw new Error('[web-browser-storage] A `TabLock` can only acquire a single lock at a time')
+		}
+
+		this.name = name
+
+		this.log('acquire', { name })
+
+		try {
+			if (this.locks) {
+				await this.acquireUsingWebLocks(name)
+			} else {
+				await this.acquireUsingStorage(name)
+			}
+		} catch (error) {
+			// Another lock could be acquired after this one has failed.
+			if (this.name === name) {
+				this.name = undefined
+			}
+			throw error
+		}
+
+		// The lock could've been released while it was being acquired.
+		if (this.name === name) {
+			this.log('acquired', { name })
+			this._isLeader = true
+		}
+	}
+
+	/**
+	 * Releases the lock.
+	 */
+	release() {
+		if (!this.name) {
+			return
+		}
+
+		this.log('release', { name: this.name })
+
+		const name = this.name
+
+		this.name = undefined
+		this._isLeader = false
+
+		if (this.locks) {
+			if (this.releaseWebLock) {
+				this.releaseWebLock()
+				this.releaseWebLock = undefined
+			}
+		} else {
+			this.stopHeartbeat()
+			if (this.unlistenExternalChanges) {
+				this.unlistenExternalChanges()
+				this.unlistenExternalChanges = undefined
+			}
+			// The lock record could've been written while acquiring the lock.
+			if (this.holdsLockRecord(name)) {
+				this.storage.delete(name)
+			}
+		}
+	}
+
+	/**
+	 * Tells whether this tab holds the lock.
+	 * @return {boolean}
+	 */
+	isLeader() {
+		return this._isLeader === true
+	}
+
+	/**
+	 * Adds a listener that is called when the lock is lost.
+	 * For example, when a tab was "frozen" by the web browser
+	 * for longer than the `timeout` and some other tab has acquired the lock.
+	 * @param  {function} listener
+	 * @return {function} Removes the listener.
+	 */
+	onLost(listener) {
+		this.onLostListeners.push(listener)
+		return () => {
+			this.onLostListeners = this.onLostListeners.filter(_ => _ !== listener)
+		}
+	}
+
+	lost() {
+		const name = this.name
+		this.log('lost', { name })
+		this.release()
+		for (const listener of this.onLostListeners) {
+			listener({ name })
+		}
+	}
+
+	acquireUsingWebLocks(name) {
+		return new Promise((resolve, reject) => {
+			let isGranted = false
+			this.locks.request(name, () => {
+				isGranted = true
+				resolve()
+				// The lock could've been released while it was being acquired.
+				if (this.name !== name) {
+					return
+				}
+				// The lock is held until this `Promise` is resolved.
+				return new Promise(resolve => this.releaseWebLock = resolve)
+			}).catch((error) => {
+				this.log('error', error)
+				// The lock request has failed.
+				if (!isGranted) {
+					return reject(error)
+				}
+				// The lock has been "stolen" by some other tab.
+				if (this.name === name && this._isLeader) {
+					this.lost()
+				}
+			})
+		})
+	}
+
+	async acquireUsingStorage(name) {
+		while (this.name === name) {
+			if (this.isLockRecordExpired(this.storage.get(name))) {
+				// Attempt to acquire the "lock".
+				this.writeLockRecord(name)
+
+				// Wait a bit to detect possible "race conditions".
+				await wait(LOCK_REPEATABLE_READ_CHECK_DELAY, this.timer)
+
+				// Check that the lock has been acquired.
+				if (this.name === name && this.holdsLockRecord(name)) {
+					this.startHeartbeat(name)
+					this.unlistenExternalChanges = this.storage.onExternalChange(({ key, value }) => {
+						if (key === name && this._isLeader) {
+							if (!value || value.id !== this.id) {
+								this.lost()
+							}
+						}
+					})
+					return
+				}
+			} else {
+				await this.waitForLockRecordRelease(name)
+			}
+		}
+	}
+
+	// Waits until some other tab deletes the lock record
+	// or until the lock record should be re-checked for a timeout.
+	waitForLockRecordRelease(name) {
+		return new Promise((resolve) => {
+			const unlisten = this.storage.onExternalChange(({ key, value }) => {
+				if (key === name && value === null) {
+					onReleased()
+				}
+			})
+			const timerId = this.timer.schedule(() => onReleased(), this.heartbeatInterval)
+			const onReleased = () => {
+				unlisten()
+				this.timer.cancel(timerId)
+				resolve()
+			}
+		})
+	}
+
+	// A malformed lock record, for example, without a `heartbeatAt` timestamp, is considered expired.
+	// Otherwise, it would never expire.
+	isLockRecordExpired(lock) {
+		if (!lock || typeof lock.heartbeatAt !== 'number') {
+			return true
+		}
+		return this.timer.now() - lock.heartbeatAt > this.timeout
+	}
+
+	holdsLockRecord(name) {
+		const lock = this.storage.get(name)
+		return Boolean(lock) && lock.id === this.id
+	}
+
+	writeLockRecord(name) {
+		this.storage.set(name, {
+			id: this.id,
+			heartbeatAt: this.timer.now()
+		})
+	}
+
+	startHeartbeat(name) {
+		this.heartbeatTimer = this.timer.schedule(() => {
+			this.heartbeatTimer = undefined
+			if (this.holdsLockRecord(name)) {
+				this.writeLockRecord(name)
+				this.startHeartbeat(name)
+			} else {
+				this.lost()
+			}
+		}, this.heartbeatInterval)
+	}
+
+	stopHeartbeat() {
+		if (this.heartbeatTimer) {
+			this.timer.cancel(this.heartbeatTimer)
+			this.heartbeatTimer = undefined
+		}
+	}
+}
+
+function wait(interval, timer) {
+	return new Promise(resolve => timer.schedule(resolve, interval))
+}
@@ -0,0 +1,196 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import { TestTabStatusWatcher } from 'web-browser-tab/status-watcher'
+import { TestTimer } from 'web-browser-timer'
+
+import TabLock from './TabLock.js'
+import CachedStorage from './CachedStorage.js'
+import MemoryStorage from './MemoryStorage.js'
+
+describe('TabLock', function() {
+	it('should acquire and release a lock', async function() {
+		const sourceStorage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		const lock1 = new TabLock({ storage: sourceStorage.createSharedInstance('1'), timer, locks: false })
+		const lock2 = new TabLock({ storage: sourceStorage.createSharedInstance('2'), timer, locks: false })
+
+		expect(lock1.isLeader()).to.equal(false)
+
+		await runWithTimer(timer, lock1.acquire('leader'))
+		expect(lock1.isLeader()).to.equal(true)
+
+		let isAcquired2 = false
+		const acquire2 = lock2.acquire('leader').then(() => isAcquired2 = true)
+
+		// The lock is held by the first tab while it sends heartbeats.
+		await timer.skip(10 * 1000)
+		expect(isAcquired2).to.equal(false)
+		expect(lock2.isLeader()).to.equal(false)
+
+		lock1.release()
+		expect(lock1.isLeader()).to.equal(false)
+
+		await runWithTimer(timer, acquire2)
+		expect(lock2.isLeader()).to.equal(true)
+
+		lock2.release()
+		expect(sourceStorage.has('leader')).to.equal(false)
+	})
+
+	it('should only let a single tab acquire a lock when acquiring at the same time', async function() {
+		const sourceStorage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		const lock1 = new TabLock({ storage: sourceStorage.createSharedInstance('1'), timer, locks: false })
+		const lock2 = new TabLock({ storage: sourceStorage.createSharedInstance('2'), timer, locks: false })
+
+		await runWithTimer(timer, Promise.race([
+			lock1.acquire('leader'),
+			lock2.acquire('leader')
+		]))
+
+		expect([lock1.isLeader(), lock2.isLeader()].filter(_ => _).length).to.equal(1)
+
+		lock1.release()
+		lock2.release()
+	})
+
+	it('should acquire a lock after the tab holding it stops sending heartbeats', async function() {
+		const sourceStorage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		const storage1 = sourceStorage.createSharedInstance('1')
+		const lock1 = new TabLock({ storage: storage1, timer, locks: false })
+		const lock2 = new TabLock({ storage: sourceStorage.createSharedInstance('2'), timer, locks: false })
+
+		const lostLocks = []
+		lock1.onLost(({ name }) => lostLocks.push(name))
+
+		await runWithTimer(timer, lock1.acquire('leader'))
+
+		// Emulate the tab being "frozen".
+		lock1.stopHeartbeat()
+
+		await runWithTimer(timer, lock2.acquire('leader'))
+		expect(lock2.isLeader()).to.equal(true)
+
+		expect(lock1.isLeader()).to.equal(false)
+		expect(lostLocks).to.deep.equal(['leader'])
+
+		lock2.release()
+	})
+
+	it('should acquire a lock when the lock record is malformed', async function() {
+		const storage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		storage.set('leader', { id: 'other' })
+
+		const lock = new TabLock({ storage, timer, locks: false })
+		await runWithTimer(timer, lock.acquire('leader'))
+		expect(lock.isLeader()).to.equal(true)
+
+		lock.release()
+	})
+
+	it('should throw when a Web Locks API request fails', async function() {
+		const locks = {
+			request() {
+				return Promise.reject(new Error('Lock request aborted'))
+			}
+		}
+
+		const lock = new TabLock({ locks })
+
+		let error
+		try {
+			await lock.acquire('leader')
+		} catch (_error) {
+			error = _error
+		}
+		expect(error.message).to.equal('Lock request aborted')
+		expect(lock.isLeader()).to.equal(false)
+
+		// Another attempt could be made.
+		let attempts = 0
+		locks.request = (name, callback) => {
+			attempts++
+			return Promise.resolve().then(callback)
+		}
+		await lock.acquire('leader')
+		expect(attempts).to.equal(1)
+		expect(lock.isLeader()).to.equal(true)
+
+		lock.release()
+	})
+
+	it('should use Web Locks API when available', async function() {
+		const requests = []
+		const locks = {
+			request(name, callback) {
+				requests.push(name)
+				return Promise.resolve().then(callback)
+			}
+		}
+
+		const lock = new TabLock({ locks })
+		await lock.acquire('leader')
+
+		expect(requests).to.deep.equal(['leader'])
+		expect(lock.isLeader()).to.equal(true)
+
+		lock.release()
+		expect(lock.isLeader()).to.equal(false)
+	})
+
+	it('should only cache writes in CachedStorage while holding the lock', async function() {
+		const storage = new MemoryStorage()
+		const tabStatusWatcher = new TestTabStatusWatcher()
+		const timer = new TestTimer()
+
+		const lock = new TabLock({ storage, timer, locks: false })
+
+		const cachedStorage = new CachedStorage({
+			storage,
+			tabStatusWatcher,
+			flushDelay: 60 * 1000,
+			timer,
+			cachedKeys: ['cached-*'],
+			lock
+		})
+
+		cachedStorage.start()
+
+		tabStatusWatcher.setActive(true)
+
+		cachedStorage.set('cached-key', 'One')
+		expect(storage.get('cached-key')).to.equal('One')
+
+		await runWithTimer(timer, lock.acquire('latestReadComments'))
+
+		cachedStorage.set('cached-key', 'Two')
+		expect(storage.get('cached-key')).to.equal('One')
+		expect(cachedStorage.get('cached-key')).to.equal('Two')
+
+		// Losing the lock flushes the cache.
+		lock.lost()
+		expect(storage.get('cached-key')).to.equal('Two')
+
+		cachedStorage.set('cached-key', 'Three')
+		expect(storage.get('cached-key')).to.equal('Three')
+
+		cachedStorage.stop()
+	})
+})
+
+// Skips time until the `promise` is settled.
+async function runWithTimer(timer, promise) {
+	let isSettled = false
+	promise.then(() => isSettled = true, () => isSettled = true)
+	while (!isSettled) {
+		await timer.skip(100)
+	}
+	return await promise
+}
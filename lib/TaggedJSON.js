@@ -0,0 +1,147 @@
+// `TaggedJSON` is a serializer that could be passed as a `serializer` parameter
+// to `LocalStorage`, `SessionStorage` or `MemoryStorage`.
+//
+// It has the same `stringify()` and `parse()` functions as the standard `JSON` object
+// but it also supports the values that can't be represented in JSON:
+// `undefined`, `NaN`, `Infinity`, `BigInt`, `Date`, `RegExp`, `Map`, `Set` and typed arrays.
+//
+// Such values are represented as "tagged" objects: `{ "$type": "Date", "value": 946684800000 }`.
+// To avoid confusing a regular object having a `$type` property with a "tagged" one,
+// a regular object's `$type` property is written as `$$type`, `$$type` as `$$$type`, etc.
+
+const TYPED_ARRAYS = [
+	'Int8Array',
+	'Uint8Array',
+	'Uint8ClampedArray',
+	'Int16Array',
+	'Uint16Array',
+	'Int32Array',
+	'Uint32Array',
+	'Float32Array',
+	'Float64Array',
+	'BigInt64Array',
+	'BigUint64Array'
+]
+
+function stringify(value) {
+	return JSON.stringify(encode(value))
+}
+
+function parse(text) {
+	return decode(JSON.parse(text))
+}
+
+export default {
+	stringify,
+	parse
+}
+
+function encode(value) {
+	switch (typeof value) {
+		case 'undefined':
+			return { $type: 'undefined' }
+		case 'bigint':
+			return { $type: 'BigInt', value: String(value) }
+		case 'number':
+			if (!isFinite(value)) {
+				return { $type: 'Number', value: String(value) }
+			}
+			return value
+		case 'object':
+			if (value === null) {
+				return value
+			}
+			if (Array.isArray(value)) {
+				return value.map(encode)
+			}
+			if (value instanceof Date) {
+				// An invalid date's `.getTime()` is `NaN`, which is written as `null`.
+				return { $type: 'Date', value: value.getTime() }
+			}
+			if (value instanceof RegExp) {
+				return { $type: 'RegExp', value: { source: value.source, flags: value.flags } }
+			}
+			if (value instanceof Map) {
+				return { $type: 'Map', value: Array.from(value.entries()).map(([key, value]) => [encode(key), encode(value)]) }
+			}
+			if (value instanceof Set) {
+				return { $type: 'Set', value: Array.from(value.values()).map(encode) }
+			}
+			if (ArrayBuffer.isView(value) && TYPED_ARRAYS.includes(value.constructor.name)) {
+				return { $type: value.constructor.name, value: Array.from(value).map(encode) }
+			}
+			if (isPlainObject(value)) {
+				const object = {}
+				for (const key of Object.keys(value)) {
+					setProperty(object, isTypeKey(key) ? '$' + key : key, encode(value[key]))
+				}
+				return object
+			}
+			// Other objects are stringified the same way `JSON.stringify()` does it.
+			return value
+		default:
+			return value
+	}
+}
+
+function decode(value) {
+	if (Array.isArray(value)) {
+		return value.map(decode)
+	}
+	if (value !== null && typeof value === 'object') {
+		if (Object.prototype.hasOwnProperty.call(value, '$type')) {
+			return decodeTaggedValue(value)
+		}
+		const object = {}
+		for (const key of Object.keys(value)) {
+			setProperty(object, isTypeKey(key) ? key.slice('$'.length) : key, decode(value[key]))
+		}
+		return object
+	}
+	return value
+}
+
+function decodeTaggedValue({ $type: type, value }) {
+	switch (type) {
+		case 'undefined':
+			return undefined
+		case 'BigInt':
+			return BigInt(value)
+		case 'Number':
+			return Number(value)
+		case 'Date':
+			return new Date(value === null ? NaN : value)
+		case 'RegExp':
+			return new RegExp(value.source, value.flags)
+		case 'Map':
+			return new Map(value.map(([key, value]) => [decode(key), decode(value)]))
+		case 'Set':
+			return new Set(value.map(decode))
+		default:
+			if (TYPED_ARRAYS.includes(type)) {
+				return new globalThis[type](value.map(decode))
+			}
+			throw new SyntaxError(`Unknown tagged value type: ${type}`)
+	}
+}
+
+function isPlainObject(value) {
+	const prototype = Object.getPrototypeOf(value)
+	return prototype === Object.prototype || prototype === null
+}
+
+// Assigning a "__proto__" property would change the object's prototype
+// instead of creating a property, the same way `JSON.parse()` does.
+function setProperty(object, key, value) {
+	Object.defineProperty(object, key, {
+		value,
+		enumerable: true,
+		writable: true,
+		configurable: true
+	})
+}
+
+// Matches "$type", "$$type", "$$$type", etc.
+function isTypeKey(key) {
+	return /^\$+type$/.test(key)
+}
@@ -0,0 +1,80 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import TaggedJSON from './TaggedJSON.js'
+
+describe('TaggedJSON', function() {
+	it('should stringify and parse JSON values', function() {
+		const value = { a: 'b', c: [1, true, null], d: { e: 1.5 } }
+		expect(TaggedJSON.stringify(value)).to.equal(JSON.stringify(value))
+		expect(TaggedJSON.parse(TaggedJSON.stringify(value))).to.deep.equal(value)
+	})
+
+	it('should stringify and parse non-JSON values', function() {
+		const value = {
+			undefined: undefined,
+			nan: NaN,
+			infinity: -Infinity,
+			bigint: 12345678901234567890n,
+			date: new Date(Date.UTC(2000, 0, 1)),
+			invalidDate: new Date(NaN),
+			regExp: /a.b/gi,
+			map: new Map([[1, new Date(0)], ['a', { b: 'c' }]]),
+			set: new Set(['a', 1]),
+			uint8Array: new Uint8Array([1, 2, 3]),
+			float32Array: new Float32Array([1.5, NaN]),
+			bigInt64Array: new BigInt64Array([-1n, 2n]),
+			array: [undefined, 1n]
+		}
+
+		const result = TaggedJSON.parse(TaggedJSON.stringify(value))
+
+		expect(result).to.have.property('undefined')
+		expect(result.undefined).to.be.undefined
+		expect(result.nan).to.be.NaN
+		expect(result.infinity).to.equal(-Infinity)
+		expect(result.bigint).to.equal(12345678901234567890n)
+		expect(result.date).to.be.an.instanceOf(Date)
+		expect(result.date.getTime()).to.equal(946684800000)
+		expect(result.invalidDate.getTime()).to.be.NaN
+		expect(result.regExp.source).to.equal('a.b')
+		expect(result.regExp.flags).to.equal('gi')
+		expect(result.map).to.be.an.instanceOf(Map)
+		expect(result.map.get(1).getTime()).to.equal(0)
+		expect(result.map.get('a')).to.deep.equal({ b: 'c' })
+		expect(Array.from(result.set)).to.deep.equal(['a', 1])
+		expect(result.uint8Array).to.be.an.instanceOf(Uint8Array)
+		expect(Array.from(result.uint8Array)).to.deep.equal([1, 2, 3])
+		expect(result.float32Array[0]).to.equal(1.5)
+		expect(result.float32Array[1]).to.be.NaN
+		expect(Array.from(result.bigInt64Array)).to.deep.equal([-1n, 2n])
+		expect(result.array).to.deep.equal([undefined, 1n])
+	})
+
+	it('should not confuse regular objects having a `$type` property with tagged values', function() {
+		const value = {
+			$type: 'Date',
+			$$type: 'Set',
+			value: 0
+		}
+
+		expect(TaggedJSON.stringify(value)).to.equal('{"$$type":"Date","$$$type":"Set","value":0}')
+		expect(TaggedJSON.parse(TaggedJSON.stringify(value))).to.deep.equal(value)
+	})
+
+	it('should stringify and parse objects having a `__proto__` property', function() {
+		const value = JSON.parse('{"__proto__":{"x":1}}')
+
+		expect(TaggedJSON.stringify(value)).to.equal('{"__proto__":{"x":1}}')
+
+		const parsedValue = TaggedJSON.parse('{"__proto__":{"x":1}}')
+		expect(Object.getPrototypeOf(parsedValue)).to.equal(Object.prototype)
+		expect(Object.keys(parsedValue)).to.deep.equal(['__proto__'])
+		expect(parsedValue.x).to.be.undefined
+		expect(TaggedJSON.stringify(parsedValue)).to.equal('{"__proto__":{"x":1}}')
+	})
+
+	it('should throw a `SyntaxError` for unknown tagged values', function() {
+		expect(() => TaggedJSON.parse('{"$type":"Unknown"}')).to.throw(SyntaxError)
+	})
+})
@@ -0,0 +1,10 @@
+// Is thrown when a value being written doesn't pass validation.
+export default class ValidationError extends Error {
+	constructor({ key, value, errors }) {
+		super(`[web-browser-storage] Invalid value for "${key}": ${errors.join('; ')}`)
+		this.name = 'ValidationError'
+		this.key = key
+		this.value = value
+		this.errors = errors
+	}
+}
@@ -0,0 +1,145 @@
+import { compilePattern } from './matchesPattern.js'
+import validateSchema from './schema.js'
+import ValidationError from './ValidationError.js'
+
+// `Validators` validates the values of the keys matching a key pattern.
+//
+// A validator is either a JSON Schema (see `schema.js`) or a `(value) => result` function.
+// A function could return:
+// * `true` or `undefined` — The value is valid.
+// * `false` — The value is invalid.
+// * A string or an array of strings — Validation errors. An empty array means that the value is valid.
+//
+// When a key matches several patterns, the value should pass all of the validators.
+// `null` means "no value", so it's not validated.
+//
+export default class Validators {
+	/**
+	 * @param {object} [options.validators] — Validators by key pattern: `{ [pattern]: schema | function }`.
+	 * @param {object} [options.defaults] — The values that are read instead of invalid ones, by key pattern: `{ [pattern]: value }`. By default, it's `null`.
+	 * @param {function} [options.onInvalid] — Is called with `{ key, value, errors }` when an invalid value is read.
+	 * @param {function} options.matchesPattern
+	 */
+	constructor({
+		validators = {},
+		defaults = {},
+		onInvalid,
+		matchesPattern
+	}) {
+		this.validators = Object.keys(validators).map(pattern => ({
+			matches: compilePattern(pattern, matchesPattern),
+			validate: createValidateFunction(validators[pattern])
+		}))
+		this.defaults = Object.keys(defaults).map(pattern => ({
+			matches: compilePattern(pattern, matchesPattern),
+			value: defaults[pattern]
+		}))
+		this.onInvalid = onInvalid
+	}
+
+	/**
+	 * Validates a value.
+	 * @param  {string} key
+	 * @param  {any} value
+	 * @return {string[]} Validation errors. An empty array means that the value is valid.
+	 */
+	getErrors(key, value) {
+		if (value === null || value === undefined) {
+			return []
+		}
+		const errors = []
+		for (const { matches, validate } of this.validators) {
+			if (matches(key)) {
+				errors.push(...validate(value))
+			}
+		}
+		return errors
+	}
+
+	/**
+	 * Throws a `ValidationError` if a value being written is invalid.
+	 * @param {string} key
+	 * @param {any} value
+	 */
+	validateWrite(key, value) {
+		const errors = this.getErrors(key, value)
+		if (errors.length > 0) {
+			throw new ValidationError({ key, value, errors })
+		}
+	}
+
+	/**
+	 * Returns a value that has been read, or the default value if it's invalid.
+	 * @param  {string} key
+	 * @param  {any} value
+	 * @return {any}
+	 */
+	validateRead(key, value) {
+		const errors = this.getErrors(key, value)
+		if (errors.length === 0) {
+			return value
+		}
+		if (this.onInvalid) {
+			this.onInvalid({ key, value, errors })
+		}
+		return this.getDefaultValue(key)
+	}
+
+	/**
+	 * Returns the value of an "external" change, or `undefined` if it's invalid,
+	 * the same way as when a value can't be parsed.
+	 * @param  {string} key
+	 * @param  {any} value
+	 * @return {any}
+	 */
+	validateExternalValue(key, value) {
+		if (this.getErrors(key, value).length > 0) {
+			return undefined
+		}
+		return value
+	}
+
+	isEmpty() {
+		return this.validators.length === 0
+	}
+
+	getDefaultValue(key) {
+		const defaultValue = this.defaults.find(({ matches }) => matches(key))
+		return defaultValue ? defaultValue.value : null
+	}
+}
+
+/**
+ * Throws an error if a storage, or any storage it wraps, validates values.
+ * Is used by the wrapper storages that store values in some other format,
+ * for example, `{ value, expiresAt }`: the validators would receive that format
+ * rather than the values, so every write would fail validation.
+ * @param {Storage} storage
+ * @param {string} message — Describes how the values are stored.
+ */
+export function assertNoValidators(storage, message) {
+	for (let _storage = storage; _storage; _storage = _storage.storage) {
+		if (_storage.validators && !_storage.validators.isEmpty()) {
+			throw new Error(`[web-browser-storage] ${message}, so the underlying storage can't have \`validators\``)
+		}
+	}
+}
+
+function createValidateFunction(validator) {
+	if (typeof validator === 'function') {
+		return (value) => {
+			const result = validator(value)
+			if (result === true || result === undefined) {
+				return []
+			}
+			if (result === false) {
+				return ['Value is invalid']
+			}
+			if (typeof result === 'string') {
+				return [result]
+			}
+			return result
+		}
+	}
+	return value => validateSchema(validator, value)
+}
@@ -0,0 +1,189 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import { webcrypto as crypto } from 'crypto'
+
+import { TestTabStatusWatcher } from 'web-browser-tab/status-watcher'
+import { TestTimer } from 'web-browser-timer'
+
+import MemoryStorage from './MemoryStorage.js'
+import CookieStorage from './CookieStorage.js'
+import CachedStorage from './CachedStorage.js'
+import ExpiringStorage from './ExpiringStorage.js'
+import EncryptedStorage from './EncryptedStorage.js'
+import NamespacedStorage from './NamespacedStorage.js'
+import ValidationError from './ValidationError.js'
+
+describe('Validators', function() {
+	const validators = {
+		'settings': {
+			type: 'object',
+			properties: {
+				theme: { enum: ['light', 'dark'] }
+			},
+			required: ['theme']
+		},
+		'counters.*': value => Number.isInteger(value) || 'Not an integer'
+	}
+
+	it('should reject invalid writes', function() {
+		const storage = new MemoryStorage({ validators })
+
+		storage.set('settings', { theme: 'dark' })
+		storage.set('counters.a', 1)
+		storage.set('other', 'value')
+
+		expect(() => storage.set('settings', { theme: 'blue' })).to.throw(ValidationError, 'Invalid value for "settings": /theme must be one of: "light", "dark"')
+		expect(storage.get('settings')).to.deep.equal({ theme: 'dark' })
+
+		let error
+		try {
+			storage.set('counters.a', 1.5)
+		} catch (_error) {
+			error = _error
+		}
+		expect(error.key).to.equal('counters.a')
+		expect(error.value).to.equal(1.5)
+		expect(error.errors).to.deep.equal(['Not an integer'])
+	})
+
+	it('should support different validator function results', function() {
+		const storage = new MemoryStorage({
+			validators: {
+				'a': value => value > 0,
+				'b': value => value > 0 ? undefined : ['Too small', 'Not positive'],
+				'c': () => []
+			}
+		})
+
+		storage.set('a', 1)
+		expect(() => storage.set('a', 0)).to.throw('Value is invalid')
+		storage.set('b', 1)
+		expect(() => storage.set('b', 0)).to.throw('Too small; Not positive')
+		storage.set('c', 0)
+	})
+
+	it('should not write anything in a `batch()` when a value is invalid', function() {
+		const storage = new MemoryStorage({ validators })
+
+		expect(() => storage.batch((batch) => {
+			batch.set('counters.a', 1)
+			batch.set('counters.b', 'x')
+		})).to.throw(ValidationError)
+
+		expect(storage.keys()).to.deep.equal([])
+	})
+
+	it('should return a default value or call `onInvalid()` when an invalid value is read', function() {
+		const invalidValues = []
+
+		const storage = new MemoryStorage({
+			validators,
+			defaults: {
+				'settings': { theme: 'light' }
+			},
+			onInvalid: ({ key, value, errors }) => invalidValues.push({ key, value, errors })
+		})
+
+		// Values written before the validators have been added.
+		storage.setData({
+			'settings': { theme: 'blue' },
+			'counters.a': 'x'
+		})
+
+		expect(storage.get('settings')).to.deep.equal({ theme: 'light' })
+		expect(storage.get('counters.a')).to.be.null
+		expect(storage.getPath('settings', 'theme')).to.equal('light')
+
+		expect(invalidValues).to.deep.equal([{
+			key: 'settings',
+			value: { theme: 'blue' },
+			errors: ['/theme must be one of: "light", "dark"']
+		}, {
+			key: 'counters.a',
+			value: 'x',
+			errors: ['Not an integer']
+		}, {
+			key: 'settings',
+			value: { theme: 'blue' },
+			errors: ['/theme must be one of: "light", "dark"']
+		}])
+	})
+
+	it('should flag invalid values of external changes as `undefined`', function() {
+		const sourceStorage = new MemoryStorage()
+
+		// An instance that validates values, and one that doesn't,
+		// like an older version of an application.
+		const storage1 = new MemoryStorage({
+			id: '1',
+			validators,
+			dataSource: sourceStorage.data,
+			getExternalChangeListeners: sourceStorage.getExternalChangeListeners,
+			setExternalChangeListeners: sourceStorage.setExternalChangeListeners
+		})
+
+		const storage2 = sourceStorage.createSharedInstance('2')
+
+		const changes = []
+		storage1.onExternalChange(change => changes.push(change))
+
+		storage2.set('counters.a', 1)
+		storage2.set('counters.a', 'x')
+
+		expect(changes).to.deep.equal([{
+			key: 'counters.a',
+			value: 1,
+			prevValue: null,
+			paths: ['']
+		}, {
+			key: 'counters.a',
+			value: undefined,
+			prevValue: 1,
+			paths: ['']
+		}])
+
+		expect(storage1.get('counters.a')).to.be.null
+
+		const cookieStorage = new CookieStorage({ server: true, validators })
+		expect(() => cookieStorage.set('counters.a', 'x')).to.throw(ValidationError)
+	})
+
+	it('should not be used for the underlying storage of a wrapper that stores values in another format', async function() {
+		const storage = new MemoryStorage({
+			validators: {
+				'n': { type: 'number' }
+			}
+		})
+
+		const createCachedStorage = (options) => new CachedStorage({
+			tabStatusWatcher: new TestTabStatusWatcher(),
+			timer: new TestTimer(),
+			flushDelay: 60 * 1000,
+			cachedKeys: ['*'],
+			envelope: true,
+			onConflict: () => {},
+			...options
+		})
+
+		expect(() => createCachedStorage({ storage })).to.throw('the underlying storage can\'t have `validators`')
+		expect(() => createCachedStorage({ storage: new NamespacedStorage({ storage, prefix: 'a.' }) })).to.throw('the underlying storage can\'t have `validators`')
+		expect(() => new ExpiringStorage({ storage })).to.throw('the underlying storage can\'t have `validators`')
+		const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+		expect(() => new EncryptedStorage({ storage, key, crypto })).to.throw('the underlying storage can\'t have `validators`')
+
+		// In `envelope` mode, `validators` are passed to the `CachedStorage`.
+		const underlyingStorage = new MemoryStorage()
+		const cachedStorage = createCachedStorage({
+			storage: underlyingStorage,
+			validators: {
+				'n': { type: 'number' }
+			}
+		})
+
+		expect(() => cachedStorage.set('n', 'x')).to.throw(ValidationError)
+		cachedStorage.set('n', 5)
+		cachedStorage.flush()
+		expect(underlyingStorage.get('n').value).to.equal(5)
+	})
+})
@@ -0,0 +1,126 @@
+import { getChangedPaths } from './path.js'
+import { runBatch } from './batch.js'
+import { assertNoValidators } from './Validators.js'
+
+// `VersionedStorage` is a wrapper around a storage that stores each value
+// in an "envelope": `{ value, version, writerId }`.
+// `version` is incremented on each write and `writerId` is the ID of the tab that wrote the value.
+//
+// It's used by `CachedStorage` in `envelope` mode for detecting conflicting writes.
+//
+// Values that have been written without an "envelope" are read as is and have `version` `0`.
+//
+export default class VersionedStorage {
+	constructor({
+		storage,
+		writerId
+	}) {
+		assertNoValidators(storage, 'In `envelope` mode, a `CachedStorage` stores values as `{ value, version, writerId }`. `validators` could be passed to the `CachedStorage` instead')
+		this.storage = storage
+		this.writerId = writerId
+	}
+
+	has(key) {
+		return this.storage.has(key)
+	}
+
+	get(key) {
+		return unwrap(this.storage.get(key))
+	}
+
+	/**
+	 * Returns the "envelope" of a value.
+	 * @param  {string} key
+	 * @return {object} [record] — `{ value, version, writerId }`. Returns `null` if there's no value.
+	 */
+	getRecord(key) {
+		return getRecord(this.storage.get(key))
+	}
+
+	set(key, value) {
+		if (value === undefined) {
+			return this.delete(key)
+		}
+		this.storage.set(key, this.wrap(value, this.storage.get(key)))
+	}
+
+	delete(key) {
+		this.storage.delete(key)
+	}
+
+	keys() {
+		return this.storage.keys()
+	}
+
+	getRecordSize(key) {
+		return this.storage.getRecordSize(key)
+	}
+
+	batch(fn) {
+		return runBatch(this.storage, (storage) => {
+			return fn({
+				has: (key) => storage.has(key),
+				get: (key) => unwrap(storage.get(key)),
+				set: (key, value) => {
+					if (value === undefined) {
+						storage.delete(key)
+					} else {
+						storage.set(key, this.wrap(value, storage.get(key)))
+					}
+				},
+				delete: (key) => storage.delete(key)
+			})
+		})
+	}
+
+	onExternalChange(listener) {
+		return this.storage.onExternalChange(({ key, value, prevValue }) => {
+			value = unwrap(value)
+			prevValue = unwrap(prevValue)
+			listener({
+				key,
+				value,
+				prevValue,
+				paths: getChangedPaths(prevValue, value)
+			})
+		})
+	}
+
+	wrap(value, prevStoredValue) {
+		const prevRecord = getRecord(prevStoredValue)
+		return {
+			value,
+			version: (prevRecord ? prevRecord.version : 0) + 1,
+			writerId: this.writerId
+		}
+	}
+}
+
+function getRecord(storedValue) {
+	if (storedValue === null || storedValue === undefined) {
+		return null
+	}
+	if (isRecord(storedValue)) {
+		return storedValue
+	}
+	return {
+		value: storedValue,
+		version: 0
+	}
+}
+
+function unwrap(storedValue) {
+	if (isRecord(storedValue)) {
+		return storedValue.value
+	}
+	return storedValue
+}
+
+function isRecord(value) {
+	return value !== null &&
+		typeof value === 'object' &&
+		typeof value.version === 'number' &&
+		typeof value.writerId === 'string' &&
+		Object.keys(value).length === 3 &&
+		'value' in value
+}
@@ -1,14 +1,21 @@
-export function hasObject(key) {
-	return localStorage.getItem(key) !== null
+// These helpers work with any Web Storage area:
+// either `localStorage` or `sessionStorage`.
+// https://developer.mozilla.org/en-US/docs/Web/API/Storage
+//
+// `serializer` is an object having `stringify()` and `parse()` functions,
+// like the standard `JSON` object.
+
+export function hasObject(storage, key) {
+	return storage.getItem(key) !== null
 }
 
-export function getObject(key, defaultValue = null) {
-	const value = localStorage.getItem(key)
+export function getObject(storage, key, serializer = JSON, defaultValue = null) {
+	const value = storage.getItem(key)
 	if (value === null) {
 		return defaultValue
 	}
 	try {
-		return JSON.parse(value)
+		return serializer.parse(value)
 	} catch (error) {
 		if (error instanceof SyntaxError) {
 			console.error(`Invalid JSON:\n\n${value}`)
@@ -19,23 +26,23 @@ export function getObject(key, defaultValue = null) {
 	}
 }
 
-export function setObject(key, value) {
+export function setObject(storage, key, value, serializer = JSON) {
 	if (value === undefined) {
-		deleteObject(key)
+		deleteObject(storage, key)
 	} else {
-		localStorage.setItem(key, JSON.stringify(value))
+		storage.setItem(key, serializer.stringify(value))
 	}
 }
 
-export function deleteObject(key) {
-	localStorage.removeItem(key)
+export function deleteObject(storage, key) {
+	storage.removeItem(key)
 }
 
-export function getKeys() {
+export function getKeys(storage) {
 	const keys = []
 	let i = 0
-	while (i < localStorage.length) {
-		keys.push(localStorage.key(i))
+	while (i < storage.length) {
+		keys.push(storage.key(i))
 		i++
 	}
 	return keys
@@ -68,16 +75,17 @@ export function isQuotaExceededError(error) {
 }
 
 // https://developer.mozilla.org/en-US/docs/Web/API/Web_Storage_API/Using_the_Web_Storage_API
-export function isAvailable() {
-	// `localStorage` is not available on server side.
+// `type` is the name of a Web Storage area: "localStorage" or "sessionStorage".
+export function isAvailable(type) {
+	// Web Storage is not available on server side.
 	if (typeof window === 'undefined') {
 		return false
 	}
   let storage
   try {
-    storage = window.localStorage
+    storage = window[type]
     const key = '__storage_test__'
-    storage.setItem(key, '"[web-browser-storage] Test `localStorage` availability"')
+    storage.setItem(key, `"[web-browser-storage] Test \`${type}\` availability"`)
     storage.removeItem(key)
     return true
   }
@@ -92,4 +100,4 @@ export function isAvailable() {
   	}
   	return false
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,407 @@
+// https://developer.mozilla.org/en-US/docs/Web/API/Storage
+
+import {
+	hasObject,
+	getObject,
+	setObject,
+	deleteObject,
+	getKeys,
+	isQuotaExceededError
+} from './WebStorage.helpers.js'
+
+import { createCompressingSerializer } from './compression.js'
+import defaultMatchesPattern from './matchesPattern.js'
+import { getRecordSize, getTotalSize, getUsage } from './size.js'
+import { getBudgetExceededError } from './budgets.js'
+import ChangeListeners from './ChangeListeners.js'
+import BudgetExceededError from './BudgetExceededError.js'
+import Validators from './Validators.js'
+import { collectChanges, performChanges, notifyChange } from './batch.js'
+import { getPath, setPath, deletePath, updateValue, getChangedPaths } from './path.js'
+import { exportSnapshot, importSnapshot } from './snapshot.js'
+
+// A base class for `LocalStorage` and `SessionStorage`.
+// `getStorageArea()` returns the Web Storage area: `localStorage` or `sessionStorage`.
+// It's a function rather than a value because there's no `localStorage`
+// or `sessionStorage` global variable on server side.
+export default class WebStorage {
+	constructor(getStorageArea, {
+		onFull,
+		budgets,
+		onBudgetExceeded,
+		validators,
+		defaults,
+		onInvalid,
+		evictionPolicy,
+		serializer = JSON,
+		compression,
+		transport,
+		matchesPattern = defaultMatchesPattern,
+		log = () => {}
+	} = {}) {
+		this.getStorageArea = getStorageArea
+		this.onFull = onFull
+		this.budgets = budgets
+		this.onBudgetExceeded = onBudgetExceeded
+		this.serializer = serializer
+		this.evictionPolicy = evictionPolicy
+		this.transport = transport
+		this.matchesPattern = matchesPattern
+		this.log = log
+
+		this.changeListeners = new ChangeListeners({ matchesPattern })
+		this.validators = new Validators({ validators, defaults, onInvalid, matchesPattern })
+
+		if (compression) {
+			if (!compression.codec) {
+				throw new Error('[web-browser-storage] `compression.codec` parameter is required. For example, `LZStringCodec` from "web-browser-storage/compression"')
+			}
+			if (!Array.isArray(compression.keys)) {
+				throw new Error('[web-browser-storage] `compression.keys` parameter is required. It\'s a list of key patterns, for example, `[\'thread.*\']`')
+			}
+			this.compressedKeys = compression.keys
+			this.compressingSerializer = createCompressingSerializer(serializer, compression.codec)
+		}
+	}
+
+	has(key) {
+		return hasObject(this.getStorageArea(), key)
+	}
+
+	get(key) {
+		this.log('read', { key })
+		if (this.evictionPolicy) {
+			this.evictionPolicy.touch(key)
+		}
+		return this.validators.validateRead(key, getObject(this.getStorageArea(), key, this.getSerializer()))
+	}
+
+	set(key, value) {
+		this.log('write', { key, value })
+		try {
+			this.write(key, value)
+		} catch (error) {
+			return this.onWriteError(error)
+		}
+	}
+
+	// Writes a value. Unlike `set()`, it always throws on errors.
+	write(key, value) {
+		this.validators.validateWrite(key, value)
+		if (this.budgets && value !== undefined) {
+			const error = getBudgetExceededError({
+				storage: this,
+				budgets: this.budgets,
+				key,
+				recordSize: getRecordSize(key, this.getSerializer(key).stringify(value)),
+				matchesPattern: this.matchesPattern
+			})
+			if (error) {
+				throw error
+			}
+		}
+		const prevValue = this.shouldNotifyChanges() ? getObject(this.getStorageArea(), key, this.getSerializer()) : undefined
+		if (this.evictionPolicy) {
+			this.evictionPolicy.write({
+				key,
+				write: () => setObject(this.getStorageArea(), key, value, this.getSerializer(key)),
+				storage: this
+			})
+		} else {
+			setObject(this.getStorageArea(), key, value, this.getSerializer(key))
+		}
+		if (this.shouldNotifyChanges()) {
+			notifyChange(this, {
+				key,
+				// The value is re-read so that it's the same as the one read by other tabs.
+				value: getObject(this.getStorageArea(), key, this.getSerializer()),
+				prevValue
+			})
+		}
+	}
+
+	// Either calls `onFull()` or `onBudgetExceeded()`, if specified, or throws the `error`.
+	onWriteError(error) {
+		if (isQuotaExceededError(error)) {
+			if (this.onFull) {
+				return this.onFull({ error })
+			}
+		} else if (error instanceof BudgetExceededError) {
+			if (this.onBudgetExceeded) {
+				return this.onBudgetExceeded({ error })
+			}
+		}
+		throw error
+	}
+
+	delete(key) {
+		this.log('delete', { key })
+		if (this.evictionPolicy) {
+			this.evictionPolicy.forget(key)
+		}
+		const prevValue = this.shouldNotifyChanges() ? getObject(this.getStorageArea(), key, this.getSerializer()) : undefined
+		deleteObject(this.getStorageArea(), key)
+		if (this.shouldNotifyChanges() && prevValue !== null) {
+			notifyChange(this, {
+				key,
+				value: null,
+				prevValue
+			})
+		}
+	}
+
+	/**
+	 * Reads a part of a value.
+	 * @param  {string} key
+	 * @param  {(string|Array<string|number>)} path — A JSON Pointer ("/a/b"), a "dotted" path ("a.b") or an array of "segments".
+	 * @return {any} Returns `null` if there's nothing at the `path`.
+	 */
+	getPath(key, path) {
+		return getPath(this, key, path)
+	}
+
+	/**
+	 * Writes a part of a value. The missing objects along the `path` are created.
+	 * @param {string} key
+	 * @param {(string|Array<string|number>)} path
+	 * @param {any} value
+	 */
+	setPath(key, path, value) {
+		return setPath(this, key, path, value)
+	}
+
+	/**
+	 * Deletes a part of a value. An empty `path` deletes the whole value.
+	 * @param {string} key
+	 * @param {(string|Array<string|number>)} path
+	 */
+	deletePath(key, path) {
+		return deletePath(this, key, path)
+	}
+
+	/**
+	 * Replaces a value with the result of `update(value)`.
+	 * If `update()` returns `null` or `undefined`, the key is deleted.
+	 * @param {string} key
+	 * @param {function} update — Receives the current value, or `null` if there's none.
+	 */
+	update(key, update) {
+		return updateValue(this, key, update)
+	}
+
+	/**
+	 * Deletes all keys, or only the ones matching a `pattern`.
+	 * @param {string} [pattern]
+	 */
+	clear(pattern) {
+		for (const key of this.keys()) {
+			if (pattern === undefined || this.matchesPattern(key, pattern)) {
+				this.delete(key)
+			}
+		}
+	}
+
+	/**
+	 * Collects the writes and deletes made by `fn()` and then performs them together.
+	 * If any of the writes fails, the previous values of all of the keys are restored.
+	 * Change notifications are only sent after all writes have succeeded, one by one, in the order of the writes.
+	 * @param {function} fn — Receives a `batch` object having `get()`, `has()`, `set()` and `delete()` methods.
+	 */
+	batch(fn) {
+		const changes = collectChanges(this, fn)
+		const storageArea = this.getStorageArea()
+		return performChanges(this, changes, {
+			write: (key, value) => this.write(key, value),
+			getRecord: (key) => storageArea.getItem(key),
+			setRecord: (key, item) => {
+				if (item === null) {
+					storageArea.removeItem(key)
+				} else {
+					storageArea.setItem(key, item)
+				}
+			},
+			log: this.log
+		})
+	}
+
+	// An alias for `batch()`.
+	transaction(fn) {
+		return this.batch(fn)
+	}
+
+	// Previous values are only read when there's someone to notify about a change.
+	shouldNotifyChanges() {
+		return Boolean(this.transport) || !this.changeListeners.isEmpty()
+	}
+
+	// Notifies other tabs and `onChange()` listeners about a change made through this instance.
+	sendChange({ key, value, prevValue }) {
+		if (this.transport) {
+			this.transport.notify({ key, value, prevValue })
+		}
+		this.changeListeners.trigger({ key, value, prevValue, source: 'local' })
+	}
+
+	keys() {
+		return getKeys(this.getStorageArea())
+	}
+
+	// Returns a serializer for reading any key (when `key` argument is not passed)
+	// or for writing a specific `key`.
+	// When reading, compressed values are decompressed regardless of the key.
+	getSerializer(key) {
+		if (this.compressingSerializer) {
+			if (key === undefined || this.shouldCompress(key)) {
+				return this.compressingSerializer
+			}
+		}
+		return this.serializer
+	}
+
+	shouldCompress(key) {
+		for (const pattern of this.compressedKeys) {
+			if (this.matchesPattern(key, pattern)) {
+				return true
+			}
+		}
+		return false
+	}
+
+	// Returns the actual size of a record, so for compressed values
+	// it's the size of the compressed value.
+	getRecordSize(key) {
+		const value = this.getStorageArea().getItem(key)
+		if (value === null) {
+			return 0
+		}
+		return getRecordSize(key, value)
+	}
+
+	getTotalSize() {
+		return getTotalSize(this)
+	}
+
+	getUsage(options) {
+		return getUsage(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	/**
+	 * Exports the records as a "snapshot" that could be imported into another storage.
+	 * @param  {Array<string|RegExp|function>} [options.patterns] — Key patterns. By default, all records are exported.
+	 * @return {object}
+	 */
+	exportSnapshot(options) {
+		return exportSnapshot(this, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	/**
+	 * Imports a "snapshot" in a `batch()`, so the listeners are notified after all records have been written.
+	 * @param  {object} snapshot
+	 * @param  {string} [options.mode] — "merge" or "replace". "replace" also deletes the keys that aren't in the snapshot. Default: "merge".
+	 * @param  {Array<string|RegExp|function>} [options.patterns] — In "replace" mode, only the keys matching these patterns are deleted. By default, it's the `patterns` of the snapshot, if any.
+	 */
+	importSnapshot(snapshot, options) {
+		importSnapshot(this, snapshot, { matchesPattern: this.matchesPattern, ...options })
+	}
+
+	// Listens for changes to the keys matching a `pattern`: both the ones made
+	// through this instance (`source: "local"`) and "external" ones (`source: "external"`).
+	onChange(pattern, listener) {
+		const removeListener = this.changeListeners.add(pattern, listener)
+		const unlistenExternalChanges = this.onExternalChange(({ key, value, prevValue, paths }) => {
+			if (typeof key === 'string' && this.matchesPattern(key, pattern)) {
+				listener({ key, value, prevValue, paths, source: 'external' })
+			}
+		})
+		return () => {
+			removeListener()
+			unlistenExternalChanges()
+		}
+	}
+
+	// Listens for "external" changes to the Web Storage area.
+	// "External" changes originate from other tabs or browser windows.
+	// https://developer.mozilla.org/docs/Web/API/Web_Storage_API/Using_the_Web_Storage_API#Responding_to_storage_changes_with_the_StorageEvent
+	// https://developer.mozilla.org/docs/Web/API/StorageEvent
+	//
+	// When a `transport` is used, changes are also received as `transport` messages.
+	// A change made in another tab could be received both as a `storage` event
+	// and as a `transport` message, in which case the listener is only called once.
+	//
+	onExternalChange(listener) {
+		const isDuplicate = this.transport && createDuplicateChangeDetector(
+			value => value === undefined ? 'undefined' : this.serializer.stringify(value)
+		)
+		const onChange = (change, source) => {
+			if (isDuplicate && isDuplicate(change, source)) {
+				return
+			}
+			// Invalid values are `undefined`, the same way as the ones that can't be parsed.
+			const value = this.validators.validateExternalValue(change.key, change.value)
+			const prevValue = this.validators.validateExternalValue(change.key, change.prevValue)
+			listener({
+				...change,
+				value,
+				prevValue,
+				paths: getChangedPaths(prevValue, value)
+			})
+		}
+		const _listener = (event) => {
+			// `event.storageArea` could be:
+			// * `localStorage`
+			// * `sessionStorage`
+			if (event.storageArea === this.getStorageArea()) {
+				onChange({
+					key: event.key,
+					value: parseValue(event.newValue, this.getSerializer()),
+					prevValue: parseValue(event.oldValue, this.getSerializer())
+				}, 'storage')
+			}
+		}
+		window.addEventListener('storage', _listener)
+		const unlistenTransport = this.transport && this.transport.onMessage(({ key, value, prevValue }) => {
+			onChange({ key, value, prevValue }, 'transport')
+		})
+		return () => {
+			window.removeEventListener('storage', _listener)
+			if (unlistenTransport) {
+				unlistenTransport()
+			}
+		}
+	}
+}
+
+function parseValue(value, serializer) {
+	if (value === null) {
+		return null
+	}
+	try {
+		return serializer.parse(value)
+	} catch (error) {
+		// Return `undefined`
+	}
+}
+
+// How many recent changes to remember for detecting duplicates.
+// A change made in the same tab is only received as a `transport` message,
+// so it's never "matched" by a `storage` event and is "forgotten" eventually.
+const RECENT_CHANGES_MAX_COUNT = 100
+
+// Returns a function that tells whether a change has already been received
+// from a different source: a `storage` event or a `transport` message.
+function createDuplicateChangeDetector(stringify) {
+	let recentChanges = []
+	return ({ key, value }, source) => {
+		const id = key + ':' + stringify(value)
+		const duplicate = recentChanges.find(_ => _.id === id && _.source !== source)
+		if (duplicate) {
+			recentChanges = recentChanges.filter(_ => _ !== duplicate)
+			return true
+		}
+		recentChanges.push({ id, source })
+		if (recentChanges.length > RECENT_CHANGES_MAX_COUNT) {
+			recentChanges.shift()
+		}
+		return false
+	}
+}
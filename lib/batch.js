@@ -0,0 +1,136 @@
+/**
+ * Runs a `batch()` function and collects the writes and deletes it makes.
+ * The function receives a `Storage`-like object whose reads reflect the collected writes.
+ * Nothing is written to the `storage` itself.
+ * @param  {Storage} storage
+ * @param  {function} fn
+ * @return {Map} Collected changes: `value` by `key`. A deleted key has `undefined` value.
+ */
+export function collectChanges(storage, fn) {
+	const changes = new Map()
+	const batch = {
+		has: (key) => changes.has(key) ? changes.get(key) !== undefined : storage.has(key),
+		get: (key) => changes.has(key) ? (changes.get(key) === undefined ? null : changes.get(key)) : storage.get(key),
+		set: (key, value) => {
+			changes.set(key, value)
+		},
+		delete: (key) => {
+			changes.set(key, undefined)
+		}
+	}
+	const result = fn(batch)
+	if (result && typeof result.then === 'function') {
+		throw new Error('[web-browser-storage] A `batch()` function can\'t be `async`')
+	}
+	return changes
+}
+
+/**
+ * Performs collected changes in a `batch()` of a `storage`.
+ * Some storages don't support `batch()` (for example, `FileStorage`, `CookieStorage` or `ExpiringStorage`),
+ * in which case the changes are performed one by one.
+ * @param {Storage} storage
+ * @param {Map} changes — `value` by `key`. A deleted key has `undefined` value.
+ */
+export function writeChanges(storage, changes) {
+	const write = (storage) => {
+		for (const [key, value] of changes) {
+			if (value === undefined) {
+				storage.delete(key)
+			} else {
+				storage.set(key, value)
+			}
+		}
+	}
+	if (storage.batch) {
+		storage.batch(write)
+	} else {
+		write(storage)
+	}
+}
+
+/**
+ * Runs a `batch()` function in a `batch()` of a `storage`.
+ * When a `storage` doesn't support `batch()`, the changes are collected first
+ * and then performed one by one.
+ * @param  {Storage} storage
+ * @param  {function} fn
+ */
+export function runBatch(storage, fn) {
+	if (storage.batch) {
+		return storage.batch(fn)
+	}
+	writeChanges(storage, collectChanges(storage, fn))
+}
+
+/**
+ * Performs the changes collected by `collectChanges()`.
+ * If any of the writes fails, the previous records of all of the keys are restored
+ * and `storage.onWriteError(error)` is called.
+ *
+ * While the changes are being performed, change notifications are postponed (see `notifyChange()`).
+ * After all of the writes have succeeded, they're sent one by one, in the order of the writes,
+ * through `storage.sendChange(change)`.
+ *
+ * @param {Storage} storage
+ * @param {Map} changes
+ * @param {function} options.write — `(key, value)`. Writes a value and throws on errors.
+ * @param {function} options.getRecord — `(key)`. Returns a record that could be restored by `setRecord()`.
+ * @param {function} options.setRecord — `(key, record)`. Restores a record returned by `getRecord()`.
+ * @param {function} [options.log]
+ */
+export function performChanges(storage, changes, {
+	write,
+	getRecord,
+	setRecord,
+	log = () => {}
+}) {
+	const prevRecords = new Map()
+	for (const key of changes.keys()) {
+		prevRecords.set(key, getRecord(key))
+	}
+	log('batch', { keys: Array.from(changes.keys()) })
+	storage.pendingChanges = []
+	try {
+		for (const [key, value] of changes) {
+			if (value === undefined) {
+				storage.delete(key)
+			} else {
+				write(key, value)
+			}
+		}
+	} catch (error) {
+		log('rollback', { keys: Array.from(changes.keys()) })
+		for (const [key, record] of prevRecords) {
+			setRecord(key, record)
+		}
+		// Records evicted by an `evictionPolicy` aren't restored.
+		sendPendingChanges(storage, change => !changes.has(change.key))
+		return storage.onWriteError(error)
+	}
+	sendPendingChanges(storage)
+}
+
+/**
+ * Sends a change notification through `storage.sendChange(change)`.
+ * During `performChanges()`, notifications are postponed until it has finished.
+ * @param {Storage} storage
+ * @param {object} change
+ */
+export function notifyChange(storage, change) {
+	if (storage.pendingChanges) {
+		storage.pendingChanges.push(change)
+	} else {
+		storage.sendChange(change)
+	}
+}
+
+function sendPendingChanges(storage, filter = () => true) {
+	const changes = storage.pendingChanges
+	storage.pendingChanges = undefined
+	for (const change of changes) {
+		if (filter(change)) {
+			storage.sendChange(change)
+		}
+	}
+}
@@ -0,0 +1,35 @@
+import BudgetExceededError from './BudgetExceededError.js'
+
+/**
+ * Checks whether writing a record would exceed the size budget
+ * of any of the key patterns the record's key matches.
+ * @param  {Storage} options.storage
+ * @param  {object} options.budgets — Size budgets, in bytes, by key pattern: `{ [pattern]: number }`.
+ * @param  {string} options.key — The key being written.
+ * @param  {number} options.recordSize — The size of the record being written, in bytes.
+ * @param  {function} options.matchesPattern
+ * @return {BudgetExceededError} [error] — Returns `undefined` if no budget would be exceeded.
+ */
+export function getBudgetExceededError({
+	storage,
+	budgets,
+	key,
+	recordSize,
+	matchesPattern
+}) {
+	for (const pattern of Object.keys(budgets)) {
+		if (matchesPattern(key, pattern)) {
+			// The previous record under the same key is going to be overwritten.
+			let size = recordSize
+			for (const otherKey of storage.keys()) {
+				if (otherKey !== key && matchesPattern(otherKey, pattern)) {
+					size += storage.getRecordSize(otherKey)
+				}
+			}
+			const budget = budgets[pattern]
+			if (size > budget) {
+				return new BudgetExceededError({ key, pattern, budget, size })
+			}
+		}
+	}
+}
@@ -0,0 +1,36 @@
+// A compressed value is prefixed with this character
+// so that compressed and non-compressed values could coexist in a storage.
+// A JSON string can't start with it.
+export const COMPRESSED_VALUE_PREFIX = '\u0001'
+
+/**
+ * Creates a serializer that compresses the stringified values
+ * and decompresses them before parsing.
+ * Non-compressed values are parsed as is.
+ * @param  {object} serializer — An object having `stringify()` and `parse()` functions.
+ * @param  {object} codec — An object having `compress()` and `decompress()` functions.
+ * @return {object} An object having `stringify()` and `parse()` functions.
+ */
+export function createCompressingSerializer(serializer, codec) {
+	return {
+		stringify(value) {
+			const string = serializer.stringify(value)
+			const compressed = COMPRESSED_VALUE_PREFIX + codec.compress(string)
+			// Don't compress the values that don't get any smaller.
+			if (compressed.length < string.length) {
+				return compressed
+			}
+			return string
+		},
+		parse(string) {
+			if (string[0] === COMPRESSED_VALUE_PREFIX) {
+				const decompressed = codec.decompress(string.slice(COMPRESSED_VALUE_PREFIX.length))
+				if (typeof decompressed !== 'string') {
+					throw new SyntaxError('Couldn\'t decompress the value')
+				}
+				string = decompressed
+			}
+			return serializer.parse(string)
+		}
+	}
+}
@@ -0,0 +1,101 @@
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+
+import { createCompressingSerializer, COMPRESSED_VALUE_PREFIX } from './compression.js'
+import LZStringCodec from './LZStringCodec.js'
+import LocalStorage from './LocalStorage.js'
+import WebStorageArea, { dispatchStorageEvent } from '../test/stubs/WebStorageArea.js'
+
+describe('compression', function() {
+	beforeEach(function() {
+		global.window = new EventTarget()
+		global.localStorage = new WebStorageArea()
+	})
+
+	afterEach(function() {
+		delete global.window
+		delete global.localStorage
+	})
+
+	it('should compress and decompress values', function() {
+		const serializer = createCompressingSerializer(JSON, LZStringCodec)
+
+		const value = { text: 'abc'.repeat(100) }
+		const compressed = serializer.stringify(value)
+
+		expect(compressed[0]).to.equal(COMPRESSED_VALUE_PREFIX)
+		expect(compressed.length).to.be.below(JSON.stringify(value).length)
+		expect(serializer.parse(compressed)).to.deep.equal(value)
+
+		// Values that don't get any smaller aren't compressed.
+		expect(serializer.stringify('a')).to.equal('"a"')
+		expect(serializer.parse('"a"')).to.equal('a')
+	})
+
+	it('should compress the values of the keys matching a pattern in LocalStorage', function() {
+		const storage = new LocalStorage({
+			compression: {
+				keys: ['thread.*'],
+				codec: LZStringCodec
+			}
+		})
+
+		const value = { comments: 'abc'.repeat(100) }
+		const stringifiedValue = JSON.stringify(value)
+
+		storage.set('thread.1', value)
+		storage.set('other', value)
+
+		expect(localStorage.getItem('thread.1')[0]).to.equal(COMPRESSED_VALUE_PREFIX)
+		expect(localStorage.getItem('other')).to.equal(stringifiedValue)
+
+		expect(storage.get('thread.1')).to.deep.equal(value)
+		expect(storage.get('other')).to.deep.equal(value)
+
+		expect(storage.getRecordSize('thread.1')).to.equal(2 * ('thread.1'.length + localStorage.getItem('thread.1').length))
+		expect(storage.getRecordSize('thread.1')).to.be.below(2 * ('thread.1'.length + stringifiedValue.length))
+
+		// Values that have been written before enabling compression are read as is.
+		localStorage.setItem('thread.2', stringifiedValue)
+		expect(storage.get('thread.2')).to.deep.equal(value)
+	})
+
+	it('should require a compression `codec`', function() {
+		expect(() => new LocalStorage({ compression: { keys: ['thread.*'] } })).to.throw('`compression.codec` parameter is required')
+	})
+
+	it('should require compression `keys`', function() {
+		expect(() => new LocalStorage({ compression: { codec: LZStringCodec } })).to.throw('`compression.keys` parameter is required')
+		expect(() => new LocalStorage({ compression: { keys: 'thread.*', codec: LZStringCodec } })).to.throw('`compression.keys` parameter is required')
+	})
+
+	it('should decompress values in external changes', function() {
+		const storage = new LocalStorage({
+			compression: {
+				keys: ['thread.*'],
+				codec: LZStringCodec
+			}
+		})
+
+		const changes = []
+		const unlistenExternalChanges = storage.onExternalChange(change => changes.push(change))
+
+		const value = { comments: 'abc'.repeat(100) }
+
+		dispatchStorageEvent({
+			key: 'thread.1',
+			newValue: createCompressingSerializer(JSON, LZStringCodec).stringify(value),
+			oldValue: '{"comments":""}',
+			storageArea: localStorage
+		})
+
+		expect(changes).to.deep.equal([{
+			key: 'thread.1',
+			value,
+			prevValue: { comments: '' },
+			paths: ['/comments']
+		}])
+
+		unlistenExternalChanges()
+	})
+})
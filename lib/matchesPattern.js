@@ -1,16 +1,111 @@
+// Compiled patterns are cached so that a pattern isn't re-parsed on every call.
+// The cache is limited in size in case patterns are created dynamically.
+const COMPILED_PATTERNS_CACHE_MAX_SIZE = 1000
+
+const compiledPatterns = new Map()
+
 /**
  * Tests whether a string matches the pattern.
  * @param  {string} string
- * @param  {string} pattern — Pattern. Can contain an asterisk ("*"), but only at the end.
+ * @param  {(string|RegExp|function)} pattern — A glob pattern, a `RegExp` or a `(string) => boolean` function. See `compilePattern()`.
  * @return {boolean}
  */
 export default function matchesPattern(string, pattern) {
-	const asteriskIndex = pattern.indexOf('*')
-	if (asteriskIndex >= 0) {
-		if (asteriskIndex !== pattern.length - 1) {
-			throw new Error(`A match pattern can only contain an asterisk ("*") at the end: ${pattern}`)
+	return compilePattern(pattern)(string)
+}
+
+/**
+ * Compiles a pattern into a `(string) => boolean` function.
+ *
+ * A glob pattern could contain:
+ * * `*` — Matches any characters except a dot (".").
+ *   An asterisk at the end of a pattern matches any characters including dots,
+ *   so "cache.*" matches both "cache.a" and "cache.a.b".
+ * * `**` — Matches any characters including dots.
+ *   When it's a whole "segment" of a key, it matches zero or more segments,
+ *   so "a.**.b" matches "a.b", "a.x.b" and "a.x.y.b".
+ * * `?` — Matches any single character except a dot (".").
+ * * `{a,b}` — Matches any of the comma-separated alternatives.
+ *
+ * @param  {(string|RegExp|function)} pattern
+ * @param  {function} [matchesPattern] — A custom `matchesPattern()` function. String patterns are passed to it as is.
+ * @return {function}
+ */
+export function compilePattern(pattern, matchesPattern = defaultMatchesPattern) {
+	if (typeof pattern === 'function') {
+		return pattern
+	}
+	if (pattern instanceof RegExp) {
+		return (string) => {
+			// A "global" or "sticky" `RegExp` remembers the last match position.
+			pattern.lastIndex = 0
+			return pattern.test(string)
 		}
-		return string.indexOf(pattern.slice(0, asteriskIndex)) === 0
 	}
-	return string === pattern
-}
\ No newline at end of file
+	if (matchesPattern !== defaultMatchesPattern) {
+		return string => matchesPattern(string, pattern)
+	}
+	let matcher = compiledPatterns.get(pattern)
+	if (!matcher) {
+		const regExp = convertGlobPatternToRegExp(pattern)
+		matcher = string => regExp.test(string)
+		if (compiledPatterns.size === COMPILED_PATTERNS_CACHE_MAX_SIZE) {
+			compiledPatterns.delete(compiledPatterns.keys().next().value)
+		}
+		compiledPatterns.set(pattern, matcher)
+	}
+	return matcher
+}
+
+const defaultMatchesPattern = matchesPattern
+
+function convertGlobPatternToRegExp(pattern) {
+	let regExp = ''
+	let isInAlternatives = false
+	let i = 0
+	while (i < pattern.length) {
+		const character = pattern[i]
+		if (character === '*') {
+			if (pattern[i + 1] === '*') {
+				// "**" as a whole segment matches zero or more segments.
+				if ((i === 0 || pattern[i - 1] === '.') && pattern[i + 2] === '.') {
+					regExp += '(?:.*\\.)?'
+					i += 3
+				} else {
+					regExp += '.*'
+					i += 2
+				}
+				continue
+			}
+			if (i === pattern.length - 1) {
+				regExp += '.*'
+			} else {
+				regExp += '[^.]*'
+			}
+		} else if (character === '?') {
+			regExp += '[^.]'
+		} else if (character === '{') {
+			if (isInAlternatives) {
+				throw new Error(`[web-browser-storage] A match pattern can't contain nested "{}": ${pattern}`)
+			}
+			isInAlternatives = true
+			regExp += '(?:'
+		} else if (character === '}' && isInAlternatives) {
+			isInAlternatives = false
+			regExp += ')'
+		} else if (character === ',' && isInAlternatives) {
+			regExp += '|'
+		} else {
+			regExp += escapeRegExpCharacters(character)
+		}
+		i++
+	}
+	if (isInAlternatives) {
+		throw new Error(`[web-browser-storage] A match pattern has an unclosed "{": ${pattern}`)
+	}
+	return new RegExp('^' + regExp + '$')
+}
+
+function escapeRegExpCharacters(string) {
+	return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
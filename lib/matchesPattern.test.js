@@ -1,7 +1,7 @@
 import { describe, it } from 'mocha'
 import { expect } from 'chai'
 
-import matchesPattern from './matchesPattern.js'
+import matchesPattern, { compilePattern } from './matchesPattern.js'
 
 describe('matchesPattern', function() {
 	it('should match pattern', function() {
@@ -18,8 +18,83 @@ describe('matchesPattern', function() {
 		expect(matchesPattern('abcd', 'abcde*')).to.equal(false)
 	})
 
-	it('should only allow an asterisk at the end', function() {
-		expect(() => matchesPattern('abc', '*abc')).to.throw('asterisk')
-		expect(() => matchesPattern('abc', 'a*bc')).to.throw('asterisk')
+	it('should match an asterisk anywhere', function() {
+		expect(matchesPattern('abc', '*abc')).to.equal(true)
+		expect(matchesPattern('xabc', '*abc')).to.equal(true)
+		expect(matchesPattern('abc', 'a*bc')).to.equal(true)
+		expect(matchesPattern('axxbc', 'a*bc')).to.equal(true)
+		expect(matchesPattern('axxbcd', 'a*bc')).to.equal(false)
+
+		expect(matchesPattern('thread.123.comments', 'thread.*.comments')).to.equal(true)
+		expect(matchesPattern('thread.comments', 'thread.*.comments')).to.equal(false)
+		expect(matchesPattern('thread.1.2.comments', 'thread.*.comments')).to.equal(false)
+		expect(matchesPattern('a.draft', '*.draft')).to.equal(true)
+		expect(matchesPattern('a.b.draft', '*.draft')).to.equal(false)
+
+		// An asterisk at the end matches dots too.
+		expect(matchesPattern('cache.a', 'cache.*')).to.equal(true)
+		expect(matchesPattern('cache.a.b', 'cache.*')).to.equal(true)
+	})
+
+	it('should match a double asterisk', function() {
+		expect(matchesPattern('a.b', 'a.**.b')).to.equal(true)
+		expect(matchesPattern('a.x.b', 'a.**.b')).to.equal(true)
+		expect(matchesPattern('a.x.y.b', 'a.**.b')).to.equal(true)
+		expect(matchesPattern('a.x.y.c', 'a.**.b')).to.equal(false)
+		expect(matchesPattern('ab', 'a.**.b')).to.equal(false)
+
+		expect(matchesPattern('b', '**.b')).to.equal(true)
+		expect(matchesPattern('x.y.b', '**.b')).to.equal(true)
+
+		expect(matchesPattern('a.x.y', 'a.**')).to.equal(true)
+		expect(matchesPattern('ax.y', 'a**')).to.equal(true)
+	})
+
+	it('should match a question mark', function() {
+		expect(matchesPattern('ab', 'a?')).to.equal(true)
+		expect(matchesPattern('a', 'a?')).to.equal(false)
+		expect(matchesPattern('abc', 'a?')).to.equal(false)
+		expect(matchesPattern('a.', 'a?')).to.equal(false)
+	})
+
+	it('should match alternatives', function() {
+		expect(matchesPattern('thread.1', '{thread,board}.*')).to.equal(true)
+		expect(matchesPattern('board.1', '{thread,board}.*')).to.equal(true)
+		expect(matchesPattern('comment.1', '{thread,board}.*')).to.equal(false)
+		expect(matchesPattern('a.draft', 'a.{draft,*.draft}')).to.equal(true)
+		expect(matchesPattern('a.b.draft', 'a.{draft,*.draft}')).to.equal(true)
+
+		expect(() => matchesPattern('a', '{a,b')).to.throw('unclosed')
+		expect(() => matchesPattern('a', '{a,{b,c}}')).to.throw('nested')
+	})
+
+	it('should escape regular expression characters', function() {
+		expect(matchesPattern('a+b(c)', 'a+b(c)')).to.equal(true)
+		expect(matchesPattern('aab(c)', 'a+b(c)')).to.equal(false)
+		expect(matchesPattern('a.b', 'a.b')).to.equal(true)
+		expect(matchesPattern('axb', 'a.b')).to.equal(false)
+	})
+
+	it('should support `RegExp` and function patterns', function() {
+		expect(matchesPattern('thread.123', /^thread\.\d+$/)).to.equal(true)
+		expect(matchesPattern('thread.abc', /^thread\.\d+$/)).to.equal(false)
+
+		const globalRegExp = /^a/g
+		expect(matchesPattern('ab', globalRegExp)).to.equal(true)
+		expect(matchesPattern('ab', globalRegExp)).to.equal(true)
+
+		expect(matchesPattern('abc', key => key.length === 3)).to.equal(true)
+		expect(matchesPattern('ab', key => key.length === 3)).to.equal(false)
+	})
+
+	it('should compile patterns', function() {
+		const matches = compilePattern('thread.*.comments')
+		expect(matches('thread.1.comments')).to.equal(true)
+		expect(matches('thread.1')).to.equal(false)
+		expect(compilePattern('thread.*.comments')).to.equal(matches)
+
+		const customMatches = compilePattern('a', (key, pattern) => key.indexOf(pattern) === 0)
+		expect(customMatches('abc')).to.equal(true)
+		expect(customMatches('bc')).to.equal(false)
 	})
-})
\ No newline at end of file
+})
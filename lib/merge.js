@@ -0,0 +1,293 @@
+import defaultMatchesPattern, { compilePattern } from './matchesPattern.js'
+
+// Merge strategies for `CachedStorage`'s `merge` parameter.
+//
+// Each strategy is a function that resolves a conflict between a cached ("local") value
+// and an externally changed ("remote") value. It could be called both ways:
+//
+// * `merge({ key, base, local, remote })` — In `envelope` mode.
+//   `base` is the stored value at the time the key has been cached.
+//
+// * `merge(key, local, remote)` — Not in `envelope` mode. There's no `base` value.
+//
+// When there's a `base` value, strategies perform a "three-way merge":
+// the changes made "locally" since the `base` are applied on top of the `remote` value.
+// Otherwise, `local` and `remote` values are combined.
+//
+// `remote` could be `null` when the value has been deleted externally.
+
+/**
+ * Creates a merge function that could be called either way.
+ * @param  {function} merge — `({ key, base, local, remote }) => value`
+ * @return {function}
+ */
+export function createMergeFunction(merge) {
+	return function(parametersOrKey, local, remote) {
+		if (typeof parametersOrKey === 'string') {
+			return merge({ key: parametersOrKey, base: undefined, local, remote })
+		}
+		return merge(parametersOrKey)
+	}
+}
+
+/**
+ * "Last writer wins": keeps the value having the latest timestamp.
+ * If timestamps are equal, the result doesn't depend on which value is "local" and which is "remote".
+ * @param  {function} [options.getTimestamp] — Returns a timestamp of a value. By default, it's `value.updatedAt`.
+ * @return {function}
+ */
+export function lastWriterWins({
+	getTimestamp = value => value.updatedAt
+} = {}) {
+	return createMergeFunction(({ local, remote }) => {
+		if (remote === null) {
+			return local
+		}
+		const localTimestamp = getTimestampValue(getTimestamp(local))
+		const remoteTimestamp = getTimestampValue(getTimestamp(remote))
+		if (localTimestamp > remoteTimestamp) {
+			return local
+		}
+		if (localTimestamp < remoteTimestamp) {
+			return remote
+		}
+		return JSON.stringify(local) > JSON.stringify(remote) ? local : remote
+	})
+}
+
+/**
+ * Merges objects' properties. A property that has been changed "locally" since the `base`
+ * is taken from the `local` object, including property deletion. Otherwise, it's taken from the `remote` object.
+ * Without a `base`, `local` properties overwrite `remote` ones.
+ * @return {function}
+ */
+export function shallowMerge() {
+	return createMergeFunction(({ base, local, remote }) => {
+		return mergeObjects(base, local, remote, false)
+	})
+}
+
+/**
+ * Same as `shallowMerge()` but merges nested objects too.
+ * Arrays are not merged: they're treated as any other values.
+ * @return {function}
+ */
+export function deepMerge() {
+	return createMergeFunction(({ base, local, remote }) => {
+		return mergeObjects(base, local, remote, true)
+	})
+}
+
+/**
+ * Merges arrays of IDs. The IDs that have been added "locally" are added to the `remote` array,
+ * and the IDs that have been removed "locally" since the `base` are removed from it.
+ * Without a `base`, it's a union of the `local` and `remote` arrays.
+ * The order of the `remote` array is preserved and the added IDs are appended to it.
+ * @param  {function} [options.getId] — Returns an ID of an array element. By default, the array elements are the IDs.
+ * @return {function}
+ */
+export function union({
+	getId = element => element
+} = {}) {
+	return createMergeFunction(({ base, local, remote }) => {
+		const baseIds = new Set((base || []).map(getId))
+		const localIds = new Set(local.map(getId))
+		const result = (remote || []).filter((element) => {
+			const id = getId(element)
+			// Skip the IDs that have been removed "locally".
+			return !(baseIds.has(id) && !localIds.has(id))
+		})
+		const resultIds = new Set(result.map(getId))
+		for (const element of local) {
+			const id = getId(element)
+			// Add the IDs that have been added "locally".
+			if (!resultIds.has(id) && !baseIds.has(id)) {
+				result.push(element)
+				resultIds.add(id)
+			}
+		}
+		return result
+	})
+}
+
+/**
+ * Keeps the largest of the numbers. For example, "latest read comment ID".
+ * @return {function}
+ */
+export function max() {
+	return createMergeFunction(({ local, remote }) => {
+		if (remote === null) {
+			return local
+		}
+		return Math.max(local, remote)
+	})
+}
+
+/**
+ * Keeps the smallest of the numbers.
+ * @return {function}
+ */
+export function min() {
+	return createMergeFunction(({ local, remote }) => {
+		if (remote === null) {
+			return local
+		}
+		return Math.min(local, remote)
+	})
+}
+
+/**
+ * Merges objects whose properties are "entries" keyed by some ID: `{ [id]: value }`.
+ * An entry that exists in both `local` and `remote` objects is merged using the `merge` strategy.
+ * An entry that has been deleted "locally" since the `base` is deleted,
+ * unless it has been changed "remotely", in which case the `remote` entry is kept.
+ * Without a `base`, it's a union of the `local` and `remote` entries.
+ * @param  {function} [merge] — A merge strategy for the entries. By default, "locally" changed entries are kept.
+ * @return {function}
+ */
+export function keyedMerge(merge = createMergeFunction(mergeValues)) {
+	return createMergeFunction(({ key, base, local, remote }) => {
+		base = base || undefined
+		remote = remote || {}
+		const result = {}
+		for (const id of getAllKeys(base, local, remote)) {
+			const isInLocal = hasOwnProperty(local, id)
+			const isInRemote = hasOwnProperty(remote, id)
+			const baseEntry = base && hasOwnProperty(base, id) ? base[id] : undefined
+			if (isInLocal && isInRemote) {
+				result[id] = merge({
+					key,
+					base: base ? (baseEntry === undefined ? null : baseEntry) : undefined,
+					local: local[id],
+					remote: remote[id]
+				})
+			} else if (isInLocal) {
+				// Skip the entries that have been deleted "remotely" and haven't been changed "locally".
+				if (baseEntry === undefined || !isEqual(local[id], baseEntry)) {
+					result[id] = local[id]
+				}
+			} else if (isInRemote) {
+				// Skip the entries that have been deleted "locally" and haven't been changed "remotely".
+				if (baseEntry === undefined || !isEqual(remote[id], baseEntry)) {
+					result[id] = remote[id]
+				}
+			}
+		}
+		return result
+	})
+}
+
+/**
+ * Uses different merge strategies for different keys.
+ * The first strategy whose pattern matches the `key` is used.
+ * If no pattern matches the `key`, the `fallback` strategy is used.
+ * If there's no `fallback` strategy, `undefined` is returned, and `CachedStorage` discards the cached value.
+ * @param  {object} strategies — Merge strategies by key pattern: `{ [pattern]: strategy }`.
+ * @param  {function} [options.fallback]
+ * @param  {function} [options.matchesPattern]
+ * @return {function}
+ */
+export function mergeByPattern(strategies, {
+	fallback,
+	matchesPattern = defaultMatchesPattern
+} = {}) {
+	const matchers = Object.keys(strategies).map(pattern => ({
+		matches: compilePattern(pattern, matchesPattern),
+		merge: strategies[pattern]
+	}))
+	return createMergeFunction((parameters) => {
+		for (const { matches, merge } of matchers) {
+			if (matches(parameters.key)) {
+				return merge(parameters)
+			}
+		}
+		if (fallback) {
+			return fallback(parameters)
+		}
+	})
+}
+
+// Merges two values that aren't merged any further:
+// the "local" value is kept if it has been changed since the `base`.
+function mergeValues({ base, local, remote }) {
+	if (base !== undefined && isEqual(local, base)) {
+		return remote
+	}
+	return local
+}
+
+function mergeObjects(base, local, remote, deep) {
+	base = base || undefined
+	remote = remote || {}
+	const result = {}
+	for (const key of getAllKeys(base, local, remote)) {
+		const isInLocal = hasOwnProperty(local, key)
+		const isInRemote = hasOwnProperty(remote, key)
+		const isInBase = base !== undefined && hasOwnProperty(base, key)
+		if (deep && isInLocal && isInRemote && isPlainObject(local[key]) && isPlainObject(remote[key])) {
+			result[key] = mergeObjects(
+				isInBase && isPlainObject(base[key]) ? base[key] : (base === undefined ? undefined : {}),
+				local[key],
+				remote[key],
+				deep
+			)
+			continue
+		}
+		const isChangedLocally = base === undefined
+			? isInLocal
+			: (isInLocal !== isInBase || (isInLocal && !isEqual(local[key], base[key])))
+		if (isChangedLocally) {
+			if (isInLocal) {
+				result[key] = local[key]
+			}
+		} else if (isInRemote) {
+			result[key] = remote[key]
+		}
+	}
+	return result
+}
+
+function getAllKeys(...objects) {
+	const keys = new Set()
+	for (const object of objects) {
+		if (object) {
+			for (const key of Object.keys(object)) {
+				keys.add(key)
+			}
+		}
+	}
+	return keys
+}
+
+function getTimestampValue(timestamp) {
+	if (timestamp instanceof Date) {
+		return timestamp.getTime()
+	}
+	if (typeof timestamp === 'string') {
+		return new Date(timestamp).getTime()
+	}
+	return timestamp
+}
+
+function hasOwnProperty(object, key) {
+	return Object.prototype.hasOwnProperty.call(object, key)
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Compares JSON-compatible values.
+function isEqual(a, b) {
+	if (a === b) {
+		return true
+	}
+	if (Array.isArray(a)) {
+		return Array.isArray(b) && a.length === b.length && a.every((element, i) => isEqual(element, b[i]))
+	}
+	if (isPlainObject(a) && isPlainObject(b)) {
+		const keys = Object.keys(a)
+		return keys.length === Object.keys(b).length && keys.every(key => hasOwnProperty(b, key) && isEqual(a[key], b[key]))
+	}
+	return false
+}
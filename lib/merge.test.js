@@ -0,0 +1,362 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import { TestTabStatusWatcher } from 'web-browser-tab/status-watcher'
+import { TestTimer } from 'web-browser-timer'
+
+import CachedStorage from './CachedStorage.js'
+import MemoryStorage from './MemoryStorage.js'
+
+import {
+	createMergeFunction,
+	lastWriterWins,
+	shallowMerge,
+	deepMerge,
+	union,
+	max,
+	min,
+	keyedMerge,
+	mergeByPattern
+} from './merge.js'
+
+// The number of random cases that are checked for each "property".
+const RUNS = 200
+
+describe('merge', function() {
+	it('should call a merge function either way', function() {
+		const calls = []
+		const merge = createMergeFunction((parameters) => {
+			calls.push(parameters)
+			return parameters.local
+		})
+		expect(merge('key', 1, 2)).to.equal(1)
+		expect(merge({ key: 'key', base: 0, local: 1, remote: 2 })).to.equal(1)
+		expect(calls).to.deep.equal([
+			{ key: 'key', base: undefined, local: 1, remote: 2 },
+			{ key: 'key', base: 0, local: 1, remote: 2 }
+		])
+	})
+
+	it('lastWriterWins()', function() {
+		const merge = lastWriterWins()
+		expect(merge('key', { updatedAt: 2 }, { updatedAt: 1 })).to.deep.equal({ updatedAt: 2 })
+		expect(merge('key', { updatedAt: 1 }, { updatedAt: 2 })).to.deep.equal({ updatedAt: 2 })
+		expect(merge('key', { updatedAt: 1 }, null)).to.deep.equal({ updatedAt: 1 })
+
+		const mergeByDate = lastWriterWins({ getTimestamp: _ => _.date })
+		expect(mergeByDate('key', { date: '2000-01-02' }, { date: '2000-01-01' })).to.deep.equal({ date: '2000-01-02' })
+
+		// Is commutative, including when timestamps are equal.
+		const random = createRandom(1)
+		for (let i = 0; i < RUNS; i++) {
+			const a = { updatedAt: randomInteger(random, 3), value: randomInteger(random, 3) }
+			const b = { updatedAt: randomInteger(random, 3), value: randomInteger(random, 3) }
+			const result = merge('key', a, b)
+			expect(merge('key', b, a)).to.deep.equal(result)
+			expect(result.updatedAt).to.equal(Math.max(a.updatedAt, b.updatedAt))
+		}
+	})
+
+	it('shallowMerge()', function() {
+		const merge = shallowMerge()
+
+		expect(merge('key', { a: 1, b: 1 }, { b: 2, c: 2 })).to.deep.equal({ a: 1, b: 1, c: 2 })
+		expect(merge('key', { a: 1 }, null)).to.deep.equal({ a: 1 })
+
+		expect(merge({
+			key: 'key',
+			base: { a: 0, b: 0, c: 0 },
+			local: { a: 1, b: 0 },
+			remote: { a: 0, b: 2, c: 0, d: 2 }
+		})).to.deep.equal({ a: 1, b: 2, d: 2 })
+
+		checkThreeWayMergeProperties(merge, random => randomObject(random, 0))
+	})
+
+	it('deepMerge()', function() {
+		const merge = deepMerge()
+
+		expect(merge({
+			key: 'key',
+			base: { a: { x: 0, y: 0 }, b: [1] },
+			local: { a: { x: 1, y: 0 }, b: [1] },
+			remote: { a: { x: 0, y: 2 }, b: [2] }
+		})).to.deep.equal({ a: { x: 1, y: 2 }, b: [2] })
+
+		expect(merge('key', { a: { x: 1 } }, { a: { y: 2 } })).to.deep.equal({ a: { x: 1, y: 2 } })
+
+		checkThreeWayMergeProperties(merge, random => randomObject(random, 2))
+	})
+
+	it('union()', function() {
+		const merge = union()
+
+		expect(merge('key', [1, 2], [2, 3])).to.deep.equal([2, 3, 1])
+		expect(merge('key', [1], null)).to.deep.equal([1])
+
+		expect(merge({
+			key: 'key',
+			base: [1, 2],
+			local: [2, 3],
+			remote: [1, 2, 4]
+		})).to.deep.equal([2, 4, 3])
+
+		const mergeById = union({ getId: _ => _.id })
+		expect(mergeById('key', [{ id: 1 }], [{ id: 1 }, { id: 2 }])).to.deep.equal([{ id: 1 }, { id: 2 }])
+
+		checkThreeWayMergeProperties(merge, randomIds, { compare: sortIds })
+
+		const random = createRandom(2)
+		for (let i = 0; i < RUNS; i++) {
+			const base = randomIds(random)
+			const local = randomIds(random)
+			const remote = randomIds(random)
+			const result = merge({ key: 'key', base, local, remote })
+			// Doesn't contain duplicates.
+			expect(new Set(result).size).to.equal(result.length)
+			for (const id of local) {
+				if (!base.includes(id)) {
+					expect(result).to.include(id)
+				}
+			}
+			for (const id of base) {
+				if (!local.includes(id)) {
+					expect(result).to.not.include(id)
+				}
+			}
+			for (const id of remote) {
+				if (local.includes(id) || !base.includes(id)) {
+					expect(result).to.include(id)
+				}
+			}
+		}
+	})
+
+	it('max() and min()', function() {
+		expect(max()('key', 1, 2)).to.equal(2)
+		expect(max()('key', 2, null)).to.equal(2)
+		expect(min()('key', 1, 2)).to.equal(1)
+		expect(min()({ key: 'key', base: 0, local: 2, remote: 1 })).to.equal(1)
+
+		const random = createRandom(3)
+		for (const merge of [max(), min()]) {
+			for (let i = 0; i < RUNS; i++) {
+				const a = randomInteger(random, 100)
+				const b = randomInteger(random, 100)
+				expect(merge('key', a, b)).to.equal(merge('key', b, a))
+				expect(merge('key', a, a)).to.equal(a)
+				expect([a, b]).to.include(merge('key', a, b))
+			}
+		}
+	})
+
+	it('keyedMerge()', function() {
+		const merge = keyedMerge()
+
+		expect(merge({
+			key: 'key',
+			base: { '1': 'a', '2': 'b', '3': 'c' },
+			local: { '1': 'A', '3': 'c', '4': 'd' },
+			remote: { '1': 'a', '2': 'b', '3': 'C', '5': 'e' }
+		})).to.deep.equal({ '1': 'A', '3': 'C', '4': 'd', '5': 'e' })
+
+		// An entry that has been deleted "locally" but changed "remotely" is kept.
+		expect(merge({
+			key: 'key',
+			base: { '1': 'a' },
+			local: {},
+			remote: { '1': 'A' }
+		})).to.deep.equal({ '1': 'A' })
+
+		const mergeEntries = keyedMerge(max())
+		expect(mergeEntries('key', { a: 1, b: 3 }, { a: 2, c: 1 })).to.deep.equal({ a: 2, b: 3, c: 1 })
+
+		checkThreeWayMergeProperties(merge, random => randomObject(random, 0))
+		checkThreeWayMergeProperties(keyedMerge(union()), random => randomKeyedMap(random, randomIds), { compare: sortKeyedMapIds })
+	})
+
+	it('mergeByPattern()', function() {
+		const merge = mergeByPattern({
+			'comments.*': union(),
+			'latestReadCommentId.*': max()
+		}, {
+			fallback: lastWriterWins()
+		})
+
+		expect(merge('comments.1', [1], [2])).to.deep.equal([2, 1])
+		expect(merge({ key: 'latestReadCommentId.1', base: 1, local: 2, remote: 3 })).to.equal(3)
+		expect(merge('settings', { updatedAt: 1 }, { updatedAt: 2 })).to.deep.equal({ updatedAt: 2 })
+
+		expect(mergeByPattern({ 'a': max() })('b', 1, 2)).to.be.undefined
+		expect(mergeByPattern({ '{a,b}': max() })('b', 1, 2)).to.equal(2)
+		expect(mergeByPattern({ 'A': max() }, {
+			matchesPattern: (key, pattern) => key.toUpperCase() === pattern
+		})('a', 1, 2)).to.equal(2)
+	})
+
+	it('should resolve conflicts in a `CachedStorage`', function() {
+		const strategies = {
+			'comments.*': union(),
+			'latestReadCommentId.*': max(),
+			'settings': deepMerge(),
+			'votes': keyedMerge()
+		}
+
+		const generators = {
+			'comments.1': randomIds,
+			'latestReadCommentId.1': random => randomInteger(random, 100),
+			'settings': random => randomObject(random, 2),
+			'votes': random => randomKeyedMap(random, random => randomInteger(random, 3))
+		}
+
+		const merge = mergeByPattern(strategies)
+
+		const random = createRandom(4)
+
+		for (const envelope of [false, true]) {
+			for (let i = 0; i < RUNS; i++) {
+				for (const key of Object.keys(generators)) {
+					const base = generators[key](random)
+					const local = generators[key](random)
+					const remote = generators[key](random)
+
+					// An "external" change is received from another tab.
+					const expected = envelope
+						? merge({ key, base, local, remote })
+						: merge(key, local, remote)
+					expect(resolveExternalChange({ key, base, local, remote, merge, envelope })).to.deep.equal(expected)
+
+					// A conflict is detected when flushing.
+					if (envelope) {
+						expect(resolveConflictOnFlush({ key, base, local, remote, merge })).to.deep.equal(expected)
+					}
+				}
+			}
+		}
+	})
+})
+
+function resolveExternalChange({ key, base, local, remote, merge, envelope }) {
+	const storage = new MemoryStorage({ id: 'storage' })
+	const otherTabStorage = storage.createSharedInstance('other-tab')
+
+	const cachedStorage = createCachedStorage({ storage, merge, envelope })
+
+	otherTabStorage.set(key, envelope ? { value: base, version: 1, writerId: 'tab-2' } : base)
+	cachedStorage.set(key, local)
+	otherTabStorage.set(key, envelope ? { value: remote, version: 2, writerId: 'tab-2' } : remote)
+
+	const value = cachedStorage.get(key)
+	cachedStorage.stop()
+	return value
+}
+
+function resolveConflictOnFlush({ key, base, local, remote, merge }) {
+	const storage = new MemoryStorage()
+
+	const cachedStorage = createCachedStorage({ storage, merge, envelope: true })
+
+	storage.set(key, { value: base, version: 1, writerId: 'tab-2' })
+	cachedStorage.set(key, local)
+	// No "external" change is received.
+	storage.set(key, { value: remote, version: 2, writerId: 'tab-2' })
+	cachedStorage.flush()
+
+	const value = cachedStorage.get(key)
+	cachedStorage.stop()
+	return value
+}
+
+function createCachedStorage({ storage, merge, envelope }) {
+	const tabStatusWatcher = new TestTabStatusWatcher()
+
+	const cachedStorage = new CachedStorage({
+		storage,
+		tabStatusWatcher,
+		timer: new TestTimer(),
+		flushDelay: 60 * 1000,
+		envelope,
+		writerId: 'tab-1',
+		cachedKeys: ['*'],
+		merge
+	})
+
+	cachedStorage.start()
+	tabStatusWatcher.setActive(true)
+
+	return cachedStorage
+}
+
+// Checks the properties that any three-way merge should have:
+// * When there're no "local" changes, the result is the "remote" value.
+// * When there're no "remote" changes, the result is the "local" value.
+// * Merging a value with itself results in the same value.
+function checkThreeWayMergeProperties(merge, generate, { compare = _ => _ } = {}) {
+	const random = createRandom(5)
+	for (let i = 0; i < RUNS; i++) {
+		const base = generate(random)
+		const local = generate(random)
+		const remote = generate(random)
+		expect(compare(merge({ key: 'key', base, local: base, remote }))).to.deep.equal(compare(remote))
+		expect(compare(merge({ key: 'key', base, local, remote: base }))).to.deep.equal(compare(local))
+		expect(compare(merge({ key: 'key', base, local, remote: local }))).to.deep.equal(compare(local))
+		expect(compare(merge('key', local, local))).to.deep.equal(compare(local))
+	}
+}
+
+// A "seeded" pseudo-random number generator, so that test runs are reproducible.
+// https://en.wikipedia.org/wiki/Lehmer_random_number_generator
+function createRandom(seed) {
+	return () => {
+		seed = (seed * 16807) % 2147483647
+		return (seed - 1) / 2147483646
+	}
+}
+
+function randomInteger(random, max) {
+	return Math.floor(random() * (max + 1))
+}
+
+function randomIds(random) {
+	const ids = []
+	for (let id = 0; id < 8; id++) {
+		if (random() < 0.5) {
+			ids.push(id)
+		}
+	}
+	return ids
+}
+
+function randomObject(random, depth) {
+	const object = {}
+	for (const key of ['a', 'b', 'c', 'd']) {
+		if (random() < 0.6) {
+			object[key] = depth > 0 && random() < 0.5
+				? randomObject(random, depth - 1)
+				: randomInteger(random, 2)
+		}
+	}
+	return object
+}
+
+function randomKeyedMap(random, generateEntry) {
+	const map = {}
+	for (const id of ['1', '2', '3', '4']) {
+		if (random() < 0.6) {
+			map[id] = generateEntry(random)
+		}
+	}
+	return map
+}
+
+function sortIds(ids) {
+	return ids.slice().sort()
+}
+
+function sortKeyedMapIds(map) {
+	const result = {}
+	for (const id of Object.keys(map)) {
+		result[id] = sortIds(map[id])
+	}
+	return result
+}
@@ -0,0 +1,164 @@
+import { Timer } from 'web-browser-timer'
+
+import defaultMatchesPattern from './matchesPattern.js'
+import TabLock from './TabLock.js'
+
+/**
+ * Migrates stored data to the latest version.
+ *
+ * The current version is stored in the `storage` under the `versionKey`.
+ * Initially, the version is `0`.
+ *
+ * Each migration is applied exactly once: when a migration succeeds,
+ * the stored version is updated to the version of that migration.
+ *
+ * A migration is either `{ version, migrate(storage) }` or
+ * `{ version, keys, transform(value, key) }`, where `keys` is a key pattern
+ * (or a list of key patterns) and `transform()` returns a new value for a key
+ * matching the pattern. If `transform()` returns `undefined`, the key is deleted.
+ * `migrate()` could be `async`.
+ *
+ * If a migration throws an error, the changes it has made are rolled back,
+ * the stored version stays at the previous migration's version, and the error is re-thrown.
+ *
+ * When several tabs call `migrate()` at the same time, only one of them
+ * runs the migrations while the others wait for it to finish.
+ * The tabs are synchronized using a `TabLock`.
+ *
+ * @param  {Storage} options.storage
+ * @param  {object[]} options.migrations
+ * @param  {string} [options.versionKey]
+ * @param  {Timer} [options.timer]
+ * @param  {number} [options.lockTimeout] — If a tab is closed or "frozen" while migrating, other tabs will be able to migrate after this timeout, in milliseconds. A long synchronous migration should take less time than that.
+ * @param  {LockManager|false} [options.locks] — Web Locks API implementation. See `TabLock`.
+ * @param  {function} [options.matchesPattern]
+ * @param  {function} [options.log]
+ * @return {Promise<object>} `{ fromVersion, toVersion }`
+ */
+export default async function migrate({
+	storage,
+	migrations,
+	versionKey = 'web-browser-storage.version',
+	timer = new Timer(),
+	lockTimeout = 30 * 1000,
+	locks,
+	matchesPattern = defaultMatchesPattern,
+	log = () => {}
+}) {
+	validateMigrations(migrations)
+
+	const fromVersion = getVersion(storage, versionKey)
+
+	// Don't acquire a lock when there's nothing to migrate.
+	if (getPendingMigrations(migrations, fromVersion).length === 0) {
+		return {
+			fromVersion,
+			toVersion: fromVersion
+		}
+	}
+
+	const lockKey = versionKey + '.lock'
+	const lock = new TabLock({ storage, timer, timeout: lockTimeout, locks, log })
+	await lock.acquire(lockKey)
+
+	try {
+		// Some other tab could've performed the migrations
+		// while this tab has been waiting for the lock.
+		let version = getVersion(storage, versionKey)
+
+		for (const migration of getPendingMigrations(migrations, version)) {
+			log('migrate', { version: migration.version })
+			// The version and the lock records aren't transformed.
+			await runMigration(migration, storage, matchesPattern, [versionKey, lockKey])
+			version = migration.version
+			storage.set(versionKey, version)
+		}
+
+		return {
+			fromVersion,
+			toVersion: version
+		}
+	} finally {
+		lock.release()
+	}
+}
+
+function validateMigrations(migrations) {
+	let prevVersion = 0
+	for (const migration of migrations) {
+		if (typeof migration.version !== 'number' || migration.version <= prevVersion) {
+			throw new Error(`[web-browser-storage] Migration versions must be positive numbers in ascending order: ${migration.version}`)
+		}
+		if (!migration.migrate && !(migration.keys && migration.transform)) {
+			throw new Error(`[web-browser-storage] Migration ${migration.version} must have either a \`migrate()\` function or \`keys\` and \`transform()\``)
+		}
+		prevVersion = migration.version
+	}
+}
+
+function getVersion(storage, versionKey) {
+	const version = storage.get(versionKey)
+	if (typeof version === 'number') {
+		return version
+	}
+	return 0
+}
+
+function getPendingMigrations(migrations, version) {
+	return migrations.filter(migration => migration.version > version)
+}
+
+async function runMigration(migration, storage, matchesPattern, ignoredKeys) {
+	// Track the changes so that they could be rolled back.
+	const prevValues = {}
+	const trackChange = (key) => {
+		if (!prevValues.hasOwnProperty(key)) {
+			prevValues[key] = storage.has(key) ? storage.get(key) : undefined
+		}
+	}
+
+	const trackingStorage = {
+		has: (key) => storage.has(key),
+		get: (key) => storage.get(key),
+		set: (key, value) => {
+			trackChange(key)
+			storage.set(key, value)
+		},
+		delete: (key) => {
+			trackChange(key)
+			storage.delete(key)
+		},
+		keys: () => storage.keys(),
+		getRecordSize: (key) => storage.getRecordSize(key),
+		onExternalChange: (listener) => storage.onExternalChange(listener)
+	}
+
+	try {
+		if (migration.migrate) {
+			await migration.migrate(trackingStorage)
+		} else {
+			const patterns = Array.isArray(migration.keys) ? migration.keys : [migration.keys]
+			for (const key of storage.keys()) {
+				if (!ignoredKeys.includes(key) && patterns.some(pattern => matchesPattern(key, pattern))) {
+					const value = migration.transform(storage.get(key), key)
+					// Not every storage deletes a key when `undefined` value is written.
+					// For example, `MemoryStorage` doesn't.
+					if (value === undefined) {
+						trackingStorage.delete(key)
+					} else {
+						trackingStorage.set(key, value)
+					}
+				}
+			}
+		}
+	} catch (error) {
+		for (const key of Object.keys(prevValues)) {
+			if (prevValues[key] === undefined) {
+				storage.delete(key)
+			} else {
+				storage.set(key, prevValues[key])
+			}
+		}
+		throw error
+	}
+}
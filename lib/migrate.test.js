@@ -0,0 +1,190 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import { TestTimer } from 'web-browser-timer'
+
+import migrate from './migrate.js'
+import MemoryStorage from './MemoryStorage.js'
+
+describe('migrate', function() {
+	it('should apply migrations', async function() {
+		const storage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		storage.set('latestReadComments.1', 10)
+		storage.set('latestReadComments.2', 20)
+		storage.set('settings', { theme: 'dark' })
+
+		const migrations = [{
+			version: 1,
+			migrate(storage) {
+				const settings = storage.get('settings')
+				storage.set('settings', { ...settings, locale: 'en' })
+			}
+		}, {
+			version: 2,
+			keys: 'latestReadComments.*',
+			transform: (value) => ({ id: value })
+		}]
+
+		const result = await runWithTimer(timer, migrate({ storage, migrations, timer, locks: false }))
+
+		expect(result).to.deep.equal({ fromVersion: 0, toVersion: 2 })
+		expect(storage.get('web-browser-storage.version')).to.equal(2)
+		expect(storage.has('web-browser-storage.version.lock')).to.equal(false)
+		expect(storage.get('settings')).to.deep.equal({ theme: 'dark', locale: 'en' })
+		expect(storage.get('latestReadComments.1')).to.deep.equal({ id: 10 })
+		expect(storage.get('latestReadComments.2')).to.deep.equal({ id: 20 })
+
+		// Migrations are only applied once.
+		expect(await migrate({ storage, migrations, timer, locks: false })).to.deep.equal({ fromVersion: 2, toVersion: 2 })
+		expect(storage.get('latestReadComments.1')).to.deep.equal({ id: 10 })
+	})
+
+	it('should delete a key when `transform()` returns `undefined`', async function() {
+		const storage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		storage.set('a.1', 1)
+		storage.set('a.2', 2)
+
+		const migrations = [{
+			version: 1,
+			keys: 'a.*',
+			transform: (value) => value === 1 ? undefined : value * 10
+		}]
+
+		await runWithTimer(timer, migrate({ storage, migrations, timer, locks: false }))
+
+		expect(storage.has('a.1')).to.equal(false)
+		expect(storage.keys()).to.not.include('a.1')
+		expect(storage.get('a.2')).to.equal(20)
+	})
+
+	it('should not transform the version and the lock records', async function() {
+		const storage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		storage.set('a', 1)
+
+		const transformedKeys = []
+
+		await runWithTimer(timer, migrate({
+			storage,
+			timer,
+			locks: false,
+			migrations: [{
+				version: 1,
+				keys: '*',
+				transform: (value, key) => {
+					transformedKeys.push(key)
+					return { value }
+				}
+			}]
+		}))
+
+		expect(transformedKeys).to.deep.equal(['a'])
+		expect(storage.keys()).to.deep.equal(['a', 'web-browser-storage.version'])
+
+		const result = await runWithTimer(timer, migrate({
+			storage,
+			timer,
+			locks: false,
+			migrations: [{
+				version: 1,
+				keys: '*',
+				transform: value => value
+			}, {
+				version: 2,
+				keys: '*',
+				transform: value => value
+			}]
+		}))
+
+		expect(result).to.deep.equal({ fromVersion: 1, toVersion: 2 })
+	})
+
+	it('should roll back a failed migration', async function() {
+		const storage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		storage.set('a', 'A')
+
+		const migrations = [{
+			version: 1,
+			migrate(storage) {
+				storage.set('b', 'B')
+			}
+		}, {
+			version: 2,
+			migrate(storage) {
+				storage.set('a', 'A2')
+				storage.set('c', 'C')
+				throw new Error('Migration error')
+			}
+		}]
+
+		let error
+		try {
+			await runWithTimer(timer, migrate({ storage, migrations, timer, locks: false }))
+		} catch (_error) {
+			error = _error
+		}
+
+		expect(error.message).to.equal('Migration error')
+		expect(storage.get('web-browser-storage.version')).to.equal(1)
+		expect(storage.has('web-browser-storage.version.lock')).to.equal(false)
+		expect(storage.get('a')).to.equal('A')
+		expect(storage.get('b')).to.equal('B')
+		expect(storage.has('c')).to.equal(false)
+	})
+
+	it('should not run migrations twice when started in two tabs at the same time', async function() {
+		const sourceStorage = new MemoryStorage()
+		const timer = new TestTimer()
+
+		let migrationsCount = 0
+
+		const migrations = [{
+			version: 1,
+			migrate() {
+				migrationsCount++
+			}
+		}]
+
+		const results = await runWithTimer(timer, Promise.all([
+			migrate({ storage: sourceStorage.createSharedInstance('1'), migrations, timer, locks: false }),
+			migrate({ storage: sourceStorage.createSharedInstance('2'), migrations, timer, locks: false })
+		]))
+
+		expect(migrationsCount).to.equal(1)
+		expect(results.map(_ => _.toVersion)).to.deep.equal([1, 1])
+		expect(sourceStorage.get('web-browser-storage.version')).to.equal(1)
+	})
+
+	it('should validate migrations', async function() {
+		const storage = new MemoryStorage()
+
+		let error
+		try {
+			await migrate({
+				storage,
+				migrations: [{ version: 2, migrate() {} }, { version: 1, migrate() {} }]
+			})
+		} catch (_error) {
+			error = _error
+		}
+
+		expect(error.message).to.include('ascending order')
+	})
+})
+
+// Skips time until the `promise` is settled.
+async function runWithTimer(timer, promise) {
+	let isSettled = false
+	promise.then(() => isSettled = true, () => isSettled = true)
+	while (!isSettled) {
+		await timer.skip(100)
+	}
+	return await promise
+}
@@ -0,0 +1,257 @@
+// A "path" points to a part of a JSON value. It could be written as:
+//
+// * A JSON Pointer — "/comments/0/text". An empty string points to the value itself.
+//   https://datatracker.ietf.org/doc/html/rfc6901
+//
+// * A "dotted" path — "comments.0.text".
+//
+// * An array of "segments" — ["comments", 0, "text"].
+//
+// The values are never mutated: setting or deleting a path returns a new value
+// that shares the unchanged parts with the original value.
+
+/**
+ * Parses a path into an array of "segments".
+ * @param  {(string|Array<string|number>)} path
+ * @return {string[]}
+ */
+export function parsePath(path) {
+	if (Array.isArray(path)) {
+		return path.map(String)
+	}
+	if (typeof path !== 'string') {
+		throw new Error(`[web-browser-storage] A path should be a string or an array: ${path}`)
+	}
+	if (path === '') {
+		return []
+	}
+	if (path[0] === '/') {
+		return path.slice('/'.length).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+	}
+	return path.split('.')
+}
+
+/**
+ * Formats an array of "segments" as a JSON Pointer.
+ * @param  {string[]} segments
+ * @return {string}
+ */
+export function formatPath(segments) {
+	return segments.map(segment => '/' + segment.replace(/~/g, '~0').replace(/\//g, '~1')).join('')
+}
+
+/**
+ * Returns the part of a `value` at a `path`.
+ * @param  {any} value
+ * @param  {(string|Array<string|number>)} path
+ * @return {any} Returns `null` if there's nothing at the `path`.
+ */
+export function getValueAtPath(value, path) {
+	for (const segment of parsePath(path)) {
+		if (!isContainer(value) || !hasOwnProperty(value, segment)) {
+			return null
+		}
+		value = value[segment]
+	}
+	return value
+}
+
+/**
+ * Sets the part of a `value` at a `path`.
+ * The missing objects along the `path` are created. A "-" segment appends an element to an array.
+ * @param  {any} value
+ * @param  {(string|Array<string|number>)} path
+ * @param  {any} newValue
+ * @return {any} A new value.
+ */
+export function setValueAtPath(value, path, newValue) {
+	return setSegments(value, parsePath(path), newValue, path)
+}
+
+/**
+ * Deletes the part of a `value` at a `path`.
+ * An array element is removed from the array rather than replaced with a "hole".
+ * @param  {any} value
+ * @param  {(string|Array<string|number>)} path
+ * @return {any} A new value. Returns `null` for an empty `path`. Returns the `value` itself if there's nothing at the `path`.
+ */
+export function deleteValueAtPath(value, path) {
+	return deleteSegments(value, parsePath(path))
+}
+
+// The following functions implement `getPath()`, `setPath()`, `deletePath()` and `update()`
+// methods of a `storage`. `options`, if passed, are passed through to `storage.set()` and `storage.delete()`.
+
+/**
+ * Reads a part of a value of a `storage`.
+ * @param  {Storage} storage
+ * @param  {string} key
+ * @param  {(string|Array<string|number>)} path
+ * @return {any} Returns `null` if there's nothing at the `path`.
+ */
+export function getPath(storage, key, path) {
+	return getValueAtPath(storage.get(key), path)
+}
+
+// Same as `getPath()` but for an `AsyncStorage`.
+export async function getPathAsync(storage, key, path) {
+	return getValueAtPath(await storage.get(key), path)
+}
+
+/**
+ * Writes a part of a value of a `storage`. Works with an `AsyncStorage` too.
+ * @param {Storage} storage
+ * @param {string} key
+ * @param {(string|Array<string|number>)} path
+ * @param {any} value
+ * @param {object} [options]
+ */
+export function setPath(storage, key, path, value, options) {
+	return storage.update(key, prevValue => setValueAtPath(prevValue, path, value), options)
+}
+
+/**
+ * Deletes a part of a value of a `storage`. Works with an `AsyncStorage` too.
+ * @param {Storage} storage
+ * @param {string} key
+ * @param {(string|Array<string|number>)} path
+ * @param {object} [options]
+ */
+export function deletePath(storage, key, path, options) {
+	return storage.update(key, prevValue => deleteValueAtPath(prevValue, path), options)
+}
+
+/**
+ * Replaces a value of a `storage` with the result of `update(value)`.
+ * If `update()` returns `null` or `undefined`, the key is deleted.
+ * @param {Storage} storage
+ * @param {string} key
+ * @param {function} update — Receives the current value, or `null` if there's none.
+ * @param {object} [options]
+ */
+export function updateValue(storage, key, update, options) {
+	const value = update(storage.get(key))
+	if (value === null || value === undefined) {
+		storage.delete(key, options)
+	} else {
+		storage.set(key, value, options)
+	}
+}
+
+// Same as `updateValue()` but for an `AsyncStorage`.
+export async function updateValueAsync(storage, key, update, options) {
+	const value = update(await storage.get(key))
+	if (value === null || value === undefined) {
+		await storage.delete(key, options)
+	} else {
+		await storage.set(key, value, options)
+	}
+}
+
+/**
+ * Compares two JSON values and returns the paths that have changed, as JSON Pointers.
+ * Nested objects and arrays are compared property by property,
+ * so the paths point to the "deepest" changed parts.
+ * @param  {any} prevValue
+ * @param  {any} value
+ * @return {string[]} Returns `[""]` when the whole value has changed. Returns `[]` when nothing has changed.
+ */
+export function getChangedPaths(prevValue, value) {
+	const paths = []
+	collectChangedPaths(prevValue, value, [], paths)
+	return paths
+}
+
+function collectChangedPaths(prevValue, value, segments, paths) {
+	if (prevValue === value) {
+		return
+	}
+	if (isContainer(prevValue) && isContainer(value) && Array.isArray(prevValue) === Array.isArray(value)) {
+		const keys = new Set(Object.keys(prevValue).concat(Object.keys(value)))
+		for (const key of keys) {
+			if (!hasOwnProperty(prevValue, key) || !hasOwnProperty(value, key)) {
+				paths.push(formatPath(segments.concat(key)))
+			} else {
+				collectChangedPaths(prevValue[key], value[key], segments.concat(key), paths)
+			}
+		}
+		return
+	}
+	paths.push(formatPath(segments))
+}
+
+function setSegments(value, segments, newValue, path) {
+	if (segments.length === 0) {
+		return newValue
+	}
+	const [segment, ...restSegments] = segments
+	if (value === null || value === undefined) {
+		value = isArrayIndex(segment) ? [] : {}
+	}
+	if (!isContainer(value)) {
+		throw new Error(`[web-browser-storage] Can't set path "${formatPath(parsePath(path))}" because its parent isn't an object or an array`)
+	}
+	if (Array.isArray(value)) {
+		const index = segment === '-' ? value.length : Number(segment)
+		if (!isArrayIndex(segment) || index > value.length) {
+			throw new Error(`[web-browser-storage] Can't set path "${formatPath(parsePath(path))}" because "${segment}" isn't a valid array index`)
+		}
+		const array = value.slice()
+		array[index] = setSegments(value[index], restSegments, newValue, path)
+		return array
+	}
+	return {
+		...value,
+		[segment]: setSegments(hasOwnProperty(value, segment) ? value[segment] : undefined, restSegments, newValue, path)
+	}
+}
+
+function deleteSegments(value, segments) {
+	if (segments.length === 0) {
+		return null
+	}
+	const [segment, ...restSegments] = segments
+	if (!isContainer(value) || !hasOwnProperty(value, segment)) {
+		return value
+	}
+	if (restSegments.length > 0) {
+		const newChild = deleteSegments(value[segment], restSegments)
+		if (newChild === value[segment]) {
+			return value
+		}
+		if (Array.isArray(value)) {
+			const array = value.slice()
+			array[segment] = newChild
+			return array
+		}
+		return { ...value, [segment]: newChild }
+	}
+	if (Array.isArray(value)) {
+		const array = value.slice()
+		array.splice(Number(segment), 1)
+		return array
+	}
+	const object = { ...value }
+	delete object[segment]
+	return object
+}
+
+function isArrayIndex(segment) {
+	return segment === '-' || /^(0|[1-9]\d*)$/.test(segment)
+}
+
+// Other objects, like `Date`s or `Map`s, are treated as "opaque" values.
+function isContainer(value) {
+	if (Array.isArray(value)) {
+		return true
+	}
+	if (value !== null && typeof value === 'object') {
+		const prototype = Object.getPrototypeOf(value)
+		return prototype === Object.prototype || prototype === null
+	}
+	return false
+}
+
+function hasOwnProperty(object, key) {
+	return Object.prototype.hasOwnProperty.call(object, key)
+}
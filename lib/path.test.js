@@ -0,0 +1,106 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import {
+	parsePath,
+	formatPath,
+	getValueAtPath,
+	setValueAtPath,
+	deleteValueAtPath,
+	getChangedPaths,
+	getPath,
+	setPath,
+	deletePath,
+	updateValue
+} from './path.js'
+
+describe('path', function() {
+	it('should parse paths', function() {
+		expect(parsePath('')).to.deep.equal([])
+		expect(parsePath('/a/0/b')).to.deep.equal(['a', '0', 'b'])
+		expect(parsePath('/a~1b/c~0d')).to.deep.equal(['a/b', 'c~d'])
+		expect(parsePath('a.0.b')).to.deep.equal(['a', '0', 'b'])
+		expect(parsePath(['a', 0, 'b'])).to.deep.equal(['a', '0', 'b'])
+		expect(() => parsePath(1)).to.throw('should be a string or an array')
+
+		expect(formatPath([])).to.equal('')
+		expect(formatPath(['a/b', 'c~d'])).to.equal('/a~1b/c~0d')
+	})
+
+	it('should get a value at a path', function() {
+		const value = { a: { b: [1, { c: 2 }] } }
+		expect(getValueAtPath(value, '')).to.equal(value)
+		expect(getValueAtPath(value, 'a.b.1.c')).to.equal(2)
+		expect(getValueAtPath(value, '/a/b/0')).to.equal(1)
+		expect(getValueAtPath(value, 'a.x')).to.be.null
+		expect(getValueAtPath(value, 'a.b.0.c')).to.be.null
+		expect(getValueAtPath(null, 'a')).to.be.null
+	})
+
+	it('should set a value at a path', function() {
+		const value = Object.freeze({ a: Object.freeze({ b: Object.freeze([1]) }), c: Object.freeze({}) })
+
+		const newValue = setValueAtPath(value, 'a.b.0', 2)
+		expect(newValue).to.deep.equal({ a: { b: [2] }, c: {} })
+		// Unchanged parts are shared.
+		expect(newValue.c).to.equal(value.c)
+
+		expect(setValueAtPath(value, '/a/b/-', 2)).to.deep.equal({ a: { b: [1, 2] }, c: {} })
+		expect(setValueAtPath(value, 'x.y', 1)).to.deep.equal({ a: { b: [1] }, c: {}, x: { y: 1 } })
+		expect(setValueAtPath(null, 'x.0', 1)).to.deep.equal({ x: [1] })
+		expect(setValueAtPath(value, '', 1)).to.equal(1)
+
+		expect(() => setValueAtPath(value, 'a.b.0.c', 1)).to.throw('isn\'t an object or an array')
+		expect(() => setValueAtPath(value, 'a.b.x', 1)).to.throw('isn\'t a valid array index')
+		expect(() => setValueAtPath(value, 'a.b.2', 1)).to.throw('isn\'t a valid array index')
+	})
+
+	it('should delete a value at a path', function() {
+		const value = Object.freeze({ a: Object.freeze({ b: Object.freeze([1, 2]) }), c: 1 })
+
+		expect(deleteValueAtPath(value, 'c')).to.deep.equal({ a: { b: [1, 2] } })
+		expect(deleteValueAtPath(value, 'a.b.0')).to.deep.equal({ a: { b: [2] }, c: 1 })
+		expect(deleteValueAtPath(value, 'a.x')).to.equal(value)
+		expect(deleteValueAtPath(value, '')).to.be.null
+	})
+
+	it('should get changed paths', function() {
+		expect(getChangedPaths(1, 1)).to.deep.equal([])
+		expect(getChangedPaths(null, 1)).to.deep.equal([''])
+		expect(getChangedPaths({ a: 1 }, [1])).to.deep.equal([''])
+		expect(getChangedPaths(
+			{ a: { b: 1, c: [1, 2] }, d: 1, e: 1 },
+			{ a: { b: 2, c: [1] }, d: 1, f: 1 }
+		)).to.deep.equal(['/a/b', '/a/c/1', '/e', '/f'])
+		expect(getChangedPaths({ 'a/b': 1 }, { 'a/b': 2 })).to.deep.equal(['/a~1b'])
+		expect(getChangedPaths({ a: new Date(0) }, { a: new Date(1) })).to.deep.equal(['/a'])
+	})
+	it('should implement `update()` and `setPath()` of a storage', function() {
+		const calls = []
+		const data = { a: { b: 1 } }
+		const storage = {
+			get: (key) => key in data ? data[key] : null,
+			set: (key, value, options) => {
+				calls.push(['set', key, value, options])
+				data[key] = value
+			},
+			delete: (key, options) => {
+				calls.push(['delete', key, options])
+				delete data[key]
+			},
+			update: (key, update, options) => updateValue(storage, key, update, options)
+		}
+
+		expect(getPath(storage, 'a', 'b')).to.equal(1)
+		setPath(storage, 'a', 'c', 2, { expiresIn: 1000 })
+		expect(getPath(storage, 'a', '')).to.deep.equal({ b: 1, c: 2 })
+		deletePath(storage, 'a', '')
+		updateValue(storage, 'x', () => undefined)
+
+		expect(calls).to.deep.equal([
+			['set', 'a', { b: 1, c: 2 }, { expiresIn: 1000 }],
+			['delete', 'a', undefined],
+			['delete', 'x', undefined]
+		])
+	})
+})
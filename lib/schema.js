@@ -0,0 +1,147 @@
+import { formatPath } from './path.js'
+
+// Validates a value against a JSON Schema.
+// https://json-schema.org/understanding-json-schema
+//
+// Only a small subset of JSON Schema is supported:
+// * `type` — "string", "number", "integer", "boolean", "null", "object" or "array". Could be an array of types.
+// * `enum`, `const`
+// * `minLength`, `maxLength`, `pattern` — For strings.
+// * `minimum`, `maximum` — For numbers.
+// * `properties`, `required`, `additionalProperties` — For objects.
+// * `items`, `minItems`, `maxItems` — For arrays.
+//
+// Other keywords are ignored.
+
+/**
+ * Validates a value against a JSON Schema.
+ * @param  {object} schema
+ * @param  {any} value
+ * @return {string[]} Validation errors. An empty array means that the value is valid.
+ */
+export default function validateSchema(schema, value) {
+	const errors = []
+	validate(schema, value, [], errors)
+	return errors
+}
+
+function validate(schema, value, segments, errors) {
+	const addError = (message) => {
+		errors.push(`${segments.length === 0 ? 'Value' : formatPath(segments)} ${message}`)
+	}
+
+	if (schema.type !== undefined) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+		if (!types.some(type => isOfType(value, type))) {
+			return addError(`must be ${types.map(getTypeDescription).join(' or ')}`)
+		}
+	}
+
+	if (schema.const !== undefined && !isEqual(value, schema.const)) {
+		addError(`must be ${JSON.stringify(schema.const)}`)
+	}
+
+	if (schema.enum && !schema.enum.some(option => isEqual(value, option))) {
+		addError(`must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`)
+	}
+
+	if (typeof value === 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			addError(`must be at least ${schema.minLength} characters long`)
+		}
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+			addError(`must be at most ${schema.maxLength} characters long`)
+		}
+		if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+			addError(`must match the pattern: ${schema.pattern}`)
+		}
+	}
+
+	if (typeof value === 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum) {
+			addError(`must be greater than or equal to ${schema.minimum}`)
+		}
+		if (schema.maximum !== undefined && value > schema.maximum) {
+			addError(`must be less than or equal to ${schema.maximum}`)
+		}
+	}
+
+	if (isObject(value)) {
+		if (schema.required) {
+			for (const property of schema.required) {
+				if (!hasOwnProperty(value, property)) {
+					addError(`must have a "${property}" property`)
+				}
+			}
+		}
+		for (const property of Object.keys(value)) {
+			const propertySchema = schema.properties && hasOwnProperty(schema.properties, property)
+				? schema.properties[property]
+				: schema.additionalProperties
+			if (propertySchema === false) {
+				addError(`must not have a "${property}" property`)
+			} else if (propertySchema && propertySchema !== true) {
+				validate(propertySchema, value[property], segments.concat(property), errors)
+			}
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			addError(`must have at least ${schema.minItems} items`)
+		}
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			addError(`must have at most ${schema.maxItems} items`)
+		}
+		if (schema.items) {
+			value.forEach((item, index) => {
+				validate(schema.items, item, segments.concat(String(index)), errors)
+			})
+		}
+	}
+}
+
+function isOfType(value, type) {
+	switch (type) {
+		case 'string':
+		case 'boolean':
+			return typeof value === type
+		case 'number':
+			return typeof value === 'number' && isFinite(value)
+		case 'integer':
+			return Number.isInteger(value)
+		case 'null':
+			return value === null
+		case 'object':
+			return isObject(value)
+		case 'array':
+			return Array.isArray(value)
+		default:
+			throw new Error(`[web-browser-storage] Unsupported schema type: ${type}`)
+	}
+}
+
+function getTypeDescription(type) {
+	switch (type) {
+		case 'null':
+			return 'null'
+		case 'array':
+		case 'integer':
+		case 'object':
+			return `an ${type}`
+		default:
+			return `a ${type}`
+	}
+}
+
+function isObject(value) {
+	return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function isEqual(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b)
+}
+
+function hasOwnProperty(object, key) {
+	return Object.prototype.hasOwnProperty.call(object, key)
+}
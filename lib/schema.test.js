@@ -0,0 +1,75 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import validateSchema from './schema.js'
+
+describe('schema', function() {
+	it('should validate types', function() {
+		expect(validateSchema({ type: 'string' }, 'a')).to.deep.equal([])
+		expect(validateSchema({ type: 'string' }, 1)).to.deep.equal(['Value must be a string'])
+		expect(validateSchema({ type: 'number' }, 1.5)).to.deep.equal([])
+		expect(validateSchema({ type: 'number' }, NaN)).to.deep.equal(['Value must be a number'])
+		expect(validateSchema({ type: 'integer' }, 1.5)).to.deep.equal(['Value must be an integer'])
+		expect(validateSchema({ type: 'boolean' }, false)).to.deep.equal([])
+		expect(validateSchema({ type: 'object' }, [])).to.deep.equal(['Value must be an object'])
+		expect(validateSchema({ type: 'array' }, [])).to.deep.equal([])
+		expect(validateSchema({ type: ['string', 'null'] }, null)).to.deep.equal([])
+		expect(validateSchema({ type: ['string', 'null'] }, 1)).to.deep.equal(['Value must be a string or null'])
+		expect(() => validateSchema({ type: 'date' }, 1)).to.throw('Unsupported schema type: date')
+	})
+
+	it('should validate `enum` and `const`', function() {
+		expect(validateSchema({ enum: ['light', 'dark'] }, 'dark')).to.deep.equal([])
+		expect(validateSchema({ enum: ['light', 'dark'] }, 'blue')).to.deep.equal(['Value must be one of: "light", "dark"'])
+		expect(validateSchema({ const: { a: 1 } }, { a: 1 })).to.deep.equal([])
+		expect(validateSchema({ const: 1 }, 2)).to.deep.equal(['Value must be 1'])
+	})
+
+	it('should validate strings and numbers', function() {
+		const schema = { minLength: 2, maxLength: 3, pattern: '^[a-z]+$' }
+		expect(validateSchema(schema, 'abc')).to.deep.equal([])
+		expect(validateSchema(schema, 'a')).to.deep.equal(['Value must be at least 2 characters long'])
+		expect(validateSchema(schema, 'ABCD')).to.deep.equal([
+			'Value must be at most 3 characters long',
+			'Value must match the pattern: ^[a-z]+$'
+		])
+
+		expect(validateSchema({ minimum: 0, maximum: 10 }, 5)).to.deep.equal([])
+		expect(validateSchema({ minimum: 0, maximum: 10 }, -1)).to.deep.equal(['Value must be greater than or equal to 0'])
+		expect(validateSchema({ minimum: 0, maximum: 10 }, 11)).to.deep.equal(['Value must be less than or equal to 10'])
+	})
+
+	it('should validate objects and arrays', function() {
+		const schema = {
+			type: 'object',
+			properties: {
+				theme: { enum: ['light', 'dark'] },
+				'a/b': { type: 'string' },
+				tags: {
+					type: 'array',
+					items: { type: 'string' },
+					maxItems: 2
+				}
+			},
+			required: ['theme'],
+			additionalProperties: false
+		}
+
+		expect(validateSchema(schema, { theme: 'dark', tags: ['a'] })).to.deep.equal([])
+
+		expect(validateSchema(schema, {
+			'a/b': 1,
+			tags: ['a', 2, 'c'],
+			other: true
+		})).to.deep.equal([
+			'Value must have a "theme" property',
+			'/a~1b must be a string',
+			'/tags must have at most 2 items',
+			'/tags/1 must be a string',
+			'Value must not have a "other" property'
+		])
+
+		expect(validateSchema({ additionalProperties: { type: 'number' } }, { a: 1, b: 'c' })).to.deep.equal(['/b must be a number'])
+		expect(validateSchema({ minItems: 1 }, [])).to.deep.equal(['Value must have at least 1 items'])
+	})
+})
@@ -0,0 +1,59 @@
+import defaultMatchesPattern from './matchesPattern.js'
+
+/**
+ * Calculates the size of a record, in bytes.
+ * Web Storage stores characters in UTF-16 encoding (2 bytes per character).
+ * https://stackoverflow.com/questions/4391575/how-to-find-the-size-of-localstorage
+ * @param  {string} key
+ * @param  {string} [value] — Stringified value.
+ * @return {number}
+ */
+export function getRecordSize(key, value = '') {
+	return (key.length + value.length) * 2
+}
+
+/**
+ * Calculates the total size of all records in a storage, in bytes.
+ * @param  {Storage} storage
+ * @return {number}
+ */
+export function getTotalSize(storage) {
+	let size = 0
+	for (const key of storage.keys()) {
+		size += storage.getRecordSize(key)
+	}
+	return size
+}
+
+/**
+ * Calculates the total size of the records in a storage, in bytes,
+ * grouped by key patterns. Each record is counted in the first group that matches its key.
+ * @param  {Storage} storage
+ * @param  {string[]} [options.groupBy] — Key patterns.
+ * @param  {function} [options.matchesPattern]
+ * @return {object} `{ total: number, groups: { [pattern]: number }, other: number }`
+ */
+export function getUsage(storage, {
+	groupBy = [],
+	matchesPattern = defaultMatchesPattern
+} = {}) {
+	const usage = {
+		total: 0,
+		groups: {},
+		other: 0
+	}
+	for (const pattern of groupBy) {
+		usage.groups[pattern] = 0
+	}
+	for (const key of storage.keys()) {
+		const size = storage.getRecordSize(key)
+		usage.total += size
+		const pattern = groupBy.find(pattern => matchesPattern(key, pattern))
+		if (pattern === undefined) {
+			usage.other += size
+		} else {
+			usage.groups[pattern] += size
+		}
+	}
+	return usage
+}
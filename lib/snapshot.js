@@ -0,0 +1,235 @@
+import defaultMatchesPattern, { compilePattern } from './matchesPattern.js'
+import { writeChanges } from './batch.js'
+
+// A "snapshot" is a copy of the records of a storage
+// that could be imported into another storage, for example, in another web browser.
+//
+// {
+//   format: "web-browser-storage/snapshot",
+//   version: 1,
+//   createdAt: 1700000000000,
+//   patterns: ["settings.*"],
+//   records: {
+//     "settings.theme": { value: "dark", size: 40, checksum: "7c9e6a2b" }
+//   },
+//   checksum: "0d4f1c8e"
+// }
+//
+// `patterns` are the key patterns that the snapshot has been exported with, if any.
+// `size` is the size of a record in the original storage, in bytes.
+// Checksums are used for detecting corrupted or manually edited snapshots.
+// They're not cryptographic and don't protect from tampering.
+//
+// Values should be JSON-compatible, so that a snapshot could be stringified.
+
+export const SNAPSHOT_FORMAT = 'web-browser-storage/snapshot'
+
+export const SNAPSHOT_VERSION = 1
+
+/**
+ * Exports the records of a storage.
+ * @param  {Storage} storage
+ * @param  {Array<string|RegExp|function>} [options.patterns] — Key patterns. By default, all records are exported.
+ * @param  {function} [options.matchesPattern]
+ * @return {object} A snapshot.
+ */
+export function exportSnapshot(storage, {
+	patterns,
+	matchesPattern = defaultMatchesPattern
+} = {}) {
+	const records = []
+	for (const key of filterKeys(storage.keys(), patterns, matchesPattern)) {
+		const value = storage.get(key)
+		// Values that can't be parsed are `undefined`.
+		if (value !== null && value !== undefined) {
+			records.push({ key, value, size: storage.getRecordSize(key) })
+		}
+	}
+	return createSnapshot(records, patterns)
+}
+
+// Same as `exportSnapshot()` but for an `AsyncStorage`.
+export async function exportSnapshotAsync(storage, {
+	patterns,
+	matchesPattern = defaultMatchesPattern
+} = {}) {
+	const records = []
+	for (const key of filterKeys(await storage.keys(), patterns, matchesPattern)) {
+		const value = await storage.get(key)
+		if (value !== null && value !== undefined) {
+			records.push({ key, value, size: await storage.getRecordSize(key) })
+		}
+	}
+	return createSnapshot(records, patterns)
+}
+
+/**
+ * Imports a snapshot into a storage.
+ * The snapshot is validated before anything is written.
+ * When a storage supports `batch()`, the records are written in a `batch()`.
+ * @param  {Storage} storage
+ * @param  {object} snapshot
+ * @param  {string} [options.mode] — "merge" only writes the records of the snapshot. "replace" also deletes the keys that aren't in the snapshot. Default: "merge".
+ * @param  {Array<string|RegExp|function>} [options.patterns] — In "replace" mode, only the keys matching these patterns are deleted. By default, it's the `patterns` of the snapshot, if any.
+ * @param  {function} [options.matchesPattern]
+ */
+export function importSnapshot(storage, snapshot, options) {
+	const records = readSnapshot(snapshot)
+	const keys = options && options.mode === 'replace' ? storage.keys() : []
+	const changes = getChanges(records, keys, snapshot, options)
+	writeChanges(storage, changes)
+}
+
+// Same as `importSnapshot()` but for an `AsyncStorage`.
+export async function importSnapshotAsync(storage, snapshot, options) {
+	const records = readSnapshot(snapshot)
+	const keys = options && options.mode === 'replace' ? await storage.keys() : []
+	for (const [key, value] of getChanges(records, keys, snapshot, options)) {
+		if (value === undefined) {
+			await storage.delete(key)
+		} else {
+			await storage.set(key, value)
+		}
+	}
+}
+
+/**
+ * Validates a snapshot and returns its records.
+ * @param  {object} snapshot
+ * @return {object[]} `[{ key, value, size }]`
+ */
+export function readSnapshot(snapshot) {
+	if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+		throw new Error('[web-browser-storage] Not a snapshot')
+	}
+	if (snapshot.version > SNAPSHOT_VERSION) {
+		throw new Error(`[web-browser-storage] Unsupported snapshot version: ${snapshot.version}`)
+	}
+	const records = []
+	for (const key of Object.keys(snapshot.records)) {
+		const { value, size, checksum } = snapshot.records[key]
+		if (getChecksum(JSON.stringify(value)) !== checksum) {
+			throw new Error(`[web-browser-storage] Snapshot record checksum mismatch: ${key}`)
+		}
+		records.push({ key, value, size })
+	}
+	if (getRecordsChecksum(snapshot.records) !== snapshot.checksum) {
+		throw new Error('[web-browser-storage] Snapshot checksum mismatch')
+	}
+	return records
+}
+
+/**
+ * Returns an inline `<script/>` containing a snapshot, for server-side rendering.
+ * The `<script/>` isn't executed: it's only read by `hydrate()`,
+ * so it doesn't require a `nonce` in case of a strict Content Security Policy.
+ * @param  {object} snapshot
+ * @param  {string} [options.id] — `id` of the `<script/>` element. Default: "web-browser-storage-snapshot".
+ * @return {string}
+ */
+export function getSnapshotScript(snapshot, {
+	id = SNAPSHOT_SCRIPT_ID
+} = {}) {
+	return `<script type="application/json" id="${escapeHtmlAttribute(id)}">${stringifyForScript(snapshot)}</script>`
+}
+
+/**
+ * Imports a snapshot from an inline `<script/>` that has been rendered using `getSnapshotScript()`.
+ * @param  {Storage} storage — For example, a `MemoryStorage` or a `LocalStorage`.
+ * @param  {string} [options.id] — `id` of the `<script/>` element. Default: "web-browser-storage-snapshot".
+ * @param  {Document} [options.document] — By default, it's the global `document`.
+ * @param  {object} [options] — The rest of the options are passed to `importSnapshot()`.
+ * @return {boolean} Returns `false` if there's no such `<script/>` element.
+ */
+export function hydrate(storage, {
+	id = SNAPSHOT_SCRIPT_ID,
+	document = globalThis.document,
+	...options
+} = {}) {
+	const element = document.getElementById(id)
+	if (!element) {
+		return false
+	}
+	storage.importSnapshot(JSON.parse(element.textContent), options)
+	return true
+}
+
+const SNAPSHOT_SCRIPT_ID = 'web-browser-storage-snapshot'
+
+// Escapes the characters that could end the `<script/>` element or start an HTML comment.
+// "\u2028" and "\u2029" characters are escaped for older JavaScript engines.
+function stringifyForScript(value) {
+	return JSON.stringify(value)
+		.replace(/</g, '\\u003c')
+		.replace(/>/g, '\\u003e')
+		.replace(/&/g, '\\u0026')
+		.replace(/\u2028/g, '\\u2028')
+		.replace(/\u2029/g, '\\u2029')
+}
+
+function escapeHtmlAttribute(string) {
+	return string.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')
+}
+
+function createSnapshot(records, patterns) {
+	const snapshot = {
+		format: SNAPSHOT_FORMAT,
+		version: SNAPSHOT_VERSION,
+		createdAt: Date.now()
+	}
+	// Only string patterns could be stringified.
+	if (patterns && patterns.every(pattern => typeof pattern === 'string')) {
+		snapshot.patterns = patterns
+	}
+	snapshot.records = {}
+	for (const { key, value, size } of records) {
+		snapshot.records[key] = {
+			value,
+			size,
+			checksum: getChecksum(JSON.stringify(value))
+		}
+	}
+	snapshot.checksum = getRecordsChecksum(snapshot.records)
+	return snapshot
+}
+
+// Returns a `Map` of the writes and deletes: `undefined` value means "delete".
+function getChanges(records, keys, snapshot, {
+	patterns = snapshot.patterns,
+	matchesPattern = defaultMatchesPattern
+} = {}) {
+	const changes = new Map()
+	const snapshotKeys = new Set(records.map(_ => _.key))
+	for (const key of filterKeys(keys, patterns, matchesPattern)) {
+		if (!snapshotKeys.has(key)) {
+			changes.set(key, undefined)
+		}
+	}
+	for (const { key, value } of records) {
+		changes.set(key, value)
+	}
+	return changes
+}
+
+function filterKeys(keys, patterns, matchesPattern) {
+	if (!patterns) {
+		return keys
+	}
+	const matchers = patterns.map(pattern => compilePattern(pattern, matchesPattern))
+	return keys.filter(key => matchers.some(matches => matches(key)))
+}
+
+function getRecordsChecksum(records) {
+	return getChecksum(Object.keys(records).map(key => `${key}:${records[key].checksum}`).join(','))
+}
+
+// FNV-1a hash.
+// https://en.wikipedia.org/wiki/Fowler%E2%80%93Noll%E2%80%93Vo_hash_function
+function getChecksum(string) {
+	let hash = 0x811c9dc5
+	for (let i = 0; i < string.length; i++) {
+		hash ^= string.charCodeAt(i)
+		hash = Math.imul(hash, 0x01000193)
+	}
+	return (hash >>> 0).toString(16).padStart(8, '0')
+}
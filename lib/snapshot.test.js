@@ -0,0 +1,214 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+
+import { webcrypto as crypto } from 'crypto'
+
+import MemoryStorage from './MemoryStorage.js'
+import NamespacedStorage from './NamespacedStorage.js'
+import EncryptedStorage from './EncryptedStorage.js'
+import { getSnapshotScript, hydrate, SNAPSHOT_VERSION } from './snapshot.js'
+
+describe('snapshot', function() {
+	it('should export and import a snapshot', function() {
+		const storage = new MemoryStorage()
+
+		storage.set('settings.theme', 'dark')
+		storage.set('settings.locale', 'en')
+		storage.set('thread', { comments: [] })
+
+		const snapshot = storage.exportSnapshot({ patterns: ['settings.*'] })
+
+		expect(snapshot.format).to.equal('web-browser-storage/snapshot')
+		expect(snapshot.version).to.equal(SNAPSHOT_VERSION)
+		expect(snapshot.createdAt).to.be.a('number')
+		expect(snapshot.patterns).to.deep.equal(['settings.*'])
+		expect(Object.keys(snapshot.records)).to.deep.equal(['settings.theme', 'settings.locale'])
+		expect(snapshot.records['settings.theme'].value).to.equal('dark')
+		expect(snapshot.records['settings.theme'].size).to.equal(storage.getRecordSize('settings.theme'))
+		expect(snapshot.records['settings.theme'].checksum).to.match(/^[0-9a-f]{8}$/)
+		expect(snapshot.checksum).to.match(/^[0-9a-f]{8}$/)
+
+		// A snapshot could be stringified.
+		const anotherStorage = new MemoryStorage()
+		anotherStorage.importSnapshot(JSON.parse(JSON.stringify(snapshot)))
+		expect(anotherStorage.getData()).to.deep.equal({
+			'settings.theme': 'dark',
+			'settings.locale': 'en'
+		})
+
+		// `RegExp` and function patterns aren't included in a snapshot.
+		expect(storage.exportSnapshot({ patterns: [/^thread$/] }).patterns).to.be.undefined
+		expect(Object.keys(storage.exportSnapshot({ patterns: [/^thread$/] }).records)).to.deep.equal(['thread'])
+	})
+
+	it('should import a snapshot in "merge" and "replace" modes', function() {
+		const snapshot = createStorage({
+			'settings.theme': 'dark'
+		}).exportSnapshot({ patterns: ['settings.*'] })
+
+		const storage = createStorage({
+			'settings.theme': 'light',
+			'settings.locale': 'en',
+			'thread': 'value'
+		})
+
+		storage.importSnapshot(snapshot)
+		expect(storage.getData()).to.deep.equal({
+			'settings.theme': 'dark',
+			'settings.locale': 'en',
+			'thread': 'value'
+		})
+
+		// Only the keys matching the `patterns` of the snapshot are deleted.
+		storage.importSnapshot(snapshot, { mode: 'replace' })
+		expect(storage.getData()).to.deep.equal({
+			'settings.theme': 'dark',
+			'thread': 'value'
+		})
+
+		storage.importSnapshot(snapshot, { mode: 'replace', patterns: ['*'] })
+		expect(storage.getData()).to.deep.equal({
+			'settings.theme': 'dark'
+		})
+	})
+
+	it('should trigger change notifications on import', function() {
+		const sourceStorage = new MemoryStorage()
+		const storage1 = sourceStorage.createSharedInstance('1')
+		const storage2 = sourceStorage.createSharedInstance('2')
+
+		storage1.set('a', { x: 1 })
+		storage1.set('b', 1)
+
+		const changes = []
+		storage1.onChange('*', change => changes.push(change))
+
+		const externalChanges = []
+		storage2.onExternalChange(change => externalChanges.push(change))
+
+		storage1.importSnapshot(createStorage({ a: { x: 2 } }).exportSnapshot(), { mode: 'replace' })
+
+		expect(changes).to.deep.equal([{
+			key: 'b',
+			value: null,
+			prevValue: 1,
+			paths: [''],
+			source: 'local'
+		}, {
+			key: 'a',
+			value: { x: 2 },
+			prevValue: { x: 1 },
+			paths: ['/x'],
+			source: 'local'
+		}])
+
+		expect(externalChanges).to.deep.equal([{
+			key: 'b',
+			value: null,
+			prevValue: 1,
+			paths: ['']
+		}, {
+			key: 'a',
+			value: { x: 2 },
+			prevValue: { x: 1 },
+			paths: ['/x']
+		}])
+	})
+
+	it('should validate a snapshot before importing it', function() {
+		const storage = createStorage({ a: 1 })
+		const snapshot = createStorage({ a: 2, b: 3 }).exportSnapshot()
+
+		expect(() => storage.importSnapshot({ a: 1 })).to.throw('Not a snapshot')
+		expect(() => storage.importSnapshot({ ...snapshot, version: SNAPSHOT_VERSION + 1 })).to.throw('Unsupported snapshot version')
+
+		const editedSnapshot = JSON.parse(JSON.stringify(snapshot))
+		editedSnapshot.records.b.value = 4
+		expect(() => storage.importSnapshot(editedSnapshot)).to.throw('Snapshot record checksum mismatch: b')
+
+		const truncatedSnapshot = JSON.parse(JSON.stringify(snapshot))
+		delete truncatedSnapshot.records.b
+		expect(() => storage.importSnapshot(truncatedSnapshot)).to.throw('Snapshot checksum mismatch')
+
+		// Nothing has been written.
+		expect(storage.getData()).to.deep.equal({ a: 1 })
+	})
+
+	it('should export and import a snapshot of a `NamespacedStorage`', function() {
+		const memoryStorage = new MemoryStorage()
+		const storage = new NamespacedStorage({ storage: memoryStorage, prefix: 'app1' })
+
+		storage.set('a', 1)
+		memoryStorage.set('b', 2)
+
+		const snapshot = storage.exportSnapshot()
+		expect(Object.keys(snapshot.records)).to.deep.equal(['a'])
+
+		const anotherStorage = new NamespacedStorage({ storage: memoryStorage, prefix: 'app2' })
+		anotherStorage.importSnapshot(snapshot)
+		expect(anotherStorage.get('a')).to.equal(1)
+	})
+
+	it('should export and import a snapshot of an `EncryptedStorage`', async function() {
+		const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+
+		const storage = new EncryptedStorage({ storage: new MemoryStorage(), key, crypto })
+		await storage.set('a', { x: 1 })
+		await storage.set('b', 2)
+
+		// The values are exported decrypted.
+		const snapshot = await storage.exportSnapshot({ patterns: ['a'] })
+		expect(snapshot.records.a.value).to.deep.equal({ x: 1 })
+
+		await storage.importSnapshot(createStorage({ c: 3 }).exportSnapshot(), { mode: 'replace', patterns: ['*'] })
+		expect(await storage.keys()).to.deep.equal(['c'])
+		expect(await storage.get('c')).to.equal(3)
+	})
+
+	it('should render a snapshot in a `<script/>` and hydrate a storage from it', function() {
+		const snapshot = createStorage({
+			html: '</script><script>alert(1)</script><!--',
+			text: 'a\u2028b\u2029c&d'
+		}).exportSnapshot()
+
+		const script = getSnapshotScript(snapshot, { id: 'snapshot' })
+
+		expect(script.startsWith('<script type="application/json" id="snapshot">')).to.equal(true)
+		expect(script.endsWith('</script>')).to.equal(true)
+
+		const json = script.slice('<script type="application/json" id="snapshot">'.length, -'</script>'.length)
+		expect(json).not.to.match(/[<>&\u2028\u2029]/)
+		expect(JSON.parse(json)).to.deep.equal(snapshot)
+
+		const document = new TestDocument({ snapshot: json })
+		const storage = createStorage({ other: 1 })
+
+		expect(hydrate(storage, { id: 'non-existent', document })).to.equal(false)
+
+		expect(hydrate(storage, { id: 'snapshot', document, mode: 'replace' })).to.equal(true)
+		expect(storage.getData()).to.deep.equal({
+			html: '</script><script>alert(1)</script><!--',
+			text: 'a\u2028b\u2029c&d'
+		})
+	})
+})
+
+function createStorage(data) {
+	const storage = new MemoryStorage()
+	storage.setData(data)
+	return storage
+}
+
+// Emulates `document.getElementById()` for `<script/>` elements.
+class TestDocument {
+	constructor(scripts) {
+		this.scripts = scripts
+	}
+
+	getElementById(id) {
+		if (this.scripts[id] === undefined) {
+			return null
+		}
+		return { textContent: this.scripts[id] }
+	}
+}
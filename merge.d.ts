@@ -0,0 +1,31 @@
+import type { ThreeWayMergeParameters } from './index.d.js'
+
+// A merge function could be called both with `(key, local, remote)` arguments
+// and with `({ key, base, local, remote })` parameters in `envelope` mode.
+export interface MergeFunction<Value = any> {
+	(parameters: ThreeWayMergeParameters<Value>): Value | undefined;
+	(key: string, local: Value, remote: Value | null): Value | undefined;
+}
+
+export function createMergeFunction<Value = any>(merge: (parameters: ThreeWayMergeParameters<Value>) => Value | undefined): MergeFunction<Value>;
+
+export function lastWriterWins<Value = any>(options?: {
+	getTimestamp?: (value: Value) => number | string | Date;
+}): MergeFunction<Value>;
+
+export function shallowMerge<Value extends object = Record<string, any>>(): MergeFunction<Value>;
+export function deepMerge<Value extends object = Record<string, any>>(): MergeFunction<Value>;
+
+export function union<Element = any>(options?: {
+	getId?: (element: Element) => any;
+}): MergeFunction<Element[]>;
+
+export function max(): MergeFunction<number>;
+export function min(): MergeFunction<number>;
+
+export function keyedMerge<Entry = any>(merge?: MergeFunction<Entry>): MergeFunction<Record<string, Entry>>;
+
+export function mergeByPattern<Value = any>(strategies: Record<string, MergeFunction>, options?: {
+	fallback?: MergeFunction<Value>;
+	matchesPattern?: (key: string, pattern: string) => boolean;
+}): MergeFunction<Value>;
@@ -0,0 +1,11 @@
+export {
+	createMergeFunction,
+	lastWriterWins,
+	shallowMerge,
+	deepMerge,
+	union,
+	max,
+	min,
+	keyedMerge,
+	mergeByPattern
+} from './lib/merge.js'
\ No newline at end of file
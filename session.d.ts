@@ -0,0 +1,2 @@
+export { SessionStorage } from './index.d.js'
+export type { SessionStorageOptions } from './index.d.js'
\ No newline at end of file
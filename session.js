@@ -0,0 +1 @@
+export { default as SessionStorage } from './lib/SessionStorage.js'
\ No newline at end of file
@@ -3,17 +3,87 @@ import { expect } from 'chai'
 
 import {
 	LocalStorage,
-	MemoryStorage
+	SessionStorage,
+	MemoryStorage,
+	IndexedDBStorage,
+	CookieStorage,
+	NamespacedStorage,
+	EncryptedStorage,
+	ExpiringStorage,
+	BroadcastChannelTransport,
+	TabLock,
+	TaggedJSON,
+	LRUEvictionPolicy,
+	migrate,
+	getSnapshotScript,
+	hydrate,
+	BudgetExceededError,
+	ConflictError,
+	CookieTooLargeError,
+	ValidationError
 } from 'web-browser-storage'
 
 import {
 	CachedStorage
 } from 'web-browser-storage/cache'
 
+import {
+	SessionStorage as SessionStorageSubpath
+} from 'web-browser-storage/session'
+
+import {
+	createMergeFunction,
+	lastWriterWins,
+	shallowMerge,
+	deepMerge,
+	union,
+	max,
+	min,
+	keyedMerge,
+	mergeByPattern
+} from 'web-browser-storage/merge'
+
+import {
+	FileStorage
+} from 'web-browser-storage/file'
+
+import {
+	LZStringCodec
+} from 'web-browser-storage/compression'
+
 describe('exports', function() {
 	it('should export stuff', function() {
 		expect(LocalStorage).to.be.a('function')
+		expect(SessionStorage).to.be.a('function')
 		expect(MemoryStorage).to.be.a('function')
+		expect(IndexedDBStorage).to.be.a('function')
+		expect(CookieStorage).to.be.a('function')
 		expect(CachedStorage).to.be.a('function')
+		expect(NamespacedStorage).to.be.a('function')
+		expect(EncryptedStorage).to.be.a('function')
+		expect(ExpiringStorage).to.be.a('function')
+		expect(BroadcastChannelTransport).to.be.a('function')
+		expect(TabLock).to.be.a('function')
+		expect(TaggedJSON.stringify).to.be.a('function')
+		expect(LZStringCodec.compress).to.be.a('function')
+		expect(LRUEvictionPolicy).to.be.a('function')
+		expect(migrate).to.be.a('function')
+		expect(getSnapshotScript).to.be.a('function')
+		expect(hydrate).to.be.a('function')
+		expect(BudgetExceededError).to.be.a('function')
+		expect(ConflictError).to.be.a('function')
+		expect(CookieTooLargeError).to.be.a('function')
+		expect(ValidationError).to.be.a('function')
+		expect(SessionStorageSubpath).to.equal(SessionStorage)
+		expect(createMergeFunction).to.be.a('function')
+		expect(lastWriterWins).to.be.a('function')
+		expect(shallowMerge).to.be.a('function')
+		expect(deepMerge).to.be.a('function')
+		expect(union).to.be.a('function')
+		expect(max).to.be.a('function')
+		expect(min).to.be.a('function')
+		expect(keyedMerge).to.be.a('function')
+		expect(mergeByPattern).to.be.a('function')
+		expect(FileStorage).to.be.a('function')
 	})
 })
\ No newline at end of file
@@ -0,0 +1,40 @@
+// An in-memory stub for a Web Storage area (`localStorage` or `sessionStorage`).
+// https://developer.mozilla.org/en-US/docs/Web/API/Storage
+export default class WebStorageArea {
+	constructor() {
+		this.items = new Map()
+	}
+
+	get length() {
+		return this.items.size
+	}
+
+	key(index) {
+		const keys = Array.from(this.items.keys())
+		return index < keys.length ? keys[index] : null
+	}
+
+	getItem(key) {
+		return this.items.has(key) ? this.items.get(key) : null
+	}
+
+	setItem(key, value) {
+		this.items.set(key, String(value))
+	}
+
+	removeItem(key) {
+		this.items.delete(key)
+	}
+
+	clear() {
+		this.items.clear()
+	}
+}
+
+// Emulates a `storage` event that a web browser dispatches
+// when a Web Storage area is modified from another tab.
+export function dispatchStorageEvent({ key, newValue, oldValue, storageArea }) {
+	const event = new Event('storage')
+	Object.assign(event, { key, newValue, oldValue, storageArea })
+	window.dispatchEvent(event)
+}